@@ -5,7 +5,7 @@
  * The server expects environment variables:
  *   NOSTRMQ_PRIVKEY  - hex private key used to decrypt and send messages
  *   NOSTR_RELAYS     - comma separated relay URLs (required; no fallback)
- *   ALLOWED_SENDERS  - comma separated pubkeys allowed to send requests
+ *   ALLOWED_SENDERS  - comma separated hex or npub pubkeys allowed to send requests
  *
  * Usage: node examples/mongo-pilot-server.js
  */
@@ -41,14 +41,11 @@ async function start() {
   console.log("Connected to MongoDB");
 
   const subscription = receive({
+    // Other senders are dropped before their messages are decrypted
+    access: { allow: ALLOWED },
     onMessage: async (payload, sender) => {
       console.log("Received message from:", sender);
 
-      if (!ALLOWED.includes(sender)) {
-        console.log("Rejected: sender not whitelisted");
-        return;
-      }
-
       const {
         dbNpub,
         collection,
@@ -112,6 +109,10 @@ async function start() {
     pow: false,
   });
 
+  subscription.on("rejected", ({ sender }) => {
+    console.log("Rejected: sender not whitelisted", sender);
+  });
+
   console.log("Server listening for NostrMQ messages");
   process.on("SIGINT", async () => {
     await subscription.close();
@@ -0,0 +1,199 @@
+import { readFileSync, unwatchFile, watchFile } from "fs";
+import type { Stats } from "fs";
+import { nip19 } from "nostr-tools";
+import type { Event as NostrEvent } from "nostr-tools";
+import type { AccessPolicy, AccessPredicate } from "./types.js";
+import { isValidPubkey, safeJsonParse } from "./utils.js";
+
+/**
+ * Allow and deny lists read from a policy file
+ */
+interface PubkeyLists {
+  allow?: Set<string>;
+  deny?: Set<string>;
+}
+
+/**
+ * Convert a hex or npub pubkey to lowercase hex
+ *
+ * @returns The hex pubkey, or null when the entry is neither
+ */
+export function normalizePubkey(entry: string): string | null {
+  if (entry.startsWith("npub1")) {
+    try {
+      const decoded = nip19.decode(entry);
+      return decoded.type === "npub" ? decoded.data : null;
+    } catch {
+      return null;
+    }
+  }
+
+  return isValidPubkey(entry) ? entry.toLowerCase() : null;
+}
+
+/**
+ * Normalize a list of hex or npub pubkeys
+ *
+ * @throws {Error} When the list is not an array or holds an invalid pubkey
+ */
+export function toPubkeySet(entries: unknown, source: string): Set<string> {
+  if (!Array.isArray(entries)) {
+    throw new Error(`${source} must be an array of pubkeys`);
+  }
+
+  const pubkeys = new Set<string>();
+  for (const entry of entries) {
+    const pubkey =
+      typeof entry === "string" ? normalizePubkey(entry.trim()) : null;
+    if (!pubkey) {
+      throw new Error(`Invalid pubkey in ${source}: ${entry}`);
+    }
+    pubkeys.add(pubkey);
+  }
+  return pubkeys;
+}
+
+/**
+ * Read a JSON policy file of the form { "allow": [...], "deny": [...] }
+ */
+function loadPolicyFile(file: string): PubkeyLists {
+  let data: { allow?: unknown; deny?: unknown } | null;
+  try {
+    data = safeJsonParse(readFileSync(file, "utf8")) as typeof data;
+  } catch (error) {
+    throw new Error(
+      `Failed to read access policy file ${file}: ${
+        error instanceof Error ? error.message : String(error)
+      }`
+    );
+  }
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`Access policy file ${file} must contain a JSON object`);
+  }
+
+  return {
+    allow:
+      data.allow !== undefined
+        ? toPubkeySet(data.allow, `${file} allow`)
+        : undefined,
+    deny:
+      data.deny !== undefined
+        ? toPubkeySet(data.deny, `${file} deny`)
+        : undefined,
+  };
+}
+
+/**
+ * Evaluates a receive() access policy against message senders
+ *
+ * A sender is rejected when it is on a deny list, when an allow list exists
+ * and does not contain it, or when the predicate returns false or throws.
+ * Lists from a policy file are combined with the static lists and reloaded
+ * whenever the file changes; an unreadable update keeps the previous lists.
+ */
+export class AccessControl {
+  private allow?: Set<string>;
+  private deny?: Set<string>;
+  private check?: AccessPredicate;
+  private file?: string;
+  private fileLists: PubkeyLists = {};
+  private onFileChange?: (current: Stats, previous: Stats) => void;
+
+  /**
+   * @param policy - Allow/deny lists, policy file and predicate, or just a predicate
+   *
+   * @throws {Error} When the policy is malformed or its file cannot be read
+   */
+  constructor(policy: AccessPolicy | AccessPredicate) {
+    if (typeof policy === "function") {
+      this.check = policy;
+      return;
+    }
+
+    if (!policy || typeof policy !== "object") {
+      throw new Error("access must be a policy object or a function");
+    }
+
+    if (policy.check !== undefined && typeof policy.check !== "function") {
+      throw new Error("access.check must be a function");
+    }
+
+    if (policy.allow !== undefined) {
+      this.allow = toPubkeySet(policy.allow, "access.allow");
+    }
+    if (policy.deny !== undefined) {
+      this.deny = toPubkeySet(policy.deny, "access.deny");
+    }
+    this.check = policy.check;
+
+    if (policy.file) {
+      const file = policy.file;
+      this.file = file;
+      this.fileLists = loadPolicyFile(file);
+
+      this.onFileChange = (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) {
+          this.reload();
+        }
+      };
+      watchFile(
+        file,
+        { interval: policy.fileIntervalMs || 1000, persistent: false },
+        this.onFileChange
+      );
+    }
+  }
+
+  /**
+   * Whether a sender may deliver messages
+   *
+   * @param sender - Hex pubkey of the sender
+   * @param event - Event the sender published
+   */
+  async isAllowed(sender: string, event: NostrEvent): Promise<boolean> {
+    if (this.deny?.has(sender) || this.fileLists.deny?.has(sender)) {
+      return false;
+    }
+
+    const allowLists = [this.allow, this.fileLists.allow].filter(
+      (list): list is Set<string> => list !== undefined
+    );
+    if (allowLists.length > 0 && !allowLists.some((list) => list.has(sender))) {
+      return false;
+    }
+
+    if (this.check) {
+      try {
+        return Boolean(await this.check(sender, event));
+      } catch (error) {
+        console.warn(`Access check failed for ${sender}, rejecting:`, error);
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Stop watching the policy file
+   */
+  close(): void {
+    if (this.file && this.onFileChange) {
+      unwatchFile(this.file, this.onFileChange);
+      this.onFileChange = undefined;
+    }
+  }
+
+  private reload(): void {
+    try {
+      this.fileLists = loadPolicyFile(this.file!);
+      console.log(`Reloaded access policy from ${this.file}`);
+    } catch (error) {
+      console.warn(
+        `Failed to reload access policy from ${this.file}, keeping previous lists:`,
+        error
+      );
+    }
+  }
+}
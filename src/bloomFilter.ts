@@ -0,0 +1,234 @@
+import type { BloomFilterOptions } from "./types.js";
+
+/**
+ * Leading bytes of a serialized filter
+ */
+const MAGIC = "NMQB";
+
+/**
+ * Version of the serialized format
+ */
+const FORMAT_VERSION = 1;
+
+/**
+ * Size of the serialized header: magic, version, hashes, partition count,
+ * bits per partition and partition span
+ */
+const HEADER_BYTES = 16;
+
+/**
+ * Murmur3 finalizer, spreading every input bit over the whole hash
+ */
+function mix(hash: number): number {
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * Two independent 32-bit FNV-1a hashes of a string, combined by double
+ * hashing into as many bit positions as needed
+ */
+function hashes(value: string): [number, number] {
+  let h1 = 0x811c9dc5;
+  let h2 = 0x050c5d1f;
+  for (let i = 0; i < value.length; i++) {
+    const code = value.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 0x01000193);
+    h2 = Math.imul(h2 ^ code, 0x01000193);
+  }
+  // An odd step visits distinct positions for every hash function
+  return [mix(h1), (mix(h2 ^ 0x9e3779b9) | 1) >>> 0];
+}
+
+/**
+ * Bloom filter over event IDs, split into time partitions
+ *
+ * Each partition holds the events whose timestamp falls in one slice of the
+ * window; partitions that have slid out of the window are dropped, so the
+ * filter covers a fixed span of time in fixed memory. Each partition is
+ * sized to hold the whole capacity, so a burst of events in one slice does
+ * not raise the false-positive rate. A lookup checks every partition, so
+ * each one is sized for `falsePositiveRate / (partitions + 1)` and the
+ * combined rate stays within the target. The filter never forgets an
+ * event inside the window, but may claim to have seen one it has not.
+ */
+export class RollingBloomFilter {
+  /** Bits per partition */
+  readonly bits: number;
+  /** Bit positions set per event */
+  readonly hashes: number;
+  /** Seconds of event time covered by one partition */
+  readonly spanSeconds: number;
+  private windowSeconds: number;
+  private partitions = new Map<number, Uint8Array>();
+
+  /**
+   * @param windowSeconds - Span of event time to remember
+   * @param options - Capacity, false-positive rate and number of partitions
+   */
+  constructor(windowSeconds: number, options: BloomFilterOptions = {}) {
+    const capacity = options.capacity ?? 100000;
+    const falsePositiveRate = options.falsePositiveRate ?? 0.000001;
+    const partitions = options.partitions ?? 4;
+
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error("bloom.capacity must be a positive integer");
+    }
+    if (!(falsePositiveRate > 0 && falsePositiveRate < 1)) {
+      throw new Error("bloom.falsePositiveRate must be between 0 and 1");
+    }
+    if (!Number.isInteger(partitions) || partitions < 1 || partitions > 255) {
+      throw new Error("bloom.partitions must be an integer from 1 to 255");
+    }
+
+    // Up to partitions + 1 slices overlap the window at any time
+    const partitionRate = falsePositiveRate / (partitions + 1);
+    this.bits =
+      Math.ceil(
+        (-capacity * Math.log(partitionRate)) / (Math.LN2 * Math.LN2) / 8
+      ) * 8;
+    this.hashes = Math.max(1, Math.round((this.bits / capacity) * Math.LN2));
+    this.windowSeconds = windowSeconds;
+    this.spanSeconds = Math.max(1, Math.ceil(windowSeconds / partitions));
+  }
+
+  /**
+   * Remember an event
+   *
+   * @param eventId - The event ID
+   * @param timestamp - The event timestamp in seconds, which picks the partition
+   */
+  add(eventId: string, timestamp: number): void {
+    this.prune();
+    const bucket = Math.floor(timestamp / this.spanSeconds);
+    if (!this.isLive(bucket)) return;
+
+    let bits = this.partitions.get(bucket);
+    if (!bits) {
+      bits = new Uint8Array(this.bits / 8);
+      this.partitions.set(bucket, bits);
+    }
+    for (const position of this.positions(eventId)) {
+      bits[position >>> 3] |= 1 << (position & 7);
+    }
+  }
+
+  /**
+   * Whether an event was probably added within the window
+   */
+  has(eventId: string): boolean {
+    if (this.partitions.size === 0) return false;
+
+    const positions = this.positions(eventId);
+    for (const bits of this.partitions.values()) {
+      if (positions.every((p) => (bits[p >>> 3] & (1 << (p & 7))) !== 0)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Forget all events
+   */
+  clear(): void {
+    this.partitions.clear();
+  }
+
+  /**
+   * Compact binary form of the filter, for persisting it
+   */
+  serialize(): Uint8Array {
+    this.prune();
+    const bytes = this.bits / 8;
+    const data = new Uint8Array(
+      HEADER_BYTES + this.partitions.size * (4 + bytes)
+    );
+    const view = new DataView(data.buffer);
+
+    data.set(new TextEncoder().encode(MAGIC), 0);
+    view.setUint8(4, FORMAT_VERSION);
+    view.setUint8(5, this.hashes);
+    view.setUint16(6, this.partitions.size);
+    view.setUint32(8, this.bits);
+    view.setUint32(12, this.spanSeconds);
+
+    let offset = HEADER_BYTES;
+    for (const [bucket, bits] of this.partitions) {
+      view.setUint32(offset, bucket);
+      data.set(bits, offset + 4);
+      offset += 4 + bytes;
+    }
+    return data;
+  }
+
+  /**
+   * Restore a filter from serialize() output
+   *
+   * @returns The filter, or null when the data is damaged or was written
+   *   with other settings
+   */
+  static deserialize(
+    data: Uint8Array,
+    windowSeconds: number,
+    options: BloomFilterOptions = {}
+  ): RollingBloomFilter | null {
+    const filter = new RollingBloomFilter(windowSeconds, options);
+    if (data.length < HEADER_BYTES) return null;
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const bytes = filter.bits / 8;
+    const count = view.getUint16(6);
+    if (
+      new TextDecoder().decode(data.subarray(0, 4)) !== MAGIC ||
+      view.getUint8(4) !== FORMAT_VERSION ||
+      view.getUint8(5) !== filter.hashes ||
+      view.getUint32(8) !== filter.bits ||
+      view.getUint32(12) !== filter.spanSeconds ||
+      data.length !== HEADER_BYTES + count * (4 + bytes)
+    ) {
+      return null;
+    }
+
+    let offset = HEADER_BYTES;
+    for (let i = 0; i < count; i++) {
+      const bucket = view.getUint32(offset);
+      filter.partitions.set(
+        bucket,
+        data.slice(offset + 4, offset + 4 + bytes)
+      );
+      offset += 4 + bytes;
+    }
+    filter.prune();
+    return filter;
+  }
+
+  /**
+   * Whether a partition still overlaps the window
+   */
+  private isLive(bucket: number): boolean {
+    const windowStart = Math.floor(Date.now() / 1000) - this.windowSeconds;
+    return (bucket + 1) * this.spanSeconds > windowStart;
+  }
+
+  /**
+   * Drop partitions that have slid out of the window
+   */
+  private prune(): void {
+    for (const bucket of this.partitions.keys()) {
+      if (!this.isLive(bucket)) {
+        this.partitions.delete(bucket);
+      }
+    }
+  }
+
+  private positions(eventId: string): number[] {
+    const [h1, h2] = hashes(eventId);
+    const positions: number[] = [];
+    for (let i = 0; i < this.hashes; i++) {
+      positions.push((h1 + i * h2) % this.bits);
+    }
+    return positions;
+  }
+}
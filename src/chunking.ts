@@ -0,0 +1,590 @@
+import { createHash } from "crypto";
+import type { Event as NostrEvent } from "nostr-tools";
+import type {
+  ChunkInfo,
+  ChunkLimits,
+  MessageContext,
+  MessageStream,
+  ReceivedMessage,
+} from "./types.js";
+import { safeJsonParse } from "./utils.js";
+
+/**
+ * Default maximum number of characters carried by a single chunk event
+ */
+export const DEFAULT_CHUNK_SIZE = 16384;
+
+/**
+ * Upper bound on chunks per message accepted by receivers
+ */
+export const MAX_CHUNKS = 4096;
+
+/**
+ * Default limits on partial messages held by a ChunkAssembler
+ */
+export const DEFAULT_CHUNK_LIMITS: Required<ChunkLimits> = {
+  maxPerSender: 8,
+  maxMessages: 128,
+  maxBytes: 64 * 1024 * 1024,
+};
+
+/**
+ * Received chunk with the metadata needed for reassembly
+ */
+export interface ChunkPart extends ReceivedMessage {
+  /** Chunk metadata from the envelope */
+  chunk: ChunkInfo;
+  /** Slice of the serialized payload */
+  data: string;
+}
+
+/**
+ * Partial message dropped by a ChunkAssembler before it was complete
+ */
+export interface DroppedMessage {
+  /**
+   * Why it was dropped: a limit was reached, it timed out, or the
+   * reassembled data failed verification
+   */
+  reason: "limit" | "timeout" | "invalid";
+  /** Message id shared by the chunks */
+  messageId: string;
+  /** Hex pubkey of the sender */
+  sender: string;
+  /** Chunk events received for the message */
+  events: NostrEvent[];
+}
+
+/**
+ * Fully reassembled chunked message
+ */
+export interface AssembledMessage extends ReceivedMessage {
+  /** Every chunk event that made up the message */
+  events: NostrEvent[];
+}
+
+/**
+ * Compute the digest used to verify reassembled payloads
+ */
+export function digestPayload(data: string): string {
+  return createHash("sha256").update(data, "utf8").digest("hex");
+}
+
+/**
+ * Split serialized payload data into slices of at most chunkSize characters
+ *
+ * Never splits a UTF-16 surrogate pair across two chunks.
+ *
+ * @param data - Serialized payload
+ * @param chunkSize - Maximum characters per chunk
+ * @returns Ordered chunk slices
+ */
+export function splitPayload(data: string, chunkSize: number): string[] {
+  if (!Number.isInteger(chunkSize) || chunkSize < 2) {
+    throw new Error("chunkSize must be an integer of at least 2");
+  }
+
+  const parts: string[] = [];
+  let offset = 0;
+  while (offset < data.length) {
+    let end = Math.min(offset + chunkSize, data.length);
+    const last = data.charCodeAt(end - 1);
+    if (end < data.length && last >= 0xd800 && last <= 0xdbff) {
+      end--; // Keep the high surrogate with its pair
+    }
+    parts.push(data.slice(offset, end));
+    offset = end;
+  }
+  return parts;
+}
+
+/**
+ * Validate chunk metadata from an untrusted envelope
+ */
+export function isValidChunkInfo(chunk: unknown): chunk is ChunkInfo {
+  if (!chunk || typeof chunk !== "object") return false;
+  const { messageId, index, total, digest, encoding } = chunk as ChunkInfo;
+  return (
+    typeof messageId === "string" &&
+    messageId.length > 0 &&
+    Number.isInteger(total) &&
+    total > 0 &&
+    total <= MAX_CHUNKS &&
+    Number.isInteger(index) &&
+    index >= 0 &&
+    index < total &&
+    typeof digest === "string" &&
+    (encoding === "json" || encoding === "text")
+  );
+}
+
+/**
+ * Turn reassembled data back into the original payload
+ */
+function decodePayload(data: string, encoding: ChunkInfo["encoding"]): unknown {
+  return encoding === "text" ? data : safeJsonParse(data);
+}
+
+/**
+ * Ordered, verified stream of the chunks of one message
+ *
+ * Yields chunk data in index order as soon as it is contiguous. Iteration
+ * throws if the reassembled data does not match the sender's digest or if
+ * the stream expires before every chunk arrives.
+ */
+export class ChunkStream implements MessageStream {
+  /** Message id shared by all chunks */
+  readonly messageId: string;
+  /** Total number of chunks */
+  readonly total: number;
+  /** How the payload was serialized: "text" for strings, "json" otherwise */
+  readonly encoding: ChunkInfo["encoding"];
+  /** Hex pubkey of the sender */
+  readonly sender: string;
+  /** Envelope metadata of the message */
+  readonly context: MessageContext;
+
+  private digest: string;
+  private parts = new Map<number, string>();
+  private events: NostrEvent[] = [];
+  private firstEvent: NostrEvent | null = null;
+  private next = 0;
+  private bytes = 0;
+  private hash = createHash("sha256");
+  private error: Error | null = null;
+  private waiters: Array<() => void> = [];
+
+  constructor(first: ChunkPart) {
+    this.messageId = first.chunk.messageId;
+    this.total = first.chunk.total;
+    this.encoding = first.chunk.encoding;
+    this.digest = first.chunk.digest;
+    this.sender = first.sender;
+    this.context = { ...first.context };
+  }
+
+  /**
+   * Event of the first chunk (index 0 once it has arrived)
+   */
+  get rawEvent(): NostrEvent {
+    return this.firstEvent || this.events[0];
+  }
+
+  /**
+   * Add a chunk; duplicates and mismatched metadata are ignored
+   *
+   * @returns true if the chunk was new
+   */
+  push(part: ChunkPart): boolean {
+    const { chunk } = part;
+    if (
+      this.error ||
+      chunk.total !== this.total ||
+      chunk.digest !== this.digest ||
+      chunk.encoding !== this.encoding ||
+      chunk.index < this.next ||
+      this.parts.has(chunk.index)
+    ) {
+      return false;
+    }
+
+    this.parts.set(chunk.index, part.data);
+    this.bytes += Buffer.byteLength(part.data);
+    this.events.push(part.rawEvent);
+    if (chunk.index === 0) {
+      this.firstEvent = part.rawEvent;
+    }
+    this.wake();
+    return true;
+  }
+
+  /**
+   * Abort the stream, making iteration throw
+   */
+  fail(error: Error): void {
+    if (this.error) return;
+    this.error = error;
+    this.wake();
+  }
+
+  /**
+   * Number of chunks received so far
+   */
+  received(): number {
+    return this.events.length;
+  }
+
+  /**
+   * Bytes of chunk data received but not yet iterated over
+   */
+  buffered(): number {
+    return this.bytes;
+  }
+
+  /**
+   * Chunk events received so far
+   */
+  getEvents(): NostrEvent[] {
+    return [...this.events];
+  }
+
+  /**
+   * Iterate over chunk data in order
+   */
+  async *[Symbol.asyncIterator](): AsyncIterator<string> {
+    while (this.next < this.total) {
+      if (this.error) {
+        throw this.error;
+      }
+
+      const data = this.parts.get(this.next);
+      if (data === undefined) {
+        await new Promise<void>((resolve) => this.waiters.push(resolve));
+        continue;
+      }
+
+      this.parts.delete(this.next);
+      this.bytes -= Buffer.byteLength(data);
+      this.next++;
+      this.hash.update(data, "utf8");
+
+      if (this.next === this.total && this.hash.digest("hex") !== this.digest) {
+        throw new Error(
+          `Digest mismatch for chunked message ${this.messageId}`
+        );
+      }
+
+      yield data;
+    }
+  }
+
+  private wake(): void {
+    const waiters = this.waiters;
+    this.waiters = [];
+    for (const resolve of waiters) {
+      resolve();
+    }
+  }
+}
+
+/**
+ * Partially received chunked message
+ */
+interface PendingMessage {
+  chunk: ChunkInfo;
+  parts: Map<number, string>;
+  bytes: number;
+  events: NostrEvent[];
+  first?: ChunkPart;
+  timer: NodeJS.Timeout;
+}
+
+/**
+ * Stream being fed with chunks as they arrive
+ */
+interface PendingStream {
+  stream: ChunkStream;
+  timer: NodeJS.Timeout;
+}
+
+/**
+ * Reassembles chunk events into complete messages
+ *
+ * Chunks are grouped by sender and message id. A message that receives no
+ * new chunk for `timeoutMs` is discarded. When an `onStream` callback is
+ * given, chunks are handed out as a ChunkStream instead of being buffered
+ * into a single payload.
+ *
+ * Partial messages are limited per sender, in total and by the bytes of
+ * chunk data they hold. Reaching a limit drops the oldest partial message
+ * and ignores the rest of its chunks. Dropped, timed out and invalid
+ * messages are reported to `onDrop`.
+ */
+export class ChunkAssembler {
+  private pending = new Map<string, PendingMessage>();
+  private streams = new Map<string, PendingStream>();
+  private completed = new Map<string, NodeJS.Timeout>();
+  private timeoutMs: number;
+  private onStream?: (stream: ChunkStream) => void;
+  private limits: Required<ChunkLimits>;
+  private onDrop?: (dropped: DroppedMessage) => void;
+  private onBuffer?: (event: NostrEvent) => void;
+
+  /**
+   * @param timeoutMs - Inactivity timeout for partial messages
+   * @param onStream - Receives a stream when the first chunk of a message arrives
+   * @param limits - Limits on partial messages (default: DEFAULT_CHUNK_LIMITS)
+   * @param onDrop - Called for each partial message dropped, timed out or
+   *   failing verification
+   * @param onBuffer - Called with the event of each new chunk held for a
+   *   message
+   */
+  constructor(
+    timeoutMs: number,
+    onStream?: (stream: ChunkStream) => void,
+    limits: ChunkLimits = {},
+    onDrop?: (dropped: DroppedMessage) => void,
+    onBuffer?: (event: NostrEvent) => void
+  ) {
+    this.timeoutMs = timeoutMs;
+    this.onStream = onStream;
+    this.limits = { ...DEFAULT_CHUNK_LIMITS, ...limits };
+    this.onDrop = onDrop;
+    this.onBuffer = onBuffer;
+  }
+
+  /**
+   * Add a chunk and return the message once it is complete
+   *
+   * @param part - Decrypted chunk
+   * @returns The reassembled message, or null while chunks are missing
+   *   (always null in streaming mode)
+   * @throws {Error} When the reassembled data fails verification
+   */
+  add(part: ChunkPart): AssembledMessage | null {
+    const { chunk } = part;
+    const key = `${part.sender}:${chunk.messageId}`;
+
+    if (this.completed.has(key)) {
+      return null; // Late chunk of a delivered or dropped message
+    }
+
+    if (this.onStream) {
+      this.addToStream(key, part);
+      return null;
+    }
+
+    let pending = this.pending.get(key);
+    if (pending) {
+      clearTimeout(pending.timer);
+      pending.timer = this.expireLater(key);
+    } else {
+      this.makeRoom(part.sender);
+      pending = {
+        chunk,
+        parts: new Map(),
+        bytes: 0,
+        events: [],
+        timer: this.expireLater(key),
+      };
+      this.pending.set(key, pending);
+    }
+
+    if (
+      chunk.total !== pending.chunk.total ||
+      chunk.digest !== pending.chunk.digest ||
+      chunk.encoding !== pending.chunk.encoding ||
+      pending.parts.has(chunk.index)
+    ) {
+      return null;
+    }
+
+    pending.parts.set(chunk.index, part.data);
+    pending.bytes += Buffer.byteLength(part.data);
+    pending.events.push(part.rawEvent);
+    if (chunk.index === 0) {
+      pending.first = part;
+    }
+    this.onBuffer?.(part.rawEvent);
+
+    if (pending.parts.size < chunk.total) {
+      this.enforceByteLimit();
+      return null;
+    }
+
+    // All chunks present: reassemble and verify
+    clearTimeout(pending.timer);
+    this.pending.delete(key);
+    this.markCompleted(key);
+
+    let data = "";
+    for (let i = 0; i < chunk.total; i++) {
+      data += pending.parts.get(i)!;
+    }
+
+    // The buffered chunks are reported before throwing so they are not
+    // left pending
+    let payload: unknown;
+    try {
+      if (digestPayload(data) !== chunk.digest) {
+        throw new Error(
+          `Digest mismatch for chunked message ${chunk.messageId} from ${part.sender}`
+        );
+      }
+      payload = decodePayload(data, chunk.encoding);
+    } catch (error) {
+      this.onDrop?.({
+        reason: "invalid",
+        messageId: chunk.messageId,
+        sender: part.sender,
+        events: pending.events,
+      });
+      throw error;
+    }
+
+    const first = pending.first!;
+    return {
+      payload,
+      sender: first.sender,
+      rawEvent: first.rawEvent,
+      context: { ...first.context },
+      events: pending.events,
+    };
+  }
+
+  /**
+   * Drop all partial messages and timers, failing open streams
+   */
+  clear(): void {
+    for (const pending of this.pending.values()) {
+      clearTimeout(pending.timer);
+    }
+    for (const { stream, timer } of this.streams.values()) {
+      clearTimeout(timer);
+      stream.fail(new Error("Subscription closed"));
+    }
+    for (const timer of this.completed.values()) {
+      clearTimeout(timer);
+    }
+    this.pending.clear();
+    this.streams.clear();
+    this.completed.clear();
+  }
+
+  private addToStream(key: string, part: ChunkPart): void {
+    let entry = this.streams.get(key);
+    if (entry) {
+      clearTimeout(entry.timer);
+      entry.timer = this.expireLater(key);
+    } else {
+      this.makeRoom(part.sender);
+      entry = { stream: new ChunkStream(part), timer: this.expireLater(key) };
+      this.streams.set(key, entry);
+      this.onStream!(entry.stream);
+    }
+
+    if (entry.stream.push(part)) {
+      this.onBuffer?.(part.rawEvent);
+    }
+
+    if (entry.stream.received() === entry.stream.total) {
+      clearTimeout(entry.timer);
+      this.streams.delete(key);
+      this.markCompleted(key);
+    } else {
+      this.enforceByteLimit();
+    }
+  }
+
+  /**
+   * Keys of the partial messages, oldest first
+   */
+  private partialKeys(): string[] {
+    return [...(this.onStream ? this.streams : this.pending).keys()];
+  }
+
+  /**
+   * Drop the oldest partial messages so one more from `sender` fits within
+   * the per-sender and total limits
+   */
+  private makeRoom(sender: string): void {
+    const fromSender = this.partialKeys().filter((key) =>
+      key.startsWith(`${sender}:`)
+    );
+    if (fromSender.length >= this.limits.maxPerSender) {
+      this.drop(
+        fromSender[0],
+        `more than ${this.limits.maxPerSender} partial messages from ${sender}`
+      );
+    }
+
+    const keys = this.partialKeys();
+    if (keys.length >= this.limits.maxMessages) {
+      this.drop(
+        keys[0],
+        `more than ${this.limits.maxMessages} partial messages`
+      );
+    }
+  }
+
+  /**
+   * Drop the oldest partial messages until the buffered chunk data fits
+   * within maxBytes
+   */
+  private enforceByteLimit(): void {
+    const bytes = () => {
+      let total = 0;
+      for (const pending of this.pending.values()) {
+        total += pending.bytes;
+      }
+      for (const { stream } of this.streams.values()) {
+        total += stream.buffered();
+      }
+      return total;
+    };
+
+    while (bytes() > this.limits.maxBytes) {
+      this.drop(
+        this.partialKeys()[0],
+        `more than ${this.limits.maxBytes} bytes of partial messages`
+      );
+    }
+  }
+
+  /**
+   * Drop a partial message to stay within the limits, ignoring its
+   * remaining chunks
+   */
+  private drop(key: string, reason: string): void {
+    const pending = this.pending.get(key);
+    const entry = this.streams.get(key);
+    clearTimeout((pending || entry)!.timer);
+    this.pending.delete(key);
+    this.streams.delete(key);
+    this.markCompleted(key);
+
+    const messageId = pending?.chunk.messageId || entry!.stream.messageId;
+    const sender = key.slice(0, key.indexOf(":"));
+    const message = `Chunked message ${messageId} dropped: ${reason}`;
+    console.warn(message);
+    entry?.stream.fail(new Error(message));
+    this.onDrop?.({
+      reason: "limit",
+      messageId,
+      sender,
+      events: pending ? pending.events : entry!.stream.getEvents(),
+    });
+  }
+
+  private expireLater(key: string): NodeJS.Timeout {
+    const timer = setTimeout(() => {
+      const pending = this.pending.get(key);
+      const entry = this.streams.get(key);
+      const chunk = pending?.chunk;
+      const received = pending ? pending.parts.size : entry?.stream.received();
+      const total = pending ? pending.chunk.total : entry?.stream.total;
+      const messageId = chunk?.messageId || entry?.stream.messageId;
+
+      this.pending.delete(key);
+      this.streams.delete(key);
+
+      const message = `Chunked message ${messageId} timed out: received ${received}/${total} chunks within ${this.timeoutMs}ms`;
+      console.warn(message);
+      entry?.stream.fail(new Error(message));
+      this.onDrop?.({
+        reason: "timeout",
+        messageId: messageId!,
+        sender: key.slice(0, key.indexOf(":")),
+        events: pending ? pending.events : entry?.stream.getEvents() || [],
+      });
+    }, this.timeoutMs);
+    timer.unref?.();
+    return timer;
+  }
+
+  private markCompleted(key: string): void {
+    const timer = setTimeout(() => this.completed.delete(key), this.timeoutMs);
+    timer.unref?.();
+    this.completed.set(key, timer);
+  }
+}
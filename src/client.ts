@@ -0,0 +1,359 @@
+import { EventEmitter } from "events";
+import type {
+  ClientOptions,
+  ConnectOptions,
+  NostrMQConfig,
+  ReceiveOpts,
+  RequestOpts,
+  SendOpts,
+  SendReceipt,
+  Signer,
+  SubscriptionHandle,
+} from "./types.js";
+import { RelayPool, createRelayPool } from "./relayPool.js";
+import { loadConfig, withTimeout } from "./utils.js";
+import { publishMessage } from "./send.js";
+import { createReceiver } from "./receive.js";
+import { performRequest } from "./request.js";
+import { getSigner } from "./signer.js";
+import {
+  INBOX_RELAY_LIST_KIND,
+  RELAY_LIST_KIND,
+  RelayListCache,
+  parseInboxRelays,
+} from "./outbox.js";
+
+/**
+ * Long-lived NostrMQ client sharing one set of relay connections
+ *
+ * Every send, receive and request made through the client reuses the same
+ * RelayPool, which reconnects dropped relays automatically. Connections are
+ * opened on first use and kept until close() is called, or until the client
+ * has been idle for `idleTimeoutMs` if that option is set.
+ *
+ * Emits "close" once the client has been closed.
+ */
+export class NostrMQClient extends EventEmitter {
+  /** Configuration used for signing, encryption and default relays */
+  readonly config: NostrMQConfig;
+  /** Signer of the client identity */
+  readonly signer: Signer;
+
+  private relayPool: RelayPool;
+  private idleTimeoutMs?: number;
+  private activeUsers = 0;
+  private idleTimer: NodeJS.Timeout | null = null;
+  private disconnecting: Promise<void> | null = null;
+  private identity: Promise<string> | null = null;
+  private relayLists: RelayListCache;
+  private closed = false;
+
+  constructor(config?: NostrMQConfig, options: ClientOptions = {}) {
+    super();
+    this.setMaxListeners(0); // One listener per open subscription
+    const baseConfig = config || loadConfig();
+    this.signer = getSigner(baseConfig);
+    this.config = { ...baseConfig, signer: this.signer };
+    this.idleTimeoutMs = options.idleTimeoutMs;
+    this.relayLists = new RelayListCache(
+      options.relayListTtlMs ?? 10 * 60 * 1000
+    );
+
+    this.relayPool = createRelayPool(this.config, {
+      maxReconnectAttempts: Infinity,
+      ...options,
+    });
+    this.relayPool.setMaxListeners(0);
+
+    // Handle relay connection events
+    this.relayPool.on("relay:connected", (url: string) => {
+      console.log(`Connected to relay: ${url}`);
+    });
+
+    this.relayPool.on("relay:disconnected", (url: string, error?: Error) => {
+      console.warn(`Disconnected from relay ${url}:`, error?.message);
+    });
+
+    this.relayPool.on("relay:error", (url: string, error: Error) => {
+      console.error(`Relay error from ${url}:`, error.message);
+    });
+
+    this.relayPool.on("relay:stale", (url: string, idleMs: number) => {
+      console.warn(`Relay ${url} silent for ${idleMs}ms, reconnecting`);
+    });
+
+    this.relayPool.on(
+      "relay:auth",
+      (url: string, accepted: boolean, message: string) => {
+        if (accepted) {
+          console.log(`Authenticated to relay: ${url}`);
+        } else {
+          console.warn(`Relay ${url} refused authentication:`, message);
+        }
+      }
+    );
+  }
+
+  /**
+   * Send a message over the client's relay connections
+   *
+   * @param opts - Send options containing payload, target, and configuration
+   * @returns Promise resolving to the event ID of the published message
+   */
+  async send(opts: SendOpts): Promise<string> {
+    const { eventId } = await publishMessage(this, opts);
+    return eventId;
+  }
+
+  /**
+   * Send a message and report how each relay responded
+   *
+   * @param opts - Send options containing payload, target, and configuration
+   * @returns Promise resolving to the event ID and per-relay OK responses
+   */
+  sendWithReceipt(opts: SendOpts): Promise<SendReceipt> {
+    return publishMessage(this, opts);
+  }
+
+  /**
+   * Subscribe to incoming messages over the client's relay connections
+   *
+   * @param opts - Receive options containing callback and configuration
+   * @returns SubscriptionHandle for managing the subscription
+   */
+  receive(opts: ReceiveOpts): SubscriptionHandle {
+    return createReceiver(opts, this);
+  }
+
+  /**
+   * Send a request and wait for the correlated reply
+   *
+   * @param opts - Request options containing payload, target, and configuration
+   * @returns Promise resolving to the reply payload
+   */
+  request(opts: RequestOpts): Promise<unknown> {
+    return performRequest(this, opts);
+  }
+
+  /**
+   * Connect to relays ahead of the first send or subscription
+   *
+   * @param relays - Relays to connect to (default: configured relays)
+   * @param options - How many relays must connect before resolving
+   */
+  async connect(relays?: string[], options?: ConnectOptions): Promise<void> {
+    await this.acquire(relays || this.config.relays, undefined, options);
+    this.release();
+  }
+
+  /**
+   * Public key of the client identity, asked from the signer once
+   *
+   * Also updates `config.pubkey`, which for a NIP-46 signer starts out as
+   * the remote signer pubkey.
+   */
+  getPublicKey(): Promise<string> {
+    if (!this.identity) {
+      this.identity = this.signer.getPublicKey().then((pubkey) => {
+        this.config.pubkey = pubkey;
+        return pubkey;
+      });
+
+      // Allow retrying after a failed lookup
+      this.identity.catch(() => {
+        this.identity = null;
+      });
+    }
+
+    return this.identity;
+  }
+
+  /**
+   * Relays a pubkey reads messages from, according to its NIP-65 (kind
+   * 10002) and inbox (kind 10050) relay lists
+   *
+   * Lists are looked up on the given relays and cached for `relayListTtlMs`.
+   *
+   * @param pubkey - Hex pubkey to look up
+   * @param relays - Relays to search (default: configured relays)
+   * @param timeoutMs - How long to wait for the relays (default: 2000)
+   * @returns The announced inbox relays, empty if there are none
+   */
+  getInboxRelays(
+    pubkey: string,
+    relays: string[] = this.config.relays,
+    timeoutMs = 2000
+  ): Promise<string[]> {
+    return this.relayLists.get(pubkey, async () => {
+      const relayPool = await this.acquire(relays, timeoutMs);
+      try {
+        const events = await relayPool.query(
+          [
+            {
+              kinds: [RELAY_LIST_KIND, INBOX_RELAY_LIST_KIND],
+              authors: [pubkey],
+            },
+          ],
+          relays,
+          timeoutMs
+        );
+        return parseInboxRelays(pubkey, events);
+      } finally {
+        this.release();
+      }
+    });
+  }
+
+  /**
+   * Underlying relay pool, for listening to relay events
+   */
+  getRelayPool(): RelayPool {
+    return this.relayPool;
+  }
+
+  /**
+   * Whether close() has been called
+   */
+  isClosed(): boolean {
+    return this.closed;
+  }
+
+  /**
+   * Close all subscriptions and relay connections
+   *
+   * The client cannot be used afterwards.
+   */
+  async close(): Promise<void> {
+    if (this.closed) return;
+
+    this.closed = true;
+    this.clearIdleTimer();
+    this.emit("close");
+
+    await this.disconnecting;
+    await this.relayPool.disconnect();
+    await this.signer.close?.();
+  }
+
+  /**
+   * Make sure the given relays are part of the pool and connected
+   *
+   * Every successful call must be paired with release(), which lets the
+   * client disconnect once it is idle.
+   *
+   * @internal
+   * @param relays - Relays the caller is about to use
+   * @param timeoutMs - Give up connecting after this long
+   * @param options - How many relays must connect before resolving
+   * @returns The connected relay pool
+   */
+  async acquire(
+    relays: string[],
+    timeoutMs?: number,
+    options?: ConnectOptions
+  ): Promise<RelayPool> {
+    if (this.closed) {
+      throw new Error("Client is closed");
+    }
+
+    this.activeUsers++;
+    this.clearIdleTimer();
+
+    try {
+      // Let an idle disconnect finish before reconnecting
+      await this.disconnecting;
+
+      for (const url of relays) {
+        this.relayPool.addRelay(url);
+      }
+
+      // waitForAllMs is extra time on top of the connection timeout
+      const connecting = this.relayPool.connect(relays, options);
+      await (timeoutMs
+        ? withTimeout(
+            connecting,
+            timeoutMs + (options?.waitForAllMs ?? 0),
+            "Failed to connect to relays within timeout"
+          )
+        : connecting);
+
+      return this.relayPool;
+    } catch (error) {
+      this.release();
+      throw error;
+    }
+  }
+
+  /**
+   * Signal that a caller of acquire() no longer needs the connections
+   *
+   * @internal
+   */
+  release(): void {
+    this.activeUsers = Math.max(0, this.activeUsers - 1);
+    if (
+      this.activeUsers > 0 ||
+      this.closed ||
+      this.idleTimeoutMs === undefined
+    ) {
+      return;
+    }
+
+    this.clearIdleTimer();
+    this.idleTimer = setTimeout(() => {
+      this.idleTimer = null;
+      if (this.activeUsers > 0 || this.closed) return;
+
+      this.disconnecting = Promise.all([
+        this.relayPool.disconnect(),
+        this.signer.close?.(),
+      ])
+        .then(() => {})
+        .catch((error) => {
+          console.warn("Failed to disconnect from relays:", error);
+        })
+        .finally(() => {
+          this.disconnecting = null;
+        });
+    }, this.idleTimeoutMs);
+  }
+
+  private clearIdleTimer(): void {
+    if (this.idleTimer) {
+      clearTimeout(this.idleTimer);
+      this.idleTimer = null;
+    }
+  }
+}
+
+/**
+ * Client behind the top-level send(), receive() and request() functions
+ */
+let defaultClient: NostrMQClient | null = null;
+
+/**
+ * Create a long-lived client that shares relay connections between calls
+ *
+ * @param config - Configuration to use (default: loaded from environment)
+ * @param options - Reconnection and idle settings
+ * @returns A new NostrMQClient
+ */
+export function createClient(
+  config?: NostrMQConfig,
+  options?: ClientOptions
+): NostrMQClient {
+  return new NostrMQClient(config, options);
+}
+
+/**
+ * Get the shared default client, creating it from the environment on first use
+ *
+ * The default client disconnects as soon as no send or subscription is using
+ * it, so short-lived scripts exit once their work is done.
+ */
+export function getDefaultClient(): NostrMQClient {
+  if (!defaultClient || defaultClient.isClosed()) {
+    defaultClient = new NostrMQClient(undefined, { idleTimeoutMs: 0 });
+  }
+  return defaultClient;
+}
@@ -0,0 +1,78 @@
+import { promises as fs } from "fs";
+import { join } from "path";
+import type { DeadLetter, DeadLetterStore } from "./types.js";
+import { ensureCacheDir, getTrackingConfig } from "./utils.js";
+
+/**
+ * Dead-letter store keeping one JSON file per failed message
+ *
+ * Files are named after the id of the event that carried the message, so a
+ * message failing again after a replay replaces its previous entry.
+ */
+export class FileDeadLetterStore implements DeadLetterStore {
+  /** Directory holding the dead-letter files */
+  readonly dir: string;
+
+  /**
+   * @param dir - Directory to store messages in (default: "dead-letter" under the tracking cacheDir)
+   */
+  constructor(dir?: string) {
+    this.dir = dir || join(getTrackingConfig().cacheDir, "dead-letter");
+  }
+
+  async put(letter: DeadLetter): Promise<void> {
+    if (!(await ensureCacheDir(this.dir))) {
+      throw new Error(`Failed to create dead-letter directory ${this.dir}`);
+    }
+
+    // Write to a temporary file first so readers never see a partial entry
+    const file = this.fileFor(letter.id);
+    const tempFile = `${file}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(letter, null, 2));
+    await fs.rename(tempFile, file);
+  }
+
+  async list(): Promise<DeadLetter[]> {
+    let files: string[];
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+        return [];
+      }
+      throw error;
+    }
+
+    const letters: DeadLetter[] = [];
+    for (const file of files.filter((name) => name.endsWith(".json"))) {
+      try {
+        const data = await fs.readFile(join(this.dir, file), "utf8");
+        letters.push(JSON.parse(data));
+      } catch (error) {
+        console.warn(`Skipping unreadable dead letter ${file}:`, error);
+      }
+    }
+
+    return letters.sort((a, b) => a.failedAt - b.failedAt);
+  }
+
+  async remove(id: string): Promise<void> {
+    await fs.rm(this.fileFor(id), { force: true });
+  }
+
+  private fileFor(id: string): string {
+    if (!/^[a-zA-Z0-9_-]+$/.test(id)) {
+      throw new Error(`Invalid dead letter id: ${id}`);
+    }
+    return join(this.dir, `${id}.json`);
+  }
+}
+
+/**
+ * Create a dead-letter store under a directory
+ *
+ * @param dir - Directory to store messages in (default: "dead-letter" under the tracking cacheDir)
+ */
+export function createDeadLetterStore(dir?: string): FileDeadLetterStore {
+  return new FileDeadLetterStore(dir);
+}
@@ -0,0 +1,185 @@
+import type { Event as NostrEvent } from "nostr-tools";
+import type { OverflowPolicy } from "./types.js";
+
+/**
+ * Message waiting for a handler slot
+ */
+export interface QueuedDelivery {
+  /** Hex pubkey of the sender, used for per-sender ordering */
+  sender: string;
+  /** Event timestamp the sender's messages are ordered by */
+  createdAt: number;
+  /** Event that carried the message */
+  event: NostrEvent;
+  /** Run the handlers for the message */
+  run: () => Promise<void>;
+  /** Release resources held by the message when it is dropped */
+  discard?: () => void;
+}
+
+/**
+ * Settings and callbacks of a DeliveryQueue
+ */
+export interface DeliveryQueueOpts {
+  /** Maximum number of deliveries running at once */
+  concurrency: number;
+  /** Maximum number of deliveries waiting for a slot */
+  maxQueue: number;
+  /** What to do when the queue is full */
+  overflow: OverflowPolicy;
+  /** Called for every delivery dropped by the overflow policy */
+  onDrop: (delivery: QueuedDelivery) => void;
+  /** Called when a "pause" queue fills up */
+  onPause: () => void;
+  /** Called when a paused queue has drained to half of maxQueue */
+  onResume: () => void;
+}
+
+/**
+ * Schedules message deliveries with bounded concurrency
+ *
+ * Messages from one sender run one at a time, in created_at order among
+ * those waiting; different senders take turns for the free slots. When more
+ * than `maxQueue` deliveries are waiting, the overflow policy either drops
+ * the oldest or the newest one, or keeps it and asks the owner to pause.
+ * Deliveries for an event that is already waiting or running are ignored, so
+ * events replayed when a paused subscription resumes are not handled twice.
+ */
+export class DeliveryQueue {
+  private opts: DeliveryQueueOpts;
+  private waiting = new Set<QueuedDelivery>();
+  private bySender = new Map<string, QueuedDelivery[]>();
+  private busySenders = new Set<string>();
+  private pendingEvents = new Set<string>();
+  private running = 0;
+  private paused = false;
+
+  constructor(opts: DeliveryQueueOpts) {
+    this.opts = opts;
+  }
+
+  /**
+   * Number of deliveries waiting for a slot
+   */
+  get size(): number {
+    return this.waiting.size;
+  }
+
+  /**
+   * Queue a delivery, starting it right away if a slot is free
+   */
+  push(delivery: QueuedDelivery): void {
+    const { maxQueue, overflow } = this.opts;
+    if (this.pendingEvents.has(delivery.event.id)) return;
+
+    if (this.waiting.size >= maxQueue) {
+      if (overflow === "drop-newest") {
+        this.opts.onDrop(delivery);
+        return;
+      }
+
+      if (overflow === "drop-oldest") {
+        const oldest = this.waiting.values().next().value!;
+        this.remove(oldest);
+        this.pendingEvents.delete(oldest.event.id);
+        this.opts.onDrop(oldest);
+      }
+    }
+
+    this.pendingEvents.add(delivery.event.id);
+    this.waiting.add(delivery);
+    const queue = this.bySender.get(delivery.sender) || [];
+    let index = queue.length;
+    while (index > 0 && queue[index - 1].createdAt > delivery.createdAt) {
+      index--;
+    }
+    queue.splice(index, 0, delivery);
+    this.bySender.set(delivery.sender, queue);
+    this.dispatch();
+
+    if (overflow === "pause" && !this.paused && this.waiting.size >= maxQueue) {
+      this.paused = true;
+      this.opts.onPause();
+    }
+  }
+
+  /**
+   * Discard all waiting deliveries; running ones are left to finish
+   */
+  clear(): void {
+    for (const delivery of this.waiting) {
+      this.pendingEvents.delete(delivery.event.id);
+    }
+    this.waiting.clear();
+    this.bySender.clear();
+  }
+
+  /**
+   * Start waiting deliveries while slots and idle senders are available
+   */
+  private dispatch(): void {
+    while (this.running < this.opts.concurrency) {
+      let next: QueuedDelivery | undefined;
+      for (const [sender, queue] of this.bySender) {
+        if (!this.busySenders.has(sender)) {
+          next = queue[0];
+          break;
+        }
+      }
+      if (!next) break;
+
+      this.remove(next);
+      this.start(next);
+    }
+
+    this.maybeResume();
+  }
+
+  private start(delivery: QueuedDelivery): void {
+    const { sender } = delivery;
+    this.running++;
+    this.busySenders.add(sender);
+
+    delivery
+      .run()
+      .catch((error) => {
+        console.error(`Failed to deliver message from ${sender}:`, error);
+      })
+      .finally(() => {
+        this.running--;
+        this.busySenders.delete(sender);
+        this.pendingEvents.delete(delivery.event.id);
+
+        // Let other senders go first before this one's next message
+        const queue = this.bySender.get(sender);
+        if (queue) {
+          this.bySender.delete(sender);
+          this.bySender.set(sender, queue);
+        }
+
+        this.dispatch();
+      });
+  }
+
+  private remove(delivery: QueuedDelivery): void {
+    this.waiting.delete(delivery);
+
+    const queue = this.bySender.get(delivery.sender);
+    if (!queue) return;
+
+    queue.splice(queue.indexOf(delivery), 1);
+    if (queue.length === 0) {
+      this.bySender.delete(delivery.sender);
+    }
+  }
+
+  private maybeResume(): void {
+    if (
+      this.paused &&
+      this.waiting.size <= Math.floor(this.opts.maxQueue / 2)
+    ) {
+      this.paused = false;
+      this.opts.onResume();
+    }
+  }
+}
@@ -0,0 +1,63 @@
+import type { EncryptionScheme, Signer } from "./types.js";
+
+/**
+ * Check that a value names a supported encryption scheme
+ */
+export function isValidEncryptionScheme(
+  scheme: unknown
+): scheme is EncryptionScheme {
+  return scheme === "nip04" || scheme === "nip44";
+}
+
+/**
+ * Detect the encryption scheme of event content
+ *
+ * NIP-04 ciphertext always carries a `?iv=` suffix, while NIP-44 payloads
+ * are plain base64 whose first decoded byte is the version (2).
+ *
+ * @param content - Encrypted event content
+ * @returns The detected scheme, or null if the format is not recognised
+ */
+export function detectEncryption(content: string): EncryptionScheme | null {
+  if (typeof content !== "string" || content.length === 0) {
+    return null;
+  }
+
+  if (content.includes("?iv=")) {
+    return "nip04";
+  }
+
+  try {
+    const version = Buffer.from(content.slice(0, 4), "base64")[0];
+    if (version === 2) {
+      return "nip44";
+    }
+  } catch {
+    // Not base64
+  }
+
+  return null;
+}
+
+/**
+ * Decrypt content from a sender, detecting the scheme from the ciphertext
+ *
+ * @param signer - Signer of the recipient
+ * @param pubkey - Sender public key (hex)
+ * @param content - Encrypted content
+ * @returns Promise resolving to the plaintext and the scheme it used
+ *
+ * @throws {Error} When the scheme cannot be detected or decryption fails
+ */
+export async function decryptContent(
+  signer: Signer,
+  pubkey: string,
+  content: string
+): Promise<{ plaintext: string; scheme: EncryptionScheme }> {
+  const scheme = detectEncryption(content);
+  if (!scheme) {
+    throw new Error("Unrecognised encryption format");
+  }
+
+  return { plaintext: await signer.decrypt(scheme, pubkey, content), scheme };
+}
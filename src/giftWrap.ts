@@ -0,0 +1,178 @@
+import {
+  generateSecretKey,
+  getEventHash,
+  getPublicKey,
+  verifyEvent,
+} from "nostr-tools";
+import type {
+  Event as NostrEvent,
+  EventTemplate,
+  UnsignedEvent,
+} from "nostr-tools";
+import type { Signer } from "./types.js";
+import { decryptContent } from "./encryption.js";
+import { LocalSigner } from "./signer.js";
+import { safeJsonParse, safeJsonStringify } from "./utils.js";
+
+/**
+ * Kind of the NIP-59 seal carrying the signed-by-sender layer
+ */
+export const SEAL_KIND = 13;
+
+/**
+ * Kind of the NIP-59 gift wrap published to relays
+ */
+export const GIFT_WRAP_KIND = 1059;
+
+/**
+ * How far back seal timestamps are randomised (NIP-59 recommends two days)
+ */
+const SEAL_TIMESTAMP_JITTER_SECONDS = 2 * 24 * 60 * 60;
+
+/**
+ * Unsigned inner event of a gift wrap
+ */
+export interface Rumor extends UnsignedEvent {
+  id: string;
+}
+
+/**
+ * Build an unsigned rumor authored by the given pubkey
+ *
+ * @param template - Event template of the inner message
+ * @param pubkey - Real author of the message
+ * @returns Rumor with its computed id
+ */
+export function createRumor(template: EventTemplate, pubkey: string): Rumor {
+  const unsigned: UnsignedEvent = { ...template, pubkey };
+  return { ...unsigned, id: getEventHash(unsigned) };
+}
+
+/**
+ * Seal a rumor for a recipient, signed by the real sender
+ *
+ * @param rumor - Rumor to seal
+ * @param signer - Signer of the sender
+ * @param recipient - Recipient public key (hex)
+ * @returns Signed kind 13 seal
+ */
+export async function createSeal(
+  rumor: Rumor,
+  signer: Signer,
+  recipient: string
+): Promise<NostrEvent> {
+  const content = await signer.encrypt(
+    "nip44",
+    recipient,
+    safeJsonStringify(rumor)
+  );
+
+  return signer.signEvent({
+    kind: SEAL_KIND,
+    created_at:
+      Math.floor(Date.now() / 1000) -
+      Math.floor(Math.random() * SEAL_TIMESTAMP_JITTER_SECONDS),
+    tags: [],
+    content,
+  });
+}
+
+/**
+ * Build the unsigned gift wrap around a seal using a throwaway key
+ *
+ * The wrap keeps the current time as created_at instead of randomising it:
+ * receivers filter subscriptions with `since`, so a backdated wrap would be
+ * skipped. The seal timestamp is still randomised.
+ *
+ * @param seal - Signed seal to wrap
+ * @param recipient - Recipient public key (hex)
+ * @returns Wrap template and the throwaway key that must sign it
+ */
+export async function createWrapTemplate(
+  seal: NostrEvent,
+  recipient: string
+): Promise<{
+  template: EventTemplate & { pubkey: string };
+  secretKey: Uint8Array;
+}> {
+  const secretKey = generateSecretKey();
+  const content = await new LocalSigner(secretKey).encrypt(
+    "nip44",
+    recipient,
+    safeJsonStringify(seal)
+  );
+
+  return {
+    template: {
+      kind: GIFT_WRAP_KIND,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [["p", recipient]],
+      content,
+      pubkey: getPublicKey(secretKey),
+    },
+    secretKey,
+  };
+}
+
+/**
+ * Unwrap a gift wrap and recover the verified sender
+ *
+ * @param wrap - Kind 1059 gift wrap event
+ * @param signer - Signer of the recipient
+ * @returns The inner rumor and the seal whose pubkey is the real sender
+ *
+ * @throws {Error} When a layer cannot be decrypted, parsed or verified
+ */
+export async function unwrapGiftWrap(
+  wrap: NostrEvent,
+  signer: Signer
+): Promise<{ rumor: Rumor; seal: NostrEvent }> {
+  if (wrap.kind !== GIFT_WRAP_KIND) {
+    throw new Error(`Expected kind ${GIFT_WRAP_KIND}, got ${wrap.kind}`);
+  }
+
+  // 1. Open the wrap with the throwaway key
+  const { plaintext: sealJson, scheme: wrapScheme } = await decryptContent(
+    signer,
+    wrap.pubkey,
+    wrap.content
+  );
+  if (wrapScheme !== "nip44") {
+    throw new Error("Gift wrap must be NIP-44 encrypted");
+  }
+  const seal = safeJsonParse(sealJson) as NostrEvent;
+
+  if (!seal || seal.kind !== SEAL_KIND) {
+    throw new Error("Gift wrap does not contain a seal");
+  }
+
+  if (!verifyEvent(seal)) {
+    throw new Error("Seal signature is invalid");
+  }
+
+  // 2. Open the seal with the real sender's key
+  const { plaintext: rumorJson, scheme: sealScheme } = await decryptContent(
+    signer,
+    seal.pubkey,
+    seal.content
+  );
+  if (sealScheme !== "nip44") {
+    throw new Error("Seal must be NIP-44 encrypted");
+  }
+  const rumor = safeJsonParse(rumorJson) as Rumor;
+
+  if (!rumor || typeof rumor !== "object") {
+    throw new Error("Seal does not contain a rumor");
+  }
+
+  // 3. The rumor must be authored by the seal signer and hash correctly
+  if (rumor.pubkey !== seal.pubkey) {
+    throw new Error("Rumor author does not match seal signer");
+  }
+
+  if (rumor.id !== getEventHash(rumor)) {
+    throw new Error("Rumor id does not match its content");
+  }
+
+  return { rumor, seal };
+}
@@ -43,6 +43,7 @@
  * - `NOSTR_RELAYS`: Comma-separated relay URLs (required; no fallback)
  * - `NOSTR_POW_DIFFICULTY`: Default PoW bits (optional)
  * - `NOSTR_POW_THREADS`: Worker threads for PoW (optional)
+ * - `NOSTR_ENCRYPTION`: Default payload encryption, nip04 or nip44 (optional)
  *
  * @since 1.0.0
  */
@@ -50,7 +51,7 @@
 /**
  * Send an encrypted message via NostrMQ
  *
- * Encrypts and publishes a message to the specified recipient using NIP-04 encryption
+ * Encrypts and publishes a message to the specified recipient using NIP-44 or NIP-04 encryption
  * and Nostr kind 30072 events. Supports optional proof-of-work mining for spam prevention.
  *
  * @param opts - Send options containing payload, target, and configuration
@@ -60,13 +61,22 @@
  * @param opts.relays - Override default relay URLs
  * @param opts.pow - PoW mining: false=none, true=use env config, number=explicit bits
  * @param opts.timeoutMs - Connection/publish timeout in milliseconds (default: 2000)
- * @returns Promise resolving to the event ID of the published message
+ * @param opts.encryption - Payload encryption scheme: "nip04" or "nip44" (default: NOSTR_ENCRYPTION, else "nip04")
+ * @param opts.giftWrap - Publish as a NIP-59 gift wrap signed by a throwaway key (always NIP-44)
+ * @param opts.awaitAck - Resolve only after the recipient acknowledges the message
+ * @param opts.ackTimeoutMs - How long to wait for the acknowledgement (default: 30000)
+ * @param opts.chunkSize - Split serialized payloads longer than this many characters into chunk events (default: 16384)
+ * @param opts.quorum - Fail unless at least this many relays accept each event (default: 1)
+ * @param opts.minConnected - Relays that must be connected before publishing (default: quorum)
+ * @param opts.waitForAllMs - Extra time to let the remaining relays connect before publishing (default: 0)
+ * @returns Promise resolving to the event ID of the published message (the first chunk for chunked payloads)
  *
  * @throws {Error} When payload is missing or invalid
  * @throws {Error} When target pubkey is missing or invalid format
  * @throws {Error} When encryption fails
  * @throws {Error} When PoW mining fails or times out
- * @throws {Error} When publishing to relays fails
+ * @throws {Error} When fewer than `quorum` relays accept the event
+ * @throws {Error} When awaitAck is set and the acknowledgement reports a handler error or times out
  *
  * @example Simple message
  * ```typescript
@@ -89,17 +99,57 @@
  */
 export { send } from "./send.js";
 
+/**
+ * Send an encrypted message and report how each relay responded
+ *
+ * Takes the same options as send(). Resolves with the event ID, the number
+ * of relays that accepted the event and every relay's OK message, including
+ * relays that rejected it or never answered.
+ *
+ * @param opts - Send options containing payload, target, and configuration
+ * @returns Promise resolving to the publish outcome of the message
+ *
+ * @example
+ * ```typescript
+ * const receipt = await sendWithReceipt({ target, payload, quorum: 2 });
+ * for (const { url, accepted, message } of receipt.relays) {
+ *   console.log(url, accepted ? 'OK' : `rejected: ${message}`);
+ * }
+ * ```
+ *
+ * @since 1.2.0
+ */
+export { sendWithReceipt } from "./send.js";
+
 /**
  * Receive encrypted messages via NostrMQ
  *
  * Subscribes to incoming messages targeting your public key. Automatically decrypts
- * NIP-04 encrypted content and provides both callback and async iterator interfaces.
+ * NIP-04 and NIP-44 encrypted content, unwraps NIP-59 gift wraps (verifying the
+ * sender from the inner seal) and provides both callback and async iterator interfaces.
  *
  * @param opts - Receive options containing callback and configuration
  * @param opts.onMessage - Callback function for incoming messages
  * @param opts.relays - Override default relay URLs
- * @param opts.autoAck - Automatically reply "OK" to sender (not yet implemented)
- * @returns SubscriptionHandle for managing the subscription and async iteration
+ * @param opts.autoAck - Send an encrypted acknowledgement to the envelope's response pubkey once onMessage settles
+ * @param opts.encryption - Only accept messages encrypted with this scheme (default: accept both)
+ * @param opts.acks - Deliver acknowledgements to onMessage instead of dropping them
+ * @param opts.chunkTimeoutMs - Drop partially received chunked messages after this much inactivity (default: 60000)
+ * @param opts.onStream - Receive chunked messages as an ordered stream instead of a reassembled payload
+ * @param opts.minPow - Drop events with less PoW than this before decrypting (default: NOSTR_POW_DIFFICULTY)
+ * @param opts.powExempt - Pubkeys of trusted senders that skip the minPow check
+ * @param opts.access - Allow/deny lists, reloadable policy file or predicate checked against the sender before decrypting
+ * @param opts.concurrency - Maximum number of handlers running at once (default: unlimited); each sender's messages run one at a time
+ * @param opts.maxQueue - Maximum number of messages waiting for a handler or in the iterator buffer (default: unlimited)
+ * @param opts.overflow - "drop-oldest", "drop-newest" or "pause" the subscription when maxQueue is exceeded (default: "pause")
+ * @param opts.retry - Retry a failing onMessage with exponential backoff (default: a single attempt)
+ * @param opts.deadLetter - Keep messages that still fail: true for files under the tracking cacheDir, or a custom store
+ * @param opts.trackerStore - Keep replay state in this store, namespaced by the receiving pubkey (default: JSON files under the tracking cacheDir)
+ * @param opts.tracking - Override the tracking configuration (lookback, track limit, cacheDir, persistence)
+ * @param opts.delivery - "at-least-once" to only mark messages processed once their handler succeeded (default: "at-most-once")
+ * @returns SubscriptionHandle for managing the subscription and async iteration;
+ * it emits "rejected" for every event dropped by minPow, the access policy or
+ * queue overflow, and getStats() counts received, delivered and rejected events
  *
  * @throws {Error} When onMessage callback is missing or not a function
  * @throws {Error} When relay connection fails
@@ -107,9 +157,9 @@ export { send } from "./send.js";
  * @example Callback interface
  * ```typescript
  * const subscription = receive({
- *   onMessage: async (payload, sender, rawEvent) => {
+ *   onMessage: async (payload, sender, rawEvent, context) => {
  *     console.log('Message from', sender, ':', payload);
- *     // Process the message...
+ *     // Replies go to context.response, echoing context.correlationId
  *   }
  * });
  *
@@ -135,6 +185,136 @@ export { send } from "./send.js";
  */
 export { receive } from "./receive.js";
 
+/**
+ * Send a request and wait for the correlated reply
+ *
+ * Publishes the payload with a correlation id inside the encrypted envelope,
+ * listens on the `response` pubkey and resolves with the payload of the first
+ * reply from the target that carries the same correlation id.
+ *
+ * @param opts - Request options (same as send, plus reply settings)
+ * @param opts.responsePrivkey - Listen for the reply as this identity (e.g. an ephemeral key)
+ * @param opts.replyTimeoutMs - How long to wait for the reply (default: 30000)
+ * @param opts.signal - AbortSignal that cancels the request
+ * @returns Promise resolving to the reply payload
+ *
+ * @throws {Error} When the target pubkey is missing or invalid
+ * @throws {Error} When no reply arrives before the timeout
+ * @throws {Error} When the request is aborted
+ *
+ * @example Client
+ * ```typescript
+ * const result = await request({
+ *   target: '02a1b2c3d4e5f6...',
+ *   payload: { method: 'ping' },
+ *   replyTimeoutMs: 10000
+ * });
+ * ```
+ *
+ * @example Server
+ * ```typescript
+ * receive({
+ *   onMessage: async (payload, sender, rawEvent, context) => {
+ *     await send({
+ *       target: context.response,
+ *       payload: { method: 'pong' },
+ *       correlationId: context.correlationId
+ *     });
+ *   }
+ * });
+ * ```
+ *
+ * @since 1.2.0
+ */
+export { request } from "./request.js";
+
+/**
+ * Create a long-lived client that shares relay connections
+ *
+ * The top-level send(), receive() and request() functions open connections
+ * for each call and close them once idle. A client instead keeps one
+ * RelayPool open across calls, reconnects dropped relays automatically and
+ * only disconnects when close() is called (or after `idleTimeoutMs`).
+ *
+ * @param config - Configuration to use (default: loaded from environment)
+ * @param options - Reconnection and idle settings
+ * @param options.idleTimeoutMs - Disconnect after this long without activity; reconnects on next use
+ * @param options.maxReconnectAttempts - Give up reconnecting to a relay after this many attempts (default: unlimited)
+ * @param options.baseReconnectDelay - First reconnection delay in milliseconds (default: 1000)
+ * @param options.maxReconnectDelay - Maximum reconnection delay in milliseconds (default: 30000)
+ * @returns NostrMQClient exposing send, receive, request and close
+ *
+ * @throws {Error} When no config is given and the environment configuration is invalid
+ *
+ * @example
+ * ```typescript
+ * const client = createClient();
+ *
+ * client.receive({
+ *   onMessage: (payload, sender) => console.log(payload, sender)
+ * });
+ *
+ * for (const job of jobs) {
+ *   await client.send({ target: workerPubkey, payload: job });
+ * }
+ *
+ * await client.close();
+ * ```
+ *
+ * @since 1.2.0
+ */
+export { createClient, NostrMQClient } from "./client.js";
+
+/**
+ * Signer backed by a private key held in memory
+ *
+ * Every config with a `privkey` uses one implicitly. Pass a signer as
+ * `config.signer` (or `ReceiveOpts.signer`) to sign and decrypt with a key
+ * kept elsewhere; anything implementing the Signer interface works.
+ *
+ * @example
+ * ```typescript
+ * const client = createClient({ ...loadConfig(), signer: new LocalSigner(key) });
+ * ```
+ *
+ * @since 1.2.0
+ */
+export { LocalSigner } from "./signer.js";
+
+/**
+ * Signer that delegates signing and encryption to a NIP-46 remote signer
+ *
+ * Connects to the bunker on first use. Loaded automatically when
+ * `NOSTR_BUNKER_URL` is set instead of `NOSTR_PRIVKEY`.
+ *
+ * @example
+ * ```typescript
+ * const signer = new Nip46Signer('bunker://<remote-pubkey>?relay=wss://relay.example');
+ * const client = createClient({ ...config, privkey: undefined, signer });
+ * const pubkey = await client.getPublicKey();
+ * ```
+ *
+ * @since 1.2.0
+ */
+export { Nip46Signer, parseBunkerUrl } from "./nip46.js";
+
+/**
+ * Dead-letter store keeping failed messages as JSON files
+ *
+ * Used by `receive({ deadLetter: true })`; create one explicitly to pick the
+ * directory or to inspect stored messages.
+ *
+ * @example
+ * ```typescript
+ * const store = createDeadLetterStore('./dead-letter');
+ * const subscription = receive({ onMessage, retry: { maxAttempts: 5 }, deadLetter: store });
+ * console.log(await store.list());
+ * ```
+ *
+ * @since 1.2.0
+ */
+export { FileDeadLetterStore, createDeadLetterStore } from "./deadLetter.js";
+
 /**
  * Mine proof-of-work for an event template
  *
@@ -234,15 +414,24 @@ export { hasValidPow } from "./pow.js";
  * ```
  *
  * Environment variables:
- * - `NOSTRMQ_PRIVKEY` (required): Your private key in hex format
+ * - `NOSTRMQ_PRIVKEY` (required unless `NOSTR_BUNKER_URL` is set): Your private key in hex format
  * - `NOSTR_RELAYS` (required): Comma-separated list of relay WebSocket URLs
  * - `NOSTR_POW_DIFFICULTY` (optional): Default PoW difficulty in bits (default: 0)
  * - `NOSTR_POW_THREADS` (optional): Number of worker threads for PoW (default: 1)
+ * - `NOSTR_ENCRYPTION` (optional): Default encryption scheme, "nip04" or "nip44" (default: nip04)
+ * - `NOSTR_BUNKER_URL` (optional): bunker:// URL of a NIP-46 remote signer, used instead of the private key
+ * - `NOSTR_BUNKER_CLIENT_KEY` (optional): Hex key identifying this client to the bunker (default: random)
  *
  * @since 1.0.0
  */
 export { loadConfig } from "./utils.js";
 
+/**
+ * Detect whether encrypted content uses NIP-04 or NIP-44
+ * @since 1.2.0
+ */
+export { detectEncryption } from "./encryption.js";
+
 /**
  * Advanced relay pool management and utility functions
  *
@@ -286,6 +475,31 @@ export { isValidRelayUrl } from "./utils.js";
  */
 export { MessageTracker, createMessageTracker } from "./messageTracker.js";
 
+/**
+ * Built-in stores for MessageTracker replay state: JSON files, an embedded
+ * SQLite database (Node.js 22.5+) or memory
+ *
+ * @example
+ * ```typescript
+ * const trackerStore = createTrackerStore('sqlite', '/var/lib/app/tracker.db');
+ * const subscription = receive({ onMessage, trackerStore });
+ * ```
+ *
+ * @since 1.2.0
+ */
+export {
+  FileTrackerStore,
+  SqliteTrackerStore,
+  MemoryTrackerStore,
+  createTrackerStore,
+} from "./trackerStore.js";
+
+/**
+ * Built-in tracker store kinds accepted by createTrackerStore
+ * @since 1.2.0
+ */
+export type { TrackerStoreKind } from "./trackerStore.js";
+
 // Export TypeScript types for library consumers
 export type {
   /**
@@ -294,12 +508,216 @@ export type {
    */
   SendOpts,
 
+  /**
+   * Options for a request/reply round trip via NostrMQ
+   * @since 1.2.0
+   */
+  RequestOpts,
+
+  /**
+   * Envelope metadata passed to onMessage alongside the payload
+   * @since 1.2.0
+   */
+  MessageContext,
+
+  /**
+   * Acknowledgement sent back when autoAck is enabled
+   * @since 1.2.0
+   */
+  AckInfo,
+
+  /**
+   * Payload encryption scheme
+   * @since 1.2.0
+   */
+  EncryptionScheme,
+
+  /**
+   * Chunk metadata carried by chunked payloads
+   * @since 1.2.0
+   */
+  ChunkInfo,
+
+  /**
+   * Limits on partially received chunked messages
+   * @since 1.2.0
+   */
+  ChunkLimits,
+
+  /**
+   * Ordered stream of the chunks of one message, passed to onStream
+   * @since 1.2.0
+   */
+  MessageStream,
+
   /**
    * Options for receiving messages via NostrMQ
    * @since 1.0.0
    */
   ReceiveOpts,
 
+  /**
+   * Signing and encryption interface of an identity
+   * @since 1.2.0
+   */
+  Signer,
+
+  /**
+   * Options for a NIP-46 remote signer
+   * @since 1.2.0
+   */
+  Nip46SignerOpts,
+
+  /**
+   * Event dropped by a subscription, emitted as "rejected"
+   * @since 1.2.0
+   */
+  MessageRejection,
+
+  /**
+   * Reason a subscription dropped an event
+   * @since 1.2.0
+   */
+  RejectionReason,
+
+  /**
+   * Behaviour of a full receive queue
+   * @since 1.2.0
+   */
+  OverflowPolicy,
+
+  /**
+   * When receive() marks a message as processed
+   * @since 1.2.0
+   */
+  DeliveryGuarantee,
+
+  /**
+   * Counters returned by SubscriptionHandle.getStats()
+   * @since 1.2.0
+   */
+  SubscriptionStats,
+
+  /**
+   * Retry settings for failing onMessage handlers
+   * @since 1.2.0
+   */
+  RetryPolicy,
+
+  /**
+   * Message whose handler failed every attempt
+   * @since 1.2.0
+   */
+  DeadLetter,
+
+  /**
+   * Destination for dead-lettered messages
+   * @since 1.2.0
+   */
+  DeadLetterStore,
+
+  /**
+   * Outcome of replaying dead-lettered messages
+   * @since 1.2.0
+   */
+  ReplayResult,
+
+  /**
+   * Sender allow/deny policy for receive()
+   * @since 1.2.0
+   */
+  AccessPolicy,
+
+  /**
+   * Predicate deciding whether a sender may deliver messages
+   * @since 1.2.0
+   */
+  AccessPredicate,
+
+  /**
+   * Options for RelayPool.connect()
+   * @since 1.2.0
+   */
+  ConnectOptions,
+
+  /**
+   * Response of one relay to a published event
+   * @since 1.2.0
+   */
+  RelayPublishResult,
+
+  /**
+   * Outcome of publishing one event to a set of relays
+   * @since 1.2.0
+   */
+  PublishResult,
+
+  /**
+   * Outcome of sendWithReceipt()
+   * @since 1.2.0
+   */
+  SendReceipt,
+
+  /**
+   * Settings of the per-relay outbound queue
+   * @since 1.2.0
+   */
+  OutboundQueueOptions,
+
+  /**
+   * NIP-11 relay information document
+   * @since 1.2.0
+   */
+  RelayInfo,
+
+  /**
+   * Limits from a NIP-11 relay information document
+   * @since 1.2.0
+   */
+  RelayLimitation,
+
+  /**
+   * Settings of NIP-11 relay information fetching
+   * @since 1.2.0
+   */
+  RelayInfoOptions,
+
+  /**
+   * Settings of relay health scoring
+   * @since 1.2.0
+   */
+  RelayHealthOptions,
+
+  /**
+   * Health score of a relay
+   * @since 1.2.0
+   */
+  RelayScore,
+
+  /**
+   * Settings of the relay ping/pong heartbeat
+   * @since 1.2.0
+   */
+  HeartbeatOptions,
+
+  /**
+   * Options for a long-lived client
+   * @since 1.2.0
+   */
+  ClientOptions,
+
+  /**
+   * Reconnection settings for a relay pool
+   * @since 1.2.0
+   */
+  RelayPoolOptions,
+
+  /**
+   * A relay closed a subscription
+   * @since 1.2.0
+   */
+  RelayClosed,
+
   /**
    * Handle for managing message subscriptions
    * @since 1.0.0
@@ -330,6 +748,12 @@ export type {
    */
   RelayConnection,
 
+  /**
+   * NIP-42 authentication state of a relay connection
+   * @since 1.2.0
+   */
+  RelayAuthState,
+
   /**
    * Relay message types for WebSocket communication
    * @since 1.0.0
@@ -359,4 +783,22 @@ export type {
    * @since 1.1.0
    */
   TrackingConfig,
+
+  /**
+   * Sizing of the rolling Bloom filter used for duplicate detection
+   * @since 1.2.0
+   */
+  BloomFilterOptions,
+
+  /**
+   * Where MessageTracker keeps its replay state
+   * @since 1.2.0
+   */
+  TrackerStore,
+
+  /**
+   * Replay state loaded from a TrackerStore
+   * @since 1.2.0
+   */
+  TrackerState,
 } from "./types.js";
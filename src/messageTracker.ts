@@ -1,22 +1,46 @@
-import type { TrackingConfig } from "./types.js";
-import {
-  ensureCacheDir,
-  saveTimestamp,
-  loadTimestamp,
-  saveSnapshot,
-  loadSnapshot,
-  getTrackingConfig,
-} from "./utils.js";
+import type {
+  BloomFilterOptions,
+  DeliveryGuarantee,
+  TrackerStore,
+  TrackingConfig,
+} from "./types.js";
+import { FileTrackerStore } from "./trackerStore.js";
+import { RollingBloomFilter } from "./bloomFilter.js";
+import { getTrackingConfig } from "./utils.js";
+
+/**
+ * Default time between saves of the Bloom filter
+ */
+const BLOOM_SAVE_INTERVAL_MS = 60000;
+
+/**
+ * Wait after a failed Bloom filter save, doubled for each further failure
+ */
+const BLOOM_RETRY_MS = 5000;
+
+/**
+ * Longest wait between attempts to save the Bloom filter after failures
+ */
+const BLOOM_RETRY_MAX_MS = 10 * 60 * 1000;
 
 /**
  * MessageTracker prevents replay attacks by tracking processed messages
  * using a combination of timestamp filtering and recent event ID tracking.
  *
  * Features:
- * - Persistent timestamp cache to survive restarts
- * - In-memory recent event ID tracking for duplicate detection
+ * - Persistent timestamp cache to survive restarts, in a pluggable TrackerStore
+ * - Recent event ID tracking for duplicate detection, journaled to the store
+ *   on every processed event and compacted into a snapshot periodically,
+ *   keeping the IDs other trackers sharing the store saved
+ * - Optional rolling Bloom filter remembering far more event IDs than
+ *   trackLimit, at the cost of rare false positives
  * - Graceful fallback to memory-only mode if file operations fail
  * - Zero-configuration with sensible defaults
+ *
+ * In "at-least-once" mode, lastProcessed is a watermark that never passes a
+ * message still pending or failed: duplicates are detected by event ID
+ * within the lookback window, and unfinished messages are fetched again
+ * after a restart.
  */
 export class MessageTracker {
   private lastProcessed: number;
@@ -24,18 +48,58 @@ export class MessageTracker {
   private cacheDir: string;
   private config: TrackingConfig;
   private persistenceEnabled: boolean;
+  private store: TrackerStore | null;
+  private delivery: DeliveryGuarantee;
+  /** Events handed to a handler and not finished yet, with their timestamps */
+  private pending = new Map<string, number>();
+  /** Events whose handler failed, with their timestamps */
+  private failed = new Map<string, number>();
+  /** Newest timestamp of a processed event */
+  private newestProcessed = 0;
+  /** Event IDs appended to the store since the last snapshot */
+  private journalLength = 0;
+  private bloom: RollingBloomFilter | null = null;
+  /** Event IDs added to the Bloom filter since it was last saved */
+  private unsavedBloomEvents = 0;
+  /** When the Bloom filter may be saved next */
+  private nextBloomSave = 0;
+  /** Failed Bloom filter saves in a row */
+  private bloomSaveFailures = 0;
+  /** Damaged parts of the stored state found by initialize() */
+  private corrupted: string[] = [];
 
   /**
    * Create a new MessageTracker instance
    * @param config - Optional tracking configuration (uses environment defaults if not provided)
+   * @param store - Where to keep replay state (default: JSON files in cacheDir,
+   *   unless persistence is disabled)
+   * @param delivery - When events count as processed (default: "at-most-once")
    */
-  constructor(config?: Partial<TrackingConfig>) {
+  constructor(
+    config?: Partial<TrackingConfig>,
+    store?: TrackerStore,
+    delivery: DeliveryGuarantee = "at-most-once"
+  ) {
     const defaultConfig = getTrackingConfig();
     this.config = { ...defaultConfig, ...config };
 
     this.cacheDir = this.config.cacheDir;
-    this.persistenceEnabled = this.config.enablePersistence;
+    this.store =
+      store ??
+      (this.config.enablePersistence
+        ? new FileTrackerStore(this.cacheDir)
+        : null);
+    this.persistenceEnabled = this.store !== null;
+    this.delivery = delivery;
     this.recentEvents = new Set<string>();
+    if (this.config.bloom) {
+      this.bloom = new RollingBloomFilter(
+        this.bloomWindowSeconds(),
+        this.bloomOptions()
+      );
+    }
+
+    this.nextBloomSave = Date.now() + this.bloomSaveIntervalMs();
 
     // Initialize with fallback timestamp (1 hour ago by default)
     this.lastProcessed =
@@ -49,7 +113,7 @@ export class MessageTracker {
    * @returns Promise that resolves when initialization is complete
    */
   async initialize(): Promise<void> {
-    if (!this.persistenceEnabled) {
+    if (!this.store) {
       console.log(
         "MessageTracker: Persistence disabled, using memory-only mode"
       );
@@ -57,18 +121,11 @@ export class MessageTracker {
     }
 
     try {
-      // Ensure cache directory exists
-      const dirCreated = await ensureCacheDir(this.cacheDir);
-      if (!dirCreated) {
-        console.warn(
-          "MessageTracker: Failed to create cache directory, falling back to memory-only mode"
-        );
-        this.persistenceEnabled = false;
-        return;
-      }
+      const state = await this.store.load();
+      this.corrupted = state?.corrupted ?? [];
 
       // Load timestamp from cache
-      const cachedTimestamp = await loadTimestamp(this.cacheDir);
+      const cachedTimestamp = state?.lastProcessed ?? null;
       if (cachedTimestamp !== null) {
         // Use cached timestamp, but ensure it's not too old
         const maxAge =
@@ -86,7 +143,9 @@ export class MessageTracker {
       }
 
       // Load recent event IDs from snapshot
-      const cachedEvents = await loadSnapshot(this.cacheDir);
+      const cachedEvents = state?.eventIds ?? [];
+      // A journal left by earlier runs counts towards the next compaction
+      this.journalLength = state?.appended ?? cachedEvents.length;
       if (cachedEvents.length > 0) {
         // Limit to configured track limit
         const eventsToLoad = cachedEvents.slice(-this.config.trackLimit);
@@ -95,6 +154,10 @@ export class MessageTracker {
           `MessageTracker: Loaded ${eventsToLoad.length} event IDs from cache`
         );
       }
+
+      if (this.bloom) {
+        await this.loadBloom(cachedEvents);
+      }
     } catch (error) {
       console.warn(
         "MessageTracker: Failed to initialize cache, falling back to memory-only mode:",
@@ -123,19 +186,61 @@ export class MessageTracker {
    * @returns true if the event has already been processed
    */
   hasProcessed(eventId: string, timestamp: number): boolean {
+    if (this.delivery === "at-least-once") {
+      // Late events are only too old once they fall out of the lookback window
+      const windowStart = Math.min(
+        this.lastProcessed,
+        Math.floor(Date.now() / 1000) - this.config.oldestMqSeconds
+      );
+      return (
+        timestamp < windowStart ||
+        this.recentEvents.has(eventId) ||
+        this.pending.has(eventId) ||
+        this.bloom?.has(eventId) === true
+      );
+    }
+
     // Check if timestamp is too old (before our tracking window)
     if (timestamp < this.lastProcessed) {
       return true; // Consider old events as already processed
     }
 
     // Check if we've seen this specific event ID recently
-    if (this.recentEvents.has(eventId)) {
+    if (this.recentEvents.has(eventId) || this.bloom?.has(eventId)) {
       return true;
     }
 
     return false;
   }
 
+  /**
+   * Check if an event has already been processed, here or by another
+   * process sharing the store
+   *
+   * Events hasProcessed() does not know are looked up with the store's
+   * has(), when it has that method. Two processes receiving the same event
+   * at the same moment can still both handle it.
+   *
+   * @param eventId - The event ID to check
+   * @param timestamp - The event timestamp in seconds
+   * @returns true if the event has already been processed
+   */
+  async checkProcessed(eventId: string, timestamp: number): Promise<boolean> {
+    if (this.hasProcessed(eventId, timestamp)) {
+      return true;
+    }
+    if (!this.persistenceEnabled || !this.store?.has) {
+      return false;
+    }
+
+    try {
+      return await this.store.has(eventId);
+    } catch (error) {
+      console.warn("MessageTracker: Failed to look up event in store:", error);
+      return false;
+    }
+  }
+
   /**
    * Mark an event as processed and update tracking state
    * This should be called after successfully processing a message
@@ -144,8 +249,13 @@ export class MessageTracker {
    * @param timestamp - The event timestamp in seconds
    */
   async markProcessed(eventId: string, timestamp: number): Promise<void> {
-    // Update last processed timestamp if this event is newer
-    if (timestamp > this.lastProcessed) {
+    if (this.delivery === "at-least-once") {
+      this.pending.delete(eventId);
+      this.failed.delete(eventId);
+      this.newestProcessed = Math.max(this.newestProcessed, timestamp);
+      await this.advanceWatermark();
+    } else if (timestamp > this.lastProcessed) {
+      // Update last processed timestamp if this event is newer
       this.lastProcessed = timestamp;
 
       // Persist timestamp if enabled
@@ -156,20 +266,71 @@ export class MessageTracker {
 
     // Add to recent events set
     this.recentEvents.add(eventId);
+    this.bloom?.add(eventId, timestamp);
 
-    // Trim recent events if we exceed the limit
-    if (this.recentEvents.size > this.config.trackLimit) {
-      const eventsArray = Array.from(this.recentEvents);
-      const toKeep = eventsArray.slice(-this.config.trackLimit);
-      this.recentEvents = new Set(toKeep);
+    // Trim recent events if we exceed the limit, oldest first
+    while (this.recentEvents.size > this.config.trackLimit) {
+      this.recentEvents.delete(this.recentEvents.values().next().value!);
+    }
 
-      // Persist snapshot if enabled
-      if (this.persistenceEnabled) {
-        await this.saveSnapshotAsync(toKeep);
+    // Journal the event, compacting the journal into a snapshot once it
+    // holds trackLimit entries
+    if (this.persistenceEnabled) {
+      if (
+        this.store?.appendProcessed &&
+        this.journalLength < this.config.trackLimit
+      ) {
+        await this.appendAsync(eventId);
+      } else {
+        await this.saveSnapshotAsync(Array.from(this.recentEvents));
+      }
+
+      // The filter is large, so it is saved on an interval; the snapshot
+      // and journal hold the newest events added since
+      if (this.bloom && this.store?.saveFilter) {
+        this.unsavedBloomEvents++;
+        if (Date.now() >= this.nextBloomSave) {
+          await this.saveBloomAsync();
+        }
       }
     }
   }
 
+  /**
+   * Mark an event as handed to a handler, in "at-least-once" mode
+   * The watermark stays at or below it until it is processed
+   *
+   * @param eventId - The event ID being handled
+   * @param timestamp - The event timestamp in seconds
+   */
+  markPending(eventId: string, timestamp: number): void {
+    this.pending.set(eventId, timestamp);
+  }
+
+  /**
+   * Mark an event whose handler failed, in "at-least-once" mode
+   * It is delivered again when a relay sends it again, and the watermark
+   * stays at or below it so it is fetched again after a restart. Only the
+   * newest trackLimit failed events hold the watermark back.
+   *
+   * @param eventId - The event ID whose handler failed
+   * @param timestamp - The event timestamp in seconds
+   */
+  async markFailed(eventId: string, timestamp: number): Promise<void> {
+    this.pending.delete(eventId);
+    this.failed.set(eventId, timestamp);
+
+    if (this.failed.size > this.config.trackLimit) {
+      const [oldest] = this.failed.keys();
+      this.failed.delete(oldest);
+      console.warn(
+        `MessageTracker: More than ${this.config.trackLimit} failed events, no longer holding back for ${oldest}`
+      );
+    }
+
+    await this.advanceWatermark();
+  }
+
   /**
    * Get current tracking statistics for monitoring
    *
@@ -181,6 +342,7 @@ export class MessageTracker {
     recentEventsCount: number;
     persistenceEnabled: boolean;
     cacheDir: string;
+    corrupted: string[];
   } {
     return {
       lastProcessed: this.lastProcessed,
@@ -188,42 +350,166 @@ export class MessageTracker {
       recentEventsCount: this.recentEvents.size,
       persistenceEnabled: this.persistenceEnabled,
       cacheDir: this.cacheDir,
+      corrupted: [...this.corrupted],
     };
   }
 
+  /**
+   * Save state that is only written periodically, such as the Bloom filter
+   * Call it before the tracker is discarded
+   */
+  async flush(): Promise<void> {
+    if (
+      this.persistenceEnabled &&
+      this.bloom &&
+      this.store?.saveFilter &&
+      this.unsavedBloomEvents > 0
+    ) {
+      await this.saveBloomAsync();
+    }
+  }
+
   /**
    * Clear all tracking state (useful for testing or reset)
-   * This does not delete persistent cache files
+   * This does not delete the persisted state
    */
   clear(): void {
     this.recentEvents.clear();
+    this.pending.clear();
+    this.failed.clear();
+    this.newestProcessed = 0;
+    this.bloom?.clear();
     this.lastProcessed =
       Math.floor(Date.now() / 1000) - this.config.oldestMqSeconds;
   }
 
   /**
-   * Gracefully save timestamp to cache file
+   * Restore the Bloom filter from the store and add the loaded event IDs,
+   * which include those processed since it was saved
+   */
+  private async loadBloom(eventIds: string[]): Promise<void> {
+    const data = (await this.store?.loadFilter?.()) ?? null;
+    if (data) {
+      const restored = RollingBloomFilter.deserialize(
+        data,
+        this.bloomWindowSeconds(),
+        this.bloomOptions()
+      );
+      if (restored) {
+        this.bloom = restored;
+        console.log("MessageTracker: Loaded Bloom filter from cache");
+      } else {
+        console.warn(
+          "MessageTracker: Cached Bloom filter is damaged or was built with other settings, starting a new one"
+        );
+      }
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    for (const eventId of eventIds) {
+      this.bloom?.add(eventId, now);
+    }
+  }
+
+  /**
+   * Gracefully save the Bloom filter to the store
+   * Errors are logged but don't throw to avoid breaking message processing;
+   * after a failure the next attempt waits longer each time
+   */
+  private async saveBloomAsync(): Promise<void> {
+    const unsaved = this.unsavedBloomEvents;
+    try {
+      await this.store?.saveFilter?.(this.bloom!.serialize());
+      this.unsavedBloomEvents -= unsaved;
+      this.bloomSaveFailures = 0;
+      this.nextBloomSave = Date.now() + this.bloomSaveIntervalMs();
+    } catch (error) {
+      const retryMs = Math.min(
+        BLOOM_RETRY_MS * 2 ** this.bloomSaveFailures++,
+        BLOOM_RETRY_MAX_MS
+      );
+      this.nextBloomSave = Date.now() + retryMs;
+      console.warn(
+        `MessageTracker: Failed to save Bloom filter, retrying in ${retryMs}ms:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Span of event time the Bloom filter covers: the longest lookback used
+   * after a restart
+   */
+  private bloomWindowSeconds(): number {
+    return this.config.oldestMqSeconds * 2;
+  }
+
+  private bloomOptions(): BloomFilterOptions {
+    return this.config.bloom === true ? {} : this.config.bloom || {};
+  }
+
+  private bloomSaveIntervalMs(): number {
+    return this.bloomOptions().saveIntervalMs ?? BLOOM_SAVE_INTERVAL_MS;
+  }
+
+  /**
+   * Move the watermark up to the newest processed event, but not past an
+   * event that is pending or failed
+   */
+  private async advanceWatermark(): Promise<void> {
+    let watermark = this.newestProcessed;
+    for (const timestamp of this.pending.values()) {
+      watermark = Math.min(watermark, timestamp);
+    }
+    for (const timestamp of this.failed.values()) {
+      watermark = Math.min(watermark, timestamp);
+    }
+
+    if (watermark > this.lastProcessed) {
+      this.lastProcessed = watermark;
+      if (this.persistenceEnabled) {
+        await this.saveTimestampAsync(watermark);
+      }
+    }
+  }
+
+  /**
+   * Gracefully save timestamp to the store
    * Errors are logged but don't throw to avoid breaking message processing
    */
   private async saveTimestampAsync(timestamp: number): Promise<void> {
     try {
-      await saveTimestamp(this.cacheDir, timestamp);
+      await this.store?.saveTimestamp(timestamp);
     } catch (error) {
       console.warn("MessageTracker: Failed to save timestamp:", error);
     }
   }
 
   /**
-   * Gracefully save event IDs snapshot to cache file
+   * Gracefully save event IDs snapshot to the store
    * Errors are logged but don't throw to avoid breaking message processing
    */
   private async saveSnapshotAsync(eventIds: string[]): Promise<void> {
     try {
-      await saveSnapshot(this.cacheDir, eventIds);
+      await this.store?.saveSnapshot(eventIds, this.config.trackLimit);
+      this.journalLength = 0;
     } catch (error) {
       console.warn("MessageTracker: Failed to save snapshot:", error);
     }
   }
+
+  /**
+   * Gracefully append a processed event ID to the store's journal
+   * Errors are logged but don't throw to avoid breaking message processing
+   */
+  private async appendAsync(eventId: string): Promise<void> {
+    try {
+      await this.store?.appendProcessed?.(eventId);
+      this.journalLength++;
+    } catch (error) {
+      console.warn("MessageTracker: Failed to journal event:", error);
+    }
+  }
 }
 
 /**
@@ -231,10 +517,14 @@ export class MessageTracker {
  * This is a convenience function for common usage
  *
  * @param config - Optional partial configuration to override defaults
+ * @param store - Optional store for the replay state
+ * @param delivery - When events count as processed (default: "at-most-once")
  * @returns A new MessageTracker instance
  */
 export function createMessageTracker(
-  config?: Partial<TrackingConfig>
+  config?: Partial<TrackingConfig>,
+  store?: TrackerStore,
+  delivery?: DeliveryGuarantee
 ): MessageTracker {
-  return new MessageTracker(config);
+  return new MessageTracker(config, store, delivery);
 }
@@ -0,0 +1,339 @@
+import { generateSecretKey, verifyEvent } from "nostr-tools";
+import type { Event as NostrEvent, EventTemplate } from "nostr-tools";
+import type {
+  EncryptionScheme,
+  Nip46SignerOpts,
+  NostrMQConfig,
+  Signer,
+} from "./types.js";
+import { RelayPool, createRelayPool } from "./relayPool.js";
+import { LocalSigner } from "./signer.js";
+import { decryptContent } from "./encryption.js";
+import {
+  generateUniqueId,
+  isValidPubkey,
+  parseBunkerUrl,
+  safeJsonParse,
+  safeJsonStringify,
+  withTimeout,
+} from "./utils.js";
+
+export { parseBunkerUrl } from "./utils.js";
+export type { BunkerPointer } from "./utils.js";
+
+/**
+ * Kind of NIP-46 request and response events
+ */
+export const NOSTR_CONNECT_KIND = 24133;
+
+/**
+ * Response to a pending NIP-46 request
+ */
+interface PendingRequest {
+  method: string;
+  resolve: (result: string) => void;
+  reject: (error: Error) => void;
+  timer: NodeJS.Timeout;
+}
+
+/**
+ * Signer that delegates to a NIP-46 remote signer ("bunker")
+ *
+ * Requests are kind 24133 events encrypted with NIP-44 between a client key
+ * and the remote signer. The connection is opened on first use; the user
+ * pubkey is taken from the bunker's get_public_key response, which may differ
+ * from the remote signer pubkey in the URL.
+ */
+export class Nip46Signer implements Signer {
+  /** Pubkey of the remote signer (from the bunker URL) */
+  readonly remotePubkey: string;
+
+  private relays: string[];
+  private secret?: string;
+  private perms: string;
+  private timeoutMs: number;
+  private clientSigner: LocalSigner;
+  private clientPubkey: string;
+  private relayPool: RelayPool;
+  private subscriptionId = generateUniqueId();
+  private pending = new Map<string, PendingRequest>();
+  private inflight = new Set<Promise<string>>();
+  private started: Promise<void> | null = null;
+  private closing: Promise<void> | null = null;
+  private connected: Promise<string> | null = null;
+
+  /**
+   * @param bunkerUrl - bunker:// URL of the remote signer
+   * @param opts - Client key, permissions and timeout settings
+   */
+  constructor(bunkerUrl: string, opts: Nip46SignerOpts = {}) {
+    const pointer = parseBunkerUrl(bunkerUrl);
+    this.remotePubkey = pointer.pubkey;
+    this.relays = pointer.relays;
+    this.secret = pointer.secret;
+    this.perms = opts.perms || "";
+    this.timeoutMs = opts.timeoutMs || 30000;
+
+    this.clientSigner = new LocalSigner(
+      opts.clientSecretKey || generateSecretKey()
+    );
+    this.clientPubkey = this.clientSigner.pubkey;
+
+    const poolConfig: NostrMQConfig = {
+      pubkey: this.clientPubkey,
+      signer: this.clientSigner,
+      relays: this.relays,
+      powDifficulty: 0,
+      powThreads: 1,
+      encryption: "nip44",
+    };
+    // Requests time out, so never publish them late from a queue
+    this.relayPool = createRelayPool(poolConfig, {
+      maxReconnectAttempts: Infinity,
+      outboundQueue: false,
+    });
+    this.relayPool.on("event", (url: string, subId: string, event) => {
+      if (subId === this.subscriptionId) {
+        this.handleResponse(event).catch((error) => {
+          console.warn(`Failed to handle remote signer response:`, error);
+        });
+      }
+    });
+  }
+
+  /**
+   * Connect to the remote signer and return the user pubkey
+   */
+  async getPublicKey(): Promise<string> {
+    return this.connect();
+  }
+
+  /**
+   * Have the remote signer sign an event
+   *
+   * @throws {Error} When the bunker refuses or returns an invalid event
+   */
+  async signEvent(template: EventTemplate): Promise<NostrEvent> {
+    const pubkey = await this.connect();
+    const { kind, created_at, tags, content } = template;
+    const result = await this.request("sign_event", [
+      safeJsonStringify({ kind, created_at, tags, content }),
+    ]);
+
+    const event = safeJsonParse(result) as NostrEvent;
+    if (!event || !verifyEvent(event)) {
+      throw new Error("Remote signer returned an invalid event");
+    }
+
+    if (event.pubkey !== pubkey) {
+      throw new Error("Remote signer signed with an unexpected pubkey");
+    }
+
+    return event;
+  }
+
+  async encrypt(
+    scheme: EncryptionScheme,
+    pubkey: string,
+    plaintext: string
+  ): Promise<string> {
+    await this.connect();
+    return this.request(`${scheme}_encrypt`, [pubkey, plaintext]);
+  }
+
+  async decrypt(
+    scheme: EncryptionScheme,
+    pubkey: string,
+    ciphertext: string
+  ): Promise<string> {
+    await this.connect();
+    return this.request(`${scheme}_decrypt`, [pubkey, ciphertext]);
+  }
+
+  /**
+   * Disconnect from the bunker relays once in-flight requests have settled
+   *
+   * The signer stays usable: the next call reconnects.
+   */
+  async close(): Promise<void> {
+    if (!this.closing) {
+      this.closing = (async () => {
+        await Promise.allSettled(Array.from(this.inflight));
+        const started = this.started;
+        this.started = null;
+        if (started) {
+          await started.catch(() => {});
+          await this.relayPool.disconnect();
+        }
+      })().finally(() => {
+        this.closing = null;
+      });
+    }
+
+    return this.closing;
+  }
+
+  /**
+   * Authorise this client with the bunker once, then resolve the user pubkey
+   */
+  private connect(): Promise<string> {
+    if (!this.connected) {
+      this.connected = (async () => {
+        await this.request("connect", [
+          this.remotePubkey,
+          this.secret || "",
+          this.perms,
+        ]);
+        const pubkey = await this.request("get_public_key", []);
+        if (!isValidPubkey(pubkey)) {
+          throw new Error("Remote signer returned an invalid pubkey");
+        }
+        return pubkey;
+      })();
+
+      // Allow retrying after a failed connect
+      this.connected.catch(() => {
+        this.connected = null;
+      });
+    }
+
+    return this.connected;
+  }
+
+  /**
+   * Connect to the bunker relays and listen for responses
+   */
+  private start(): Promise<void> {
+    if (!this.started) {
+      this.started = (async () => {
+        await this.relayPool.connect();
+        this.relayPool.subscribe(this.subscriptionId, [
+          {
+            kinds: [NOSTR_CONNECT_KIND],
+            "#p": [this.clientPubkey],
+            since: Math.floor(Date.now() / 1000) - 10,
+          },
+        ]);
+      })();
+
+      this.started.catch(() => {
+        this.started = null;
+      });
+    }
+
+    return this.started;
+  }
+
+  /**
+   * Send a request to the remote signer and wait for its result
+   */
+  private async request(method: string, params: string[]): Promise<string> {
+    await this.closing;
+    await this.start();
+
+    const id = generateUniqueId();
+    const content = await this.clientSigner.encrypt(
+      "nip44",
+      this.remotePubkey,
+      safeJsonStringify({ id, method, params })
+    );
+    const event = await this.clientSigner.signEvent({
+      kind: NOSTR_CONNECT_KIND,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [["p", this.remotePubkey]],
+      content,
+    });
+
+    const response = new Promise<string>((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(
+          new Error(
+            `Remote signer did not answer ${method} within ${this.timeoutMs}ms`
+          )
+        );
+      }, this.timeoutMs);
+      this.pending.set(id, { method, resolve, reject, timer });
+    });
+    this.inflight.add(response);
+    response.catch(() => {}).finally(() => this.inflight.delete(response));
+
+    const results = await withTimeout(
+      this.relayPool.publish(event),
+      this.timeoutMs,
+      `Failed to publish ${method} request within timeout`
+    ).catch((error) => {
+      this.settle(id, error);
+      throw error;
+    });
+
+    if (!Array.from(results.values()).some(Boolean)) {
+      const error = new Error(
+        `Remote signer request ${method} was rejected by all relays`
+      );
+      this.settle(id, error);
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Match a bunker response to its pending request
+   */
+  private async handleResponse(event: NostrEvent): Promise<void> {
+    if (event.pubkey !== this.remotePubkey || !verifyEvent(event)) {
+      return;
+    }
+
+    const { plaintext } = await decryptContent(
+      this.clientSigner,
+      event.pubkey,
+      event.content
+    );
+    const response = safeJsonParse(plaintext) as {
+      id?: string;
+      result?: string;
+      error?: string;
+    };
+    if (!response || typeof response.id !== "string") {
+      return;
+    }
+
+    const request = this.pending.get(response.id);
+    if (!request) {
+      return;
+    }
+
+    // The bunker wants the user to approve the request out of band
+    if (response.result === "auth_url") {
+      console.warn(
+        `Remote signer requires authorization for ${request.method}: ${response.error}`
+      );
+      return;
+    }
+
+    if (response.error) {
+      this.settle(
+        response.id,
+        new Error(`Remote signer refused ${request.method}: ${response.error}`)
+      );
+      return;
+    }
+
+    this.settle(response.id, null, String(response.result ?? ""));
+  }
+
+  private settle(id: string, error: Error | null, result?: string): void {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    clearTimeout(request.timer);
+    this.pending.delete(id);
+    if (error) {
+      request.reject(error);
+    } else {
+      request.resolve(result!);
+    }
+  }
+}
@@ -0,0 +1,236 @@
+import { readFileSync } from "fs";
+import { basename, dirname, join } from "path";
+import type { Event as NostrEvent } from "nostr-tools";
+import type { OutboundQueueOptions } from "./types.js";
+import {
+  ensureCacheDir,
+  getTrackingConfig,
+  replaceCacheFile,
+  safeJsonParse,
+  withCacheLock,
+} from "./utils.js";
+
+/**
+ * Event waiting for a relay to reconnect
+ */
+export interface QueuedEvent {
+  /** Relay the event is waiting for */
+  relay: string;
+  /** Signed event to publish */
+  event: NostrEvent;
+  /** When the event was queued, in ms since epoch */
+  queuedAt: number;
+}
+
+/**
+ * Contents of a persisted outbound queue file
+ */
+interface OutboundQueueFile {
+  version: 1;
+  events: QueuedEvent[];
+}
+
+/**
+ * Holds events for relays that are reconnecting
+ *
+ * Each relay keeps at most `maxSize` events, dropping the oldest first, and
+ * events older than `maxAgeMs` are discarded instead of being published.
+ * With `persist` set, the queue is written to a file after every change and
+ * read back on construction, so events queued before a crash are published
+ * once the relays reconnect.
+ */
+export class OutboundQueue {
+  /** File the queue is persisted to, if any */
+  readonly file?: string;
+
+  private maxAgeMs: number;
+  private maxSize: number;
+  private queues = new Map<string, QueuedEvent[]>();
+  private saving: Promise<void> = Promise.resolve();
+
+  /**
+   * @throws {Error} When the options are invalid
+   */
+  constructor(options: OutboundQueueOptions = {}) {
+    this.maxAgeMs = options.maxAgeMs ?? 60000;
+    this.maxSize = options.maxSize ?? 1000;
+
+    if (!(this.maxAgeMs > 0)) {
+      throw new Error("outboundQueue.maxAgeMs must be a positive number");
+    }
+    if (!Number.isInteger(this.maxSize) || this.maxSize < 1) {
+      throw new Error("outboundQueue.maxSize must be a positive integer");
+    }
+
+    if (options.persist) {
+      this.file =
+        typeof options.persist === "string"
+          ? options.persist
+          : join(getTrackingConfig().cacheDir, "outbound-queue.json");
+      this.load();
+    }
+  }
+
+  /**
+   * Relays with queued events
+   */
+  relays(): string[] {
+    return Array.from(this.queues.keys());
+  }
+
+  /**
+   * Number of events queued for a relay, or for all relays
+   */
+  size(relay?: string): number {
+    if (relay !== undefined) {
+      return this.queues.get(relay)?.length ?? 0;
+    }
+
+    let total = 0;
+    for (const queue of this.queues.values()) {
+      total += queue.length;
+    }
+    return total;
+  }
+
+  /**
+   * Queue an event until a relay reconnects
+   */
+  enqueue(relay: string, event: NostrEvent): void {
+    const queue = this.queues.get(relay) || [];
+    if (queue.some((queued) => queued.event.id === event.id)) {
+      return;
+    }
+
+    queue.push({ relay, event, queuedAt: Date.now() });
+    if (queue.length > this.maxSize) {
+      const [dropped] = queue.splice(0, queue.length - this.maxSize);
+      console.warn(
+        `Outbound queue for ${relay} is full, dropped event ${dropped.event.id}`
+      );
+    }
+
+    this.queues.set(relay, queue);
+    this.save();
+  }
+
+  /**
+   * Remove an event from the queues of every relay
+   *
+   * @returns Whether the event was queued
+   */
+  remove(eventId: string): boolean {
+    let removed = false;
+    for (const [relay, queue] of this.queues) {
+      const rest = queue.filter((queued) => queued.event.id !== eventId);
+      if (rest.length === queue.length) continue;
+
+      removed = true;
+      if (rest.length > 0) {
+        this.queues.set(relay, rest);
+      } else {
+        this.queues.delete(relay);
+      }
+    }
+
+    if (removed) {
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Remove and return the events queued for a relay, skipping expired ones
+   */
+  take(relay: string): NostrEvent[] {
+    const queue = this.queues.get(relay);
+    if (!queue) {
+      return [];
+    }
+
+    this.queues.delete(relay);
+    this.save();
+
+    const cutoff = Date.now() - this.maxAgeMs;
+    const fresh = queue.filter((queued) => queued.queuedAt >= cutoff);
+    if (fresh.length < queue.length) {
+      console.warn(
+        `Dropped ${queue.length - fresh.length} expired event(s) queued for ${relay}`
+      );
+    }
+
+    return fresh.map((queued) => queued.event);
+  }
+
+  /**
+   * Wait until pending writes to the queue file have finished
+   */
+  flush(): Promise<void> {
+    return this.saving;
+  }
+
+  /**
+   * Read events persisted by a previous process
+   */
+  private load(): void {
+    let data: OutboundQueueFile | null;
+    try {
+      data = safeJsonParse(
+        readFileSync(this.file!, "utf8")
+      ) as OutboundQueueFile | null;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== "ENOENT") {
+        console.warn(
+          `Failed to read outbound queue from ${this.file}, starting empty:`,
+          error
+        );
+      }
+      return;
+    }
+
+    if (!data || data.version !== 1 || !Array.isArray(data.events)) {
+      console.warn(`Ignoring malformed outbound queue file ${this.file}`);
+      return;
+    }
+
+    for (const queued of data.events) {
+      const queue = this.queues.get(queued.relay) || [];
+      queue.push(queued);
+      this.queues.set(queued.relay, queue);
+    }
+
+    if (data.events.length > 0) {
+      console.log(
+        `Loaded ${data.events.length} queued event(s) from ${this.file}`
+      );
+    }
+  }
+
+  /**
+   * Write the queue to its file, one write at a time and under the lock of
+   * its directory
+   */
+  private save(): void {
+    if (!this.file) return;
+
+    const file = this.file;
+    this.saving = this.saving.then(async () => {
+      const data: OutboundQueueFile = {
+        version: 1,
+        events: Array.from(this.queues.values()).flat(),
+      };
+
+      const dir = dirname(file);
+      try {
+        if (!(await ensureCacheDir(dir))) {
+          throw new Error(`Failed to create directory ${dir}`);
+        }
+        await withCacheLock(dir, () =>
+          replaceCacheFile(dir, basename(file), data)
+        );
+      } catch (error) {
+        console.warn(`Failed to persist outbound queue to ${file}:`, error);
+      }
+    });
+  }
+}
@@ -0,0 +1,215 @@
+import { verifyEvent } from "nostr-tools";
+import type { Event as NostrEvent, EventTemplate } from "nostr-tools";
+import { isValidRelayUrl } from "./utils.js";
+
+/**
+ * Kind of NIP-65 relay list metadata events
+ */
+export const RELAY_LIST_KIND = 10002;
+
+/**
+ * Kind of NIP-17 style inbox relay lists ("relay" tags)
+ */
+export const INBOX_RELAY_LIST_KIND = 10050;
+
+/**
+ * Inbox relays of a target added to one send, unless maxOutboxRelays is set
+ */
+export const DEFAULT_MAX_OUTBOX_RELAYS = 3;
+
+/**
+ * Relays a pubkey reads messages from, taken from its newest kind 10002 and
+ * kind 10050 events
+ *
+ * Kind 10002 "r" tags count unless marked "write". Events that are not
+ * signed by the pubkey are ignored.
+ *
+ * @param pubkey - Hex pubkey whose relay lists to read
+ * @param events - Relay list events fetched from relays
+ * @returns Inbox relay URLs, without duplicates
+ */
+export function parseInboxRelays(
+  pubkey: string,
+  events: NostrEvent[]
+): string[] {
+  const newest = new Map<number, NostrEvent>();
+  for (const event of events) {
+    if (
+      event.pubkey !== pubkey ||
+      (event.kind !== RELAY_LIST_KIND &&
+        event.kind !== INBOX_RELAY_LIST_KIND) ||
+      !verifyEvent(event)
+    ) {
+      continue;
+    }
+
+    const current = newest.get(event.kind);
+    if (!current || event.created_at > current.created_at) {
+      newest.set(event.kind, event);
+    }
+  }
+
+  const relays = new Set<string>();
+  for (const event of newest.values()) {
+    for (const [name, url, marker] of event.tags) {
+      const inbox =
+        event.kind === RELAY_LIST_KIND
+          ? name === "r" && marker !== "write"
+          : name === "relay";
+      if (inbox && isValidRelayUrl(url)) {
+        relays.add(url);
+      }
+    }
+  }
+
+  return Array.from(relays);
+}
+
+/**
+ * Newest event of a kind signed by the pubkey
+ *
+ * @param pubkey - Hex pubkey the event must be signed by
+ * @param kind - Event kind to look for
+ * @param events - Events fetched from relays
+ * @returns The newest valid event, if any
+ */
+export function newestRelayList(
+  pubkey: string,
+  kind: number,
+  events: NostrEvent[]
+): NostrEvent | undefined {
+  let newest: NostrEvent | undefined;
+  for (const event of events) {
+    if (
+      event.pubkey === pubkey &&
+      event.kind === kind &&
+      (!newest || event.created_at > newest.created_at) &&
+      verifyEvent(event)
+    ) {
+      newest = event;
+    }
+  }
+  return newest;
+}
+
+/**
+ * Kind 10050 event template announcing the relays we receive messages on
+ *
+ * With `current`, the relays are added to that list: its tags are kept and
+ * the template is dated after it, so it replaces the list on every relay.
+ *
+ * @param relays - Inbox relay URLs
+ * @param current - Inbox relay list published earlier
+ * @returns Unsigned replaceable event listing the relays, or null when
+ * `current` already lists all of them
+ */
+export function createInboxRelayList(
+  relays: string[],
+  current?: NostrEvent
+): EventTemplate | null {
+  const tags = current ? current.tags.map((tag) => [...tag]) : [];
+  const listed = new Set(
+    tags.filter(([name]) => name === "relay").map(([, url]) => url)
+  );
+  const added = relays.filter((url) => !listed.has(url));
+  if (current && added.length === 0) {
+    return null;
+  }
+
+  return {
+    kind: INBOX_RELAY_LIST_KIND,
+    created_at: Math.max(
+      Math.floor(Date.now() / 1000),
+      current ? current.created_at + 1 : 0
+    ),
+    tags: [...tags, ...added.map((url) => ["relay", url])],
+    content: "",
+  };
+}
+
+/**
+ * Inbox relays of a target to publish to besides our own
+ *
+ * Relay lists are published by anyone, so only secure `wss://` relays not
+ * already used are taken, and at most `max` of them, in list order.
+ *
+ * @param inbox - Inbox relays announced by the target
+ * @param relays - Relays the message is published to already
+ * @param max - Most inbox relays to add
+ * @returns Inbox relays to add
+ */
+export function selectOutboxRelays(
+  inbox: string[],
+  relays: string[],
+  max: number
+): string[] {
+  return inbox
+    .filter((url) => url.startsWith("wss://") && !relays.includes(url))
+    .slice(0, max);
+}
+
+/**
+ * Cached inbox relays of one pubkey
+ */
+interface CachedRelayList {
+  relays: string[];
+  expiresAt: number;
+}
+
+/**
+ * Caches relay list lookups per pubkey for `ttlMs`
+ *
+ * Concurrent lookups of the same pubkey share one fetch. Empty results are
+ * cached too, so pubkeys without a relay list are not looked up on every
+ * send.
+ */
+export class RelayListCache {
+  private entries = new Map<string, CachedRelayList>();
+  private pending = new Map<string, Promise<string[]>>();
+  private ttlMs: number;
+
+  constructor(ttlMs: number) {
+    this.ttlMs = ttlMs;
+  }
+
+  /**
+   * Inbox relays of a pubkey, fetched with `lookup` when not cached
+   */
+  async get(
+    pubkey: string,
+    lookup: (pubkey: string) => Promise<string[]>
+  ): Promise<string[]> {
+    const cached = this.entries.get(pubkey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.relays;
+    }
+
+    let pending = this.pending.get(pubkey);
+    if (!pending) {
+      pending = lookup(pubkey)
+        .then((relays) => {
+          this.entries.set(pubkey, {
+            relays,
+            expiresAt: Date.now() + this.ttlMs,
+          });
+          return relays;
+        })
+        .finally(() => {
+          this.pending.delete(pubkey);
+        });
+      this.pending.set(pubkey, pending);
+    }
+    return pending;
+  }
+
+  /**
+   * Forget the cached relays of one pubkey, or of all pubkeys
+   */
+  clear(pubkey?: string): void {
+    if (pubkey) {
+      this.entries.delete(pubkey);
+    } else {
+      this.entries.clear();
+    }
+  }
+}
@@ -1,55 +1,207 @@
-import { nip04, getPublicKey } from "nostr-tools";
+import { EventEmitter } from "events";
+import { resolve as resolvePath } from "path";
+import { getEventHash } from "nostr-tools";
 import type { Event as NostrEvent } from "nostr-tools";
 import type {
   ReceiveOpts,
   SubscriptionHandle,
   NostrMQConfig,
   EncryptedPayload,
+  ReceivedMessage,
+  TrackingConfig,
+  AckInfo,
+  EncryptionScheme,
+  MessageContext,
+  MessageRejection,
+  OverflowPolicy,
+  SubscriptionStats,
+  DeadLetter,
+  DeadLetterStore,
+  ReplayResult,
+  RetryPolicy,
+  TrackerStore,
 } from "./types.js";
-import { RelayPool, createRelayPool } from "./relayPool.js";
+import type { NostrMQClient } from "./client.js";
+import type { RelayPool } from "./relayPool.js";
+import { getDefaultClient } from "./client.js";
 import { createMessageTracker, MessageTracker } from "./messageTracker.js";
+import { sendAck } from "./send.js";
+import { decryptContent, isValidEncryptionScheme } from "./encryption.js";
+import { GIFT_WRAP_KIND, unwrapGiftWrap } from "./giftWrap.js";
+import { ChunkAssembler, ChunkStream, isValidChunkInfo } from "./chunking.js";
+import type { ChunkPart } from "./chunking.js";
+import { LocalSigner, getSigner } from "./signer.js";
+import { hasValidPow } from "./pow.js";
+import { AccessControl, toPubkeySet } from "./accessPolicy.js";
+import { DeliveryQueue } from "./deliveryQueue.js";
+import { FileDeadLetterStore } from "./deadLetter.js";
+import { FileTrackerStore } from "./trackerStore.js";
+import {
+  INBOX_RELAY_LIST_KIND,
+  createInboxRelayList,
+  newestRelayList,
+} from "./outbox.js";
 import {
-  loadConfig,
   generateUniqueId,
+  getTrackingConfig,
   isValidPubkey,
   safeJsonParse,
+  sleep,
 } from "./utils.js";
 
 /**
- * Convert hex string to Uint8Array
+ * CLOSED reason prefixes after which a relay keeps refusing the
+ * subscription, so subscribing again is pointless. Other reasons, such as
+ * "rate-limited:" and "error:", are retried with backoff.
+ */
+const PERMANENT_CLOSE_REASONS = [
+  "auth-required:",
+  "blocked:",
+  "duplicate:",
+  "invalid:",
+  "pow:",
+  "restricted:",
+  "unsupported:",
+];
+
+/**
+ * Backoff for subscribing again after a relay closed the subscription
+ */
+const RESUBSCRIBE_BASE_DELAY_MS = 1000;
+const RESUBSCRIBE_MAX_DELAY_MS = 60000;
+const RESUBSCRIBE_MAX_ATTEMPTS = 10;
+
+/**
+ * Messages kept for the async iterator before iteration starts, unless
+ * maxQueue is lower
+ */
+const UNREAD_BUFFER_SIZE = 100;
+
+/**
+ * Message data for async iteration
+ */
+type MessageData = ReceivedMessage;
+
+/**
+ * Decrypted event: either a complete message or one chunk of a larger one
  */
-function hexToBytes(hex: string): Uint8Array {
-  const bytes = new Uint8Array(hex.length / 2);
-  for (let i = 0; i < hex.length; i += 2) {
-    bytes[i / 2] = parseInt(hex.substr(i, 2), 16);
+type ProcessedEvent = MessageData | ChunkPart;
+
+/**
+ * Options for waiting on a single matching message
+ */
+export interface WaitForMessageOpts {
+  /** Predicate selecting the message to wait for */
+  match: (message: ReceivedMessage) => boolean;
+  /** How long to wait in milliseconds (default: until aborted) */
+  timeoutMs?: number;
+  /** Error message used on timeout */
+  timeoutMessage?: string;
+  /** Override default relays */
+  relays?: string[];
+  /** Listen as this identity instead of the default key */
+  privkey?: string;
+  /** Include acknowledgements */
+  acks?: boolean;
+  /** Stop waiting when aborted */
+  signal?: AbortSignal;
+}
+
+/**
+ * Tracking used by short-lived reply listeners: replies are always newer
+ * than the listener, so nothing is persisted and the lookback stays short
+ */
+const REPLY_TRACKING: Partial<TrackingConfig> = {
+  enablePersistence: false,
+  oldestMqSeconds: 60,
+};
+
+/**
+ * Check the committed PoW of an event against its recomputed id, so a forged
+ * id cannot pass
+ */
+function meetsMinPow(event: NostrEvent, bits: number): boolean {
+  return hasValidPow({ tags: event.tags, id: getEventHash(event) }, bits);
+}
+
+/**
+ * Apply defaults to a retry policy and validate it
+ */
+function resolveRetryPolicy(retry?: RetryPolicy): Required<RetryPolicy> {
+  const policy = {
+    maxAttempts: retry ? 3 : 1,
+    backoffMs: 1000,
+    backoffFactor: 2,
+    maxBackoffMs: 30000,
+    ...retry,
+  };
+
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+    throw new Error("retry.maxAttempts must be a positive integer");
+  }
+  for (const key of ["backoffMs", "backoffFactor", "maxBackoffMs"] as const) {
+    if (typeof policy[key] !== "number" || !(policy[key] >= 0)) {
+      throw new Error(`retry.${key} must be a non-negative number`);
+    }
   }
-  return bytes;
+
+  return policy;
 }
 
 /**
- * Message data for async iteration
+ * Limits on the messages buffered by a subscription
  */
-interface MessageData {
-  payload: unknown;
-  sender: string;
-  rawEvent: NostrEvent;
+interface QueueLimits {
+  maxQueue: number;
+  overflow: OverflowPolicy;
 }
 
 /**
  * Implementation of SubscriptionHandle
+ *
+ * Emits "rejected" with a MessageRejection for every event it drops,
+ * "caughtUp" once the relays have sent their stored backlog and
+ * "relayClosed" with a RelayClosed whenever a relay closes the subscription.
  */
-class SubscriptionHandleImpl implements SubscriptionHandle {
+class SubscriptionHandleImpl
+  extends EventEmitter
+  implements SubscriptionHandle
+{
   private subscriptionId: string;
-  private relayPool: RelayPool;
+  private relayPool: { unsubscribe(subscriptionId: string): void };
   private messageQueue: MessageData[] = [];
   private messageResolvers: Array<
     (value: IteratorResult<MessageData>) => void
   > = [];
+  private spaceWaiters: Array<() => void> = [];
+  private limits: QueueLimits;
+  private iterating = false;
   private closed = false;
+  private closeCallbacks: Array<() => void> = [];
+  private queuedCount: () => number = () => 0;
+  private replayHandler: (() => Promise<ReplayResult>) | null = null;
+  private caughtUp = false;
+  private caughtUpWaiters: Array<{
+    resolve: () => void;
+    reject: (error: Error) => void;
+  }> = [];
+  private stats = {
+    received: 0,
+    delivered: 0,
+    failed: 0,
+    paused: false,
+    rejected: { pow: 0, access: 0, overflow: 0, chunks: 0 },
+  };
 
-  constructor(subscriptionId: string, relayPool: RelayPool) {
+  constructor(
+    subscriptionId: string,
+    relayPool: { unsubscribe(subscriptionId: string): void },
+    limits: QueueLimits
+  ) {
+    super();
     this.subscriptionId = subscriptionId;
     this.relayPool = relayPool;
+    this.limits = limits;
   }
 
   /**
@@ -69,35 +221,208 @@ class SubscriptionHandleImpl implements SubscriptionHandle {
     }
     this.messageResolvers = [];
 
-    // Disconnect from relays
-    this.relayPool.disconnect().catch((error) => {
-      console.warn("Failed to disconnect from relays:", error);
+    // Release handlers waiting for space in the iterator buffer
+    for (const waiter of this.spaceWaiters) {
+      waiter();
+    }
+    this.spaceWaiters = [];
+
+    for (const { reject } of this.caughtUpWaiters) {
+      reject(new Error("Subscription closed before catching up"));
+    }
+    this.caughtUpWaiters = [];
+
+    // Release listeners and the shared relay connections
+    for (const callback of this.closeCallbacks) {
+      callback();
+    }
+    this.closeCallbacks = [];
+  }
+
+  /**
+   * Whether the subscription has been closed
+   */
+  isClosed(): boolean {
+    return this.closed;
+  }
+
+  /**
+   * Register cleanup to run when the subscription closes
+   */
+  onClose(callback: () => void): void {
+    this.closeCallbacks.push(callback);
+  }
+
+  /**
+   * Wait until every relay has sent its stored backlog
+   */
+  whenCaughtUp(): Promise<void> {
+    if (this.caughtUp) {
+      return Promise.resolve();
+    }
+    if (this.closed) {
+      return Promise.reject(
+        new Error("Subscription closed before catching up")
+      );
+    }
+    return new Promise((resolve, reject) => {
+      this.caughtUpWaiters.push({ resolve, reject });
     });
   }
 
+  /**
+   * Record that every relay has sent its stored backlog
+   */
+  markCaughtUp(): void {
+    if (this.caughtUp || this.closed) return;
+
+    this.caughtUp = true;
+    for (const { resolve } of this.caughtUpWaiters) {
+      resolve();
+    }
+    this.caughtUpWaiters = [];
+    this.emit("caughtUp");
+  }
+
+  /**
+   * Counters of received, delivered and rejected events
+   */
+  getStats(): SubscriptionStats {
+    return {
+      ...this.stats,
+      queued: this.queuedCount(),
+      rejected: { ...this.stats.rejected },
+    };
+  }
+
+  /**
+   * Report the number of messages waiting for a handler in getStats()
+   */
+  trackQueue(queuedCount: () => number): void {
+    this.queuedCount = queuedCount;
+  }
+
+  /**
+   * Feed dead-lettered messages for this identity back through onMessage
+   *
+   * @throws {Error} When the subscription has no dead-letter store
+   */
+  replayDeadLetters(): Promise<ReplayResult> {
+    if (!this.replayHandler) {
+      return Promise.reject(
+        new Error("replayDeadLetters requires the deadLetter option")
+      );
+    }
+    return this.replayHandler();
+  }
+
+  /**
+   * Set how replayDeadLetters() replays stored messages
+   */
+  setReplayHandler(replayHandler: () => Promise<ReplayResult>): void {
+    this.replayHandler = replayHandler;
+  }
+
+  /**
+   * Record whether the relay subscription is paused
+   */
+  setPaused(paused: boolean): void {
+    this.stats.paused = paused;
+  }
+
+  /**
+   * Count an event received for the subscription
+   */
+  recordReceived(): void {
+    this.stats.received++;
+  }
+
+  /**
+   * Count a message handed to onMessage or onStream
+   */
+  recordDelivered(): void {
+    this.stats.delivered++;
+  }
+
+  /**
+   * Count a message whose handler failed every attempt
+   */
+  recordFailed(): void {
+    this.stats.failed++;
+  }
+
+  /**
+   * Count a dropped event and emit "rejected"
+   */
+  reject(rejection: MessageRejection): void {
+    this.stats.rejected[rejection.reason]++;
+    this.emit("rejected", rejection);
+  }
+
   /**
    * Add a message to the queue for async iteration
+   *
+   * Until iteration starts, the buffer silently keeps the latest maxQueue
+   * messages, and at most UNREAD_BUFFER_SIZE, so callback-only subscriptions
+   * neither grow nor stall. Once
+   * iterating, a full buffer applies the overflow policy; with "pause", the
+   * returned promise waits for the iterator to make room, holding up the
+   * handler slot.
    */
-  addMessage(message: MessageData): void {
+  async addMessage(message: MessageData): Promise<void> {
     if (this.closed) return;
 
     if (this.messageResolvers.length > 0) {
       // Resolve waiting iterator
       const resolver = this.messageResolvers.shift()!;
       resolver({ done: false, value: message });
-    } else {
-      // Queue message for later
-      this.messageQueue.push(message);
+      return;
     }
+
+    const { maxQueue, overflow } = this.limits;
+    if (
+      !this.iterating &&
+      this.messageQueue.length >= Math.min(maxQueue, UNREAD_BUFFER_SIZE)
+    ) {
+      this.messageQueue.shift();
+    } else if (this.messageQueue.length >= maxQueue) {
+      if (overflow === "pause") {
+        await new Promise<void>((resolve) => this.spaceWaiters.push(resolve));
+        return this.addMessage(message);
+      } else if (overflow === "drop-newest") {
+        this.rejectOverflow(message);
+        return;
+      } else {
+        this.rejectOverflow(this.messageQueue.shift()!);
+      }
+    }
+
+    // Queue message for later
+    this.messageQueue.push(message);
   }
 
   /**
    * Async iterator implementation
    */
-  async *[Symbol.asyncIterator](): AsyncIterableIterator<MessageData> {
+  [Symbol.asyncIterator](): AsyncIterableIterator<MessageData> {
+    this.iterating = true;
+    return this.iterate();
+  }
+
+  private rejectOverflow(message: MessageData): void {
+    this.reject({
+      reason: "overflow",
+      event: message.rawEvent,
+      sender: message.sender,
+    });
+  }
+
+  private async *iterate(): AsyncIterableIterator<MessageData> {
     while (!this.closed) {
       if (this.messageQueue.length > 0) {
-        yield this.messageQueue.shift()!;
+        const message = this.messageQueue.shift()!;
+        this.spaceWaiters.shift()?.();
+        yield message;
       } else {
         // Wait for next message
         const result = await new Promise<IteratorResult<MessageData>>(
@@ -126,21 +451,248 @@ class SubscriptionHandleImpl implements SubscriptionHandle {
  * @returns SubscriptionHandle for managing the subscription
  */
 export function receive(opts: ReceiveOpts): SubscriptionHandle {
-  // 1. Load and validate configuration
-  const config = loadConfig();
+  return getDefaultClient().receive(opts);
+}
+
+/**
+ * Wait for the first incoming message accepted by a predicate
+ *
+ * Opens a dedicated subscription that is closed as soon as a message
+ * matches, the timeout elapses or the signal aborts.
+ *
+ * @param client - Client whose relay connections are used
+ * @param opts - Matching, timeout and subscription options
+ * @returns Promise resolving to the matching message
+ */
+export function waitForMessage(
+  client: NostrMQClient,
+  opts: WaitForMessageOpts
+): Promise<ReceivedMessage> {
+  const { signal } = opts;
+
+  const abortError = () =>
+    signal!.reason instanceof Error
+      ? signal!.reason
+      : new Error("Wait for message aborted");
+
+  if (signal?.aborted) {
+    return Promise.reject(abortError());
+  }
+
+  return new Promise<ReceivedMessage>((resolve, reject) => {
+    let settled = false;
+    let handle: SubscriptionHandle | null = null;
+
+    const finish = (settle: () => void) => {
+      if (settled) return;
+      settled = true;
+
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      handle?.close();
+      settle();
+    };
+
+    const onAbort = () => finish(() => reject(abortError()));
+
+    const timer =
+      opts.timeoutMs === undefined
+        ? undefined
+        : setTimeout(() => {
+            finish(() =>
+              reject(
+                new Error(
+                  opts.timeoutMessage ||
+                    `No matching message received within ${opts.timeoutMs}ms`
+                )
+              )
+            );
+          }, opts.timeoutMs);
 
-  // Override config with provided privkey if specified
-  if (opts.privkey) {
-    // Validate private key format (64 hex characters)
-    if (!/^[a-fA-F0-9]{64}$/.test(opts.privkey)) {
-      throw new Error("privkey must be a 64-character hex string");
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    try {
+      handle = createReceiver(
+        {
+          onMessage: (payload, sender, rawEvent, context) => {
+            const message = { payload, sender, rawEvent, context };
+            if (opts.match(message)) {
+              finish(() => resolve(message));
+            }
+          },
+          relays: opts.relays,
+          privkey: opts.privkey,
+          acks: opts.acks,
+          minPow: 0, // Replies and acknowledgements are sent without PoW
+        },
+        client,
+        REPLY_TRACKING
+      );
+    } catch (error) {
+      finish(() => reject(error));
+    }
+  });
+}
+
+/**
+ * Receiving identities seen per tracker store that cannot be namespaced,
+ * and per cache directory used as given
+ */
+const sharedTrackerIdentities = new Map<TrackerStore | string, Set<string>>();
+
+/**
+ * Warn when a second receiving identity shares replay state, as one
+ * identity's processed messages then hide another's
+ */
+function warnIfShared(
+  key: TrackerStore | string,
+  pubkey: string,
+  reason: string
+): void {
+  const identities = sharedTrackerIdentities.get(key) ?? new Set<string>();
+  sharedTrackerIdentities.set(key, identities);
+  if (identities.has(pubkey)) return;
+
+  identities.add(pubkey);
+  if (identities.size > 1) {
+    console.warn(
+      `Replay state is shared by ${identities.size} receiving identities because ${reason}; messages to one may be skipped as already processed for another`
+    );
+  }
+}
+
+/**
+ * Tracker store of one receiving identity: the namespace named after its
+ * pubkey in the given store, or in files under the tracking cacheDir
+ *
+ * A cacheDir passed in the tracking options is used as given. Otherwise the
+ * client's own identity takes over the files earlier versions wrote
+ * directly into the cache directory.
+ */
+function trackerStoreFor(
+  pubkey: string,
+  tracking: TrackingConfig,
+  store: TrackerStore | undefined,
+  clientIdentity: boolean,
+  explicitCacheDir: boolean
+): TrackerStore | undefined {
+  if (store) {
+    if (store.namespace) {
+      return store.namespace(pubkey);
     }
+    warnIfShared(store, pubkey, "the trackerStore has no namespace() method");
+    return store;
+  }
+
+  if (!tracking.enablePersistence) {
+    return undefined;
+  }
+
+  const base = new FileTrackerStore(tracking.cacheDir);
+  if (explicitCacheDir) {
+    warnIfShared(
+      resolvePath(tracking.cacheDir),
+      pubkey,
+      `they use the same tracking.cacheDir ${tracking.cacheDir}`
+    );
+    return base;
+  }
+  return clientIdentity ? base.legacyNamespace(pubkey) : base.namespace(pubkey);
+}
+
+/**
+ * Inbox relay list updates in flight, per pubkey
+ */
+const inboxUpdates = new Map<string, Promise<void>>();
+
+/**
+ * Add the relays a subscription listens on to our kind 10050 inbox relay
+ * list, so senders using the outbox model can find us
+ *
+ * The current list is fetched first and merged into, so relays announced
+ * elsewhere are kept. Updates for one pubkey run one at a time, so
+ * concurrent subscriptions do not replace each other's relays.
+ */
+function publishInboxRelays(
+  relayPool: RelayPool,
+  config: NostrMQConfig,
+  relays: string[]
+): Promise<void> {
+  const pubkey = config.pubkey;
+  const update = (inboxUpdates.get(pubkey) ?? Promise.resolve())
+    .catch(() => {})
+    .then(async () => {
+      const events = await relayPool.query(
+        [{ kinds: [INBOX_RELAY_LIST_KIND], authors: [pubkey] }],
+        relays,
+        2000
+      );
+      const template = createInboxRelayList(
+        relays,
+        newestRelayList(pubkey, INBOX_RELAY_LIST_KIND, events)
+      );
+      if (!template) {
+        return;
+      }
+
+      const event = await getSigner(config).signEvent(template);
+      const { accepted } = await relayPool.publishDetailed(event, relays);
+      if (accepted === 0) {
+        throw new Error("no relay accepted the relay list");
+      }
+      console.log(`Published inbox relay list to ${accepted} relay(s)`);
+    });
+
+  inboxUpdates.set(pubkey, update);
+  update
+    .catch(() => {})
+    .finally(() => {
+      if (inboxUpdates.get(pubkey) === update) {
+        inboxUpdates.delete(pubkey);
+      }
+    });
+  return update;
+}
+
+/**
+ * Create a subscription on a client, optionally overriding the tracking
+ * configuration
+ */
+export function createReceiver(
+  opts: ReceiveOpts,
+  client: NostrMQClient,
+  trackingOverrides?: Partial<TrackingConfig>
+): SubscriptionHandle {
+  // 1. Load and validate configuration
+  const config = { ...client.config };
+
+  // Override the client identity with a provided signer or privkey
+  let identity: Promise<string>;
+  if (opts.signer) {
+    config.privkey = undefined;
+    config.signer = opts.signer;
+    identity = opts.signer.getPublicKey();
+  } else if (opts.privkey) {
+    const signer = new LocalSigner(opts.privkey);
     config.privkey = opts.privkey;
-    config.pubkey = getPublicKey(hexToBytes(opts.privkey));
+    config.signer = signer;
+    identity = Promise.resolve(signer.pubkey);
+  } else {
+    identity = client.getPublicKey();
   }
+  identity.catch(() => {}); // Surfaced when connecting below
 
-  // Merge configuration with options
-  const relays = opts.relays || config.relays;
+  // Merge configuration with options, subscribing on the healthiest relays
+  const relays = client
+    .getRelayPool()
+    .selectRelays(opts.relays || config.relays, opts.maxRelays);
+
+  if (
+    opts.encryption !== undefined &&
+    !isValidEncryptionScheme(opts.encryption)
+  ) {
+    throw new Error('encryption must be "nip04" or "nip44"');
+  }
 
   // Validate required parameters
   if (!opts.onMessage) {
@@ -151,105 +703,617 @@ export function receive(opts: ReceiveOpts): SubscriptionHandle {
     throw new Error("onMessage must be a function");
   }
 
-  // 2. Create RelayPool and generate subscription ID
-  const relayPool = createRelayPool(config);
+  if (opts.onStream !== undefined && typeof opts.onStream !== "function") {
+    throw new Error("onStream must be a function");
+  }
+
+  const minPow = opts.minPow ?? config.powDifficulty;
+  if (!Number.isInteger(minPow) || minPow < 0) {
+    throw new Error("minPow must be a non-negative integer");
+  }
+
+  const powExempt = toPubkeySet(opts.powExempt || [], "powExempt");
+
+  const concurrency = opts.concurrency ?? Infinity;
+  if (
+    concurrency !== Infinity &&
+    (!Number.isInteger(concurrency) || concurrency < 1)
+  ) {
+    throw new Error("concurrency must be a positive integer");
+  }
+
+  const maxQueue = opts.maxQueue ?? Infinity;
+  if (maxQueue !== Infinity && (!Number.isInteger(maxQueue) || maxQueue < 1)) {
+    throw new Error("maxQueue must be a positive integer");
+  }
+
+  const overflow = opts.overflow ?? "pause";
+  if (!["drop-oldest", "drop-newest", "pause"].includes(overflow)) {
+    throw new Error('overflow must be "drop-oldest", "drop-newest" or "pause"');
+  }
+
+  const retry = resolveRetryPolicy(opts.retry);
+
+  const delivery = opts.delivery ?? "at-most-once";
+  if (delivery !== "at-most-once" && delivery !== "at-least-once") {
+    throw new Error('delivery must be "at-most-once" or "at-least-once"');
+  }
+  const atLeastOnce = delivery === "at-least-once";
+
+  let deadLetters: DeadLetterStore | null = null;
+  if (opts.deadLetter === true) {
+    deadLetters = new FileDeadLetterStore();
+  } else if (opts.deadLetter) {
+    if (typeof opts.deadLetter.put !== "function") {
+      throw new Error("deadLetter must be true or a store with a put method");
+    }
+    deadLetters = opts.deadLetter;
+  }
+
+  // Loaded after validation, as it may start watching a policy file
+  const accessControl =
+    opts.access !== undefined ? new AccessControl(opts.access) : null;
+
+  // 2. Share the client's RelayPool and generate subscription ID
+  const relayPool = client.getRelayPool();
   const subscriptionId = generateUniqueId();
-  const handle = new SubscriptionHandleImpl(subscriptionId, relayPool);
+  const handle = new SubscriptionHandleImpl(subscriptionId, relayPool, {
+    maxQueue,
+    overflow,
+  });
+  handle.onClose(() => accessControl?.close());
+
+  // Closing the client closes its subscriptions
+  const onClientClose = () => handle.close();
+  client.once("close", onClientClose);
+  handle.onClose(() => client.off("close", onClientClose));
 
   // 3. Initialize MessageTracker for replay protection
   let messageTracker: MessageTracker | null = null;
+  // The Bloom filter is only saved periodically
+  handle.onClose(() => void messageTracker?.flush());
 
-  // 4. Set up event handlers for processing messages
-  relayPool.on(
-    "event",
-    async (url: string, subId: string, event: NostrEvent) => {
-      if (subId !== subscriptionId) return;
+  /**
+   * Drop an event whose PoW is below minPow
+   */
+  const rejectPow = (event: NostrEvent, sender: string) => {
+    console.debug(`Rejected event ${event.id}: PoW below ${minPow} bits`);
+    handle.reject({ reason: "pow", event, sender, minPow });
+  };
 
+  /**
+   * Drop an event whose sender fails the access policy
+   */
+  const rejectAccess = (event: NostrEvent, sender: string) => {
+    console.debug(`Rejected event ${event.id}: sender ${sender} not allowed`);
+    handle.reject({ reason: "access", event, sender });
+  };
+
+  /**
+   * Mark the events that carried a message as processed
+   */
+  const markEventsProcessed = async (events: NostrEvent[]) => {
+    if (!messageTracker) return;
+    for (const event of events) {
       try {
-        // Check for duplicate events using MessageTracker
-        if (messageTracker) {
-          try {
-            if (
-              (messageTracker as MessageTracker).hasProcessed(
-                event.id,
-                event.created_at
-              )
-            ) {
-              console.debug(`Skipping duplicate event: ${event.id}`);
-              return;
-            }
-          } catch (error) {
-            console.debug("MessageTracker duplicate check failed:", error);
-            // Continue processing even if tracking fails
-          }
-        }
+        await (messageTracker as MessageTracker).markProcessed(
+          event.id,
+          event.created_at
+        );
+      } catch (error) {
+        console.debug("MessageTracker markProcessed failed:", error);
+        // Continue even if tracking fails
+      }
+    }
+  };
 
-        // Process the received event
-        const messageData = await processEvent(event, config);
-        if (messageData) {
-          // Call the onMessage callback
-          try {
-            await opts.onMessage(
-              messageData.payload,
-              messageData.sender,
-              messageData.rawEvent
-            );
-          } catch (error) {
-            console.error("Error in onMessage callback:", error);
-          }
+  /**
+   * Hold the watermark back for events handed to a handler
+   */
+  const markEventsPending = (events: NostrEvent[]) => {
+    if (!atLeastOnce || !messageTracker) return;
+    for (const event of events) {
+      messageTracker.markPending(event.id, event.created_at);
+    }
+  };
 
-          // Mark event as processed in MessageTracker
-          if (messageTracker) {
-            try {
-              await (messageTracker as MessageTracker).markProcessed(
-                event.id,
-                event.created_at
-              );
-            } catch (error) {
-              console.debug("MessageTracker markProcessed failed:", error);
-              // Continue even if tracking fails
-            }
-          }
+  /**
+   * Let the events of a failed or dropped message be delivered again, in
+   * at-least-once mode
+   */
+  const markEventsFailed = async (events: NostrEvent[]) => {
+    if (!atLeastOnce || !messageTracker) return;
+    for (const event of events) {
+      try {
+        await (messageTracker as MessageTracker).markFailed(
+          event.id,
+          event.created_at
+        );
+      } catch (error) {
+        console.debug("MessageTracker markFailed failed:", error);
+      }
+    }
+  };
 
-          // Add to async iterator queue
-          handle.addMessage(messageData);
+  /**
+   * Acknowledge a message back to its response pubkey
+   */
+  const acknowledge = (
+    rawEvent: NostrEvent,
+    context: MessageContext,
+    handlerError: unknown
+  ) => {
+    const ack: AckInfo = { eventId: rawEvent.id, ok: !handlerError };
+    if (handlerError) {
+      ack.error =
+        handlerError instanceof Error
+          ? handlerError.message
+          : String(handlerError);
+    }
 
-          // Handle auto-acknowledgment if enabled
-          if (opts.autoAck) {
-            // TODO: Implement auto-acknowledgment in future stage
-            console.log(
-              "Auto-acknowledgment requested but not yet implemented"
-            );
-          }
-        }
+    sendAck(client, ack, context, config, relays).catch((error) => {
+      console.warn(`Failed to acknowledge event ${rawEvent.id}:`, error);
+    });
+  };
+
+  /**
+   * Call onMessage, retrying with backoff while the policy allows
+   *
+   * @returns The error of the last attempt (null on success) and the number of attempts
+   */
+  const runHandler = async (messageData: MessageData) => {
+    let backoffMs = retry.backoffMs;
+    for (let attempts = 1; ; attempts++) {
+      try {
+        await opts.onMessage(
+          messageData.payload,
+          messageData.sender,
+          messageData.rawEvent,
+          messageData.context
+        );
+        return { error: null, attempts };
       } catch (error) {
-        console.error(`Failed to process event from ${url}:`, error);
+        if (attempts >= retry.maxAttempts || handle.isClosed()) {
+          console.error("Error in onMessage callback:", error);
+          return { error: error as unknown, attempts };
+        }
+
+        console.warn(
+          `Error in onMessage callback (attempt ${attempts}/${retry.maxAttempts}), retrying in ${backoffMs}ms:`,
+          error
+        );
+        await sleep(backoffMs);
+        backoffMs = Math.min(
+          backoffMs * retry.backoffFactor,
+          retry.maxBackoffMs
+        );
       }
     }
-  );
+  };
+
+  /**
+   * Count a message whose handler failed every attempt and store it
+   *
+   * @returns Whether the message was stored
+   */
+  const deadLetter = async (
+    messageData: MessageData,
+    error: unknown,
+    attempts: number
+  ) => {
+    handle.recordFailed();
+    if (!deadLetters) return false;
+
+    const letter: DeadLetter = {
+      id: messageData.rawEvent.id,
+      recipient: config.pubkey,
+      payload: messageData.payload,
+      sender: messageData.sender,
+      rawEvent: messageData.rawEvent,
+      context: messageData.context,
+      error: error instanceof Error ? error.message : String(error),
+      attempts,
+      failedAt: Date.now(),
+    };
+
+    try {
+      await deadLetters.put(letter);
+      console.warn(
+        `Dead-lettered message ${letter.id} after ${attempts} attempt(s)`
+      );
+      return true;
+    } catch (storeError) {
+      console.error(`Failed to dead-letter message ${letter.id}:`, storeError);
+      return false;
+    }
+  };
+
+  handle.setReplayHandler(async () => {
+    if (!deadLetters) {
+      throw new Error("replayDeadLetters requires the deadLetter option");
+    }
+    if (!deadLetters.list || !deadLetters.remove) {
+      throw new Error("Dead-letter store does not support replay");
+    }
 
-  // Handle relay connection events
-  relayPool.on("relay:connected", (url: string) => {
-    console.log(`Connected to relay: ${url}`);
+    const result: ReplayResult = { replayed: 0, failed: 0 };
+    for (const letter of await deadLetters.list()) {
+      if (handle.isClosed()) break;
+      if (letter.recipient !== config.pubkey) continue;
+
+      const { error, attempts } = await runHandler(letter);
+      if (error) {
+        result.failed++;
+        await deadLetter(letter, error, letter.attempts + attempts);
+      } else {
+        result.replayed++;
+        await deadLetters.remove(letter.id);
+      }
+    }
+
+    return result;
   });
 
-  relayPool.on("relay:disconnected", (url: string, error?: Error) => {
-    console.warn(`Disconnected from relay ${url}:`, error?.message);
+  /**
+   * Run onMessage for a complete message, then track and acknowledge it
+   */
+  const deliver = async (messageData: MessageData, events: NostrEvent[]) => {
+    // Acknowledgements are control messages, only delivered on request
+    const isAck = messageData.context.ack !== undefined;
+    let handlerError: unknown = null;
+    let settled = true;
+
+    if (!isAck || opts.acks) {
+      handle.recordDelivered();
+
+      const { error, attempts } = await runHandler(messageData);
+      if (error) {
+        handlerError = error;
+        settled = await deadLetter(messageData, error, attempts);
+      }
+    }
+
+    // Mark event as processed in MessageTracker
+    if (settled || !atLeastOnce) {
+      await markEventsProcessed(events);
+    } else {
+      await markEventsFailed(events);
+    }
+
+    if (isAck && !opts.acks) {
+      return;
+    }
+
+    // Add to async iterator queue
+    await handle.addMessage(messageData);
+
+    if (opts.autoAck && !isAck) {
+      acknowledge(messageData.rawEvent, messageData.context, handlerError);
+    }
+  };
+
+  /**
+   * Hand a chunked message to onStream, then track and acknowledge it
+   */
+  const deliverStream = async (stream: ChunkStream) => {
+    let handlerError: unknown = null;
+    handle.recordDelivered();
+    try {
+      await opts.onStream!(stream);
+    } catch (error) {
+      handlerError = error;
+      console.error("Error in onStream callback:", error);
+    }
+
+    if (handlerError && atLeastOnce) {
+      await markEventsFailed(stream.getEvents());
+    } else {
+      await markEventsProcessed(stream.getEvents());
+    }
+
+    if (opts.autoAck) {
+      acknowledge(stream.rawEvent, stream.context, handlerError);
+    }
+  };
+
+  /**
+   * Subscribe to kind 30072 events and gift wraps targeting the user's pubkey
+   */
+  const subscribe = () => {
+    const filter: any = {
+      kinds: [30072, GIFT_WRAP_KIND],
+      "#p": [config.pubkey],
+    };
+
+    // Add 'since' parameter if MessageTracker is available
+    if (messageTracker) {
+      try {
+        filter.since = (
+          messageTracker as MessageTracker
+        ).getSubscriptionSince();
+        console.log(
+          `Using MessageTracker since timestamp: ${new Date(
+            filter.since * 1000
+          ).toISOString()}`
+        );
+      } catch (error) {
+        console.debug("Failed to get subscription since timestamp:", error);
+      }
+    }
+
+    relayPool.subscribe(subscriptionId, [filter], relays);
+  };
+
+  // Messages wait here for a handler slot, one sender at a time
+  const deliveries = new DeliveryQueue({
+    concurrency,
+    maxQueue,
+    overflow,
+    onDrop: (delivery) => {
+      delivery.discard?.();
+      handle.reject({
+        reason: "overflow",
+        event: delivery.event,
+        sender: delivery.sender,
+      });
+    },
+    onPause: () => {
+      console.warn(
+        `Pausing subscription ${subscriptionId}: ${maxQueue} messages waiting`
+      );
+      handle.setPaused(true);
+      relayPool.unsubscribe(subscriptionId);
+    },
+    onResume: () => {
+      handle.setPaused(false);
+      if (handle.isClosed()) return;
+      console.log(`Resuming subscription ${subscriptionId}`);
+      subscribe();
+    },
   });
+  handle.trackQueue(() => deliveries.size);
+  handle.onClose(() => deliveries.clear());
+
+  const chunkAssembler = new ChunkAssembler(
+    opts.chunkTimeoutMs || 60000,
+    opts.onStream
+      ? (stream) => {
+          markEventsPending([stream.rawEvent]);
+          deliveries.push({
+            sender: stream.sender,
+            createdAt: stream.rawEvent.created_at,
+            event: stream.rawEvent,
+            run: () => deliverStream(stream),
+            discard: () => {
+              stream.fail(new Error("Dropped by receive queue overflow"));
+              markEventsFailed(stream.getEvents());
+            },
+          });
+        }
+      : undefined,
+    opts.chunkLimits,
+    ({ reason, events, sender }) => {
+      if (reason === "limit") {
+        handle.reject({ reason: "chunks", event: events[0], sender });
+      }
+      // Chunks that fail verification never will, so they are not retried
+      if (reason === "invalid") {
+        markEventsProcessed(events);
+      } else if (!opts.onStream) {
+        // A stream's events are settled once its handler returns
+        markEventsFailed(events);
+      }
+    },
+    // Buffered chunks hold the watermark back until the message is handled
+    opts.onStream ? undefined : (event) => markEventsPending([event])
+  );
+  handle.onClose(() => chunkAssembler.clear());
+
+  // 4. Set up event handlers for processing messages
+  const onEvent = async (url: string, subId: string, event: NostrEvent) => {
+    if (subId !== subscriptionId) return;
+    handle.recordReceived();
+
+    try {
+      // Check for duplicate events using MessageTracker
+      if (messageTracker) {
+        try {
+          if (
+            await (messageTracker as MessageTracker).checkProcessed(
+              event.id,
+              event.created_at
+            )
+          ) {
+            console.debug(`Skipping duplicate event: ${event.id}`);
+            return;
+          }
+        } catch (error) {
+          console.debug("MessageTracker duplicate check failed:", error);
+          // Continue processing even if tracking fails
+        }
+      }
+
+      // The real sender of a gift wrap is only known once it is unwrapped
+      const giftWrap = event.kind === GIFT_WRAP_KIND;
+
+      // Drop events without enough PoW before spending time decrypting them
+      const insufficientPow = minPow > 0 && !meetsMinPow(event, minPow);
+      if (insufficientPow && !powExempt.has(event.pubkey)) {
+        if (!giftWrap || powExempt.size === 0) {
+          rejectPow(event, event.pubkey);
+          return;
+        }
+      }
+
+      // Check the sender against the access policy before decrypting
+      if (
+        accessControl &&
+        !giftWrap &&
+        !(await accessControl.isAllowed(event.pubkey, event))
+      ) {
+        rejectAccess(event, event.pubkey);
+        return;
+      }
+
+      // Process the received event
+      const processed = await processEvent(event, config, opts.encryption);
+      if (!processed) return;
+
+      if (insufficientPow && !powExempt.has(processed.sender)) {
+        rejectPow(event, processed.sender);
+        return;
+      }
+
+      if (
+        accessControl &&
+        giftWrap &&
+        !(await accessControl.isAllowed(processed.sender, event))
+      ) {
+        rejectAccess(event, processed.sender);
+        return;
+      }
+
+      // Chunks are buffered until the whole message has arrived
+      if ("chunk" in processed) {
+        const assembled = chunkAssembler.add(processed);
+        if (assembled) {
+          const { events, ...messageData } = assembled;
+          markEventsPending(events);
+          deliveries.push({
+            sender: messageData.sender,
+            createdAt: messageData.rawEvent.created_at,
+            event: messageData.rawEvent,
+            run: () => deliver(messageData, events),
+            discard: () => markEventsFailed(events),
+          });
+        }
+        return;
+      }
+
+      markEventsPending([event]);
+      deliveries.push({
+        sender: processed.sender,
+        createdAt: event.created_at,
+        event,
+        run: () => deliver(processed, [event]),
+        discard: () => markEventsFailed([event]),
+      });
+    } catch (error) {
+      console.error(`Failed to process event from ${url}:`, error);
+    }
+  };
+  relayPool.on("event", onEvent);
+  handle.onClose(() => relayPool.off("event", onEvent));
+
+  // Relays still sending their stored backlog, and how often each relay
+  // has closed the subscription since its last EOSE
+  let backlogRelays: Set<string> | null = null;
+  const closeCounts = new Map<string, number>();
+  const resubscribeTimers = new Map<string, NodeJS.Timeout>();
+
+  const finishBacklog = (url: string) => {
+    if (backlogRelays?.delete(url) && backlogRelays.size === 0) {
+      handle.markCaughtUp();
+    }
+  };
+
+  const onEose = (url: string, eoseSubscriptionId: string) => {
+    if (eoseSubscriptionId !== subscriptionId) return;
+    closeCounts.delete(url);
+    finishBacklog(url);
+  };
+
+  const onClosed = (
+    url: string,
+    closedSubscriptionId: string,
+    message: string
+  ) => {
+    if (closedSubscriptionId !== subscriptionId || handle.isClosed()) return;
+
+    const reason = typeof message === "string" ? message : "";
+    const attempts = closeCounts.get(url) ?? 0;
+    if (
+      PERMANENT_CLOSE_REASONS.some((prefix) => reason.startsWith(prefix)) ||
+      attempts >= RESUBSCRIBE_MAX_ATTEMPTS
+    ) {
+      console.warn(
+        `Relay ${url} closed subscription ${subscriptionId}, giving up: ${reason}`
+      );
+      relayPool.unsubscribe(subscriptionId, [url]);
+      finishBacklog(url);
+      handle.emit("relayClosed", { relay: url, message: reason });
+      return;
+    }
 
-  relayPool.on("relay:error", (url: string, error: Error) => {
-    console.error(`Relay error from ${url}:`, error.message);
+    const retryInMs = Math.min(
+      RESUBSCRIBE_BASE_DELAY_MS * Math.pow(2, attempts),
+      RESUBSCRIBE_MAX_DELAY_MS
+    );
+    closeCounts.set(url, attempts + 1);
+    console.warn(
+      `Relay ${url} closed subscription ${subscriptionId} (${reason}), resubscribing in ${retryInMs}ms`
+    );
+
+    clearTimeout(resubscribeTimers.get(url));
+    resubscribeTimers.set(
+      url,
+      setTimeout(() => {
+        resubscribeTimers.delete(url);
+        if (!handle.isClosed()) {
+          relayPool.resubscribe(subscriptionId, url);
+        }
+      }, retryInMs)
+    );
+    handle.emit("relayClosed", { relay: url, message: reason, retryInMs });
+  };
+
+  relayPool.on("eose", onEose);
+  relayPool.on("closed", onClosed);
+  handle.onClose(() => {
+    relayPool.off("eose", onEose);
+    relayPool.off("closed", onClosed);
+    for (const timer of resubscribeTimers.values()) {
+      clearTimeout(timer);
+    }
+    resubscribeTimers.clear();
   });
 
-  // 4. Connect to relays and subscribe
-  relayPool
-    .connect()
+  // 4. Resolve the identity, connect to relays and subscribe
+  identity
+    .then((pubkey) => {
+      config.pubkey = pubkey;
+      return client.acquire(relays);
+    })
     .then(async () => {
+      if (handle.isClosed()) {
+        client.release();
+        return;
+      }
+      handle.onClose(() => client.release());
+
       // Initialize MessageTracker after successful connection
       try {
-        messageTracker = createMessageTracker();
+        const overrides = { ...opts.tracking, ...trackingOverrides };
+        const tracking = { ...getTrackingConfig(), ...overrides };
+        messageTracker = createMessageTracker(
+          tracking,
+          trackerStoreFor(
+            config.pubkey,
+            tracking,
+            opts.trackerStore,
+            !opts.signer && !opts.privkey,
+            overrides.cacheDir !== undefined
+          ),
+          delivery
+        );
         await messageTracker.initialize();
         console.log("MessageTracker initialized successfully");
+
+        // Replay protection starts over from what was lost
+        const { corrupted } = messageTracker.getStats();
+        if (corrupted.length > 0) {
+          handle.emit("trackerCorrupted", corrupted);
+        }
       } catch (error) {
         console.warn(
           "Failed to initialize MessageTracker, continuing without tracking:",
@@ -258,30 +1322,23 @@ export function receive(opts: ReceiveOpts): SubscriptionHandle {
         messageTracker = null;
       }
 
-      // Subscribe to kind 30072 events targeting the user's pubkey
-      const filter: any = {
-        kinds: [30072],
-        "#p": [config.pubkey],
-      };
-
-      // Add 'since' parameter if MessageTracker is available
-      if (messageTracker) {
-        try {
-          filter.since = (
-            messageTracker as MessageTracker
-          ).getSubscriptionSince();
-          console.log(
-            `Using MessageTracker since timestamp: ${new Date(
-              filter.since * 1000
-            ).toISOString()}`
-          );
-        } catch (error) {
-          console.debug("Failed to get subscription since timestamp:", error);
-        }
+      if (handle.isClosed()) return;
+      backlogRelays = new Set(
+        relays.filter(
+          (url) => relayPool.getRelayStatus(url)?.state === "connected"
+        )
+      );
+      subscribe();
+      console.log(`Subscribed to messages for pubkey: ${config.pubkey}`);
+      if (backlogRelays.size === 0) {
+        handle.markCaughtUp();
       }
 
-      relayPool.subscribe(subscriptionId, [filter], relays);
-      console.log(`Subscribed to messages for pubkey: ${config.pubkey}`);
+      if (opts.publishInbox) {
+        publishInboxRelays(relayPool, config, relays).catch((error) => {
+          console.warn("Failed to publish inbox relay list:", error);
+        });
+      }
     })
     .catch((error) => {
       console.error("Failed to connect to relays:", error);
@@ -296,11 +1353,13 @@ export function receive(opts: ReceiveOpts): SubscriptionHandle {
  */
 async function processEvent(
   event: NostrEvent,
-  config: NostrMQConfig
-): Promise<MessageData | null> {
+  config: NostrMQConfig,
+  requiredEncryption?: EncryptionScheme
+): Promise<ProcessedEvent | null> {
   try {
     // 1. Validate event structure
-    if (event.kind !== 30072) {
+    const giftWrap = event.kind === GIFT_WRAP_KIND;
+    if (event.kind !== 30072 && !giftWrap) {
       return null; // Not a NostrMQ message
     }
 
@@ -311,17 +1370,41 @@ async function processEvent(
       return null; // Not targeting us
     }
 
-    // 2. Decrypt the content using NIP-04
+    // 2. Decrypt the content, detecting NIP-04 or NIP-44 from its format
+    const signer = getSigner(config);
+    let sender = event.pubkey;
     let decryptedContent: string;
-    try {
-      decryptedContent = await nip04.decrypt(
-        config.privkey,
-        event.pubkey,
-        event.content
+    let encryption: EncryptionScheme;
+    if (giftWrap) {
+      // Gift wraps are signed by a throwaway key; the real sender is the
+      // verified signer of the inner seal
+      try {
+        const { rumor } = await unwrapGiftWrap(event, signer);
+        if (rumor.kind !== 30072) {
+          return null; // Not a NostrMQ message
+        }
+        sender = rumor.pubkey;
+        decryptedContent = rumor.content;
+        encryption = "nip44";
+      } catch (error) {
+        console.warn(`Failed to unwrap gift wrap ${event.id}:`, error);
+        return null; // Skip unopenable wraps
+      }
+    } else {
+      try {
+        ({ plaintext: decryptedContent, scheme: encryption } =
+          await decryptContent(signer, event.pubkey, event.content));
+      } catch (error) {
+        console.warn(`Failed to decrypt message from ${event.pubkey}:`, error);
+        return null; // Skip undecryptable events
+      }
+    }
+
+    if (requiredEncryption && encryption !== requiredEncryption) {
+      console.warn(
+        `Rejecting ${encryption} message from ${sender}: ${requiredEncryption} required`
       );
-    } catch (error) {
-      console.warn(`Failed to decrypt message from ${event.pubkey}:`, error);
-      return null; // Skip undecryptable events
+      return null;
     }
 
     // 3. Parse the decrypted JSON payload
@@ -330,16 +1413,13 @@ async function processEvent(
       const parsed = safeJsonParse(decryptedContent);
       encryptedPayload = parsed as EncryptedPayload;
     } catch (error) {
-      console.warn(
-        `Failed to parse decrypted content from ${event.pubkey}:`,
-        error
-      );
+      console.warn(`Failed to parse decrypted content from ${sender}:`, error);
       return null; // Skip invalid JSON
     }
 
     // 4. Validate payload structure
     if (!encryptedPayload || typeof encryptedPayload !== "object") {
-      console.warn(`Invalid payload structure from ${event.pubkey}`);
+      console.warn(`Invalid payload structure from ${sender}`);
       return null;
     }
 
@@ -348,7 +1428,7 @@ async function processEvent(
       !encryptedPayload.response ||
       encryptedPayload.payload === undefined
     ) {
-      console.warn(`Missing required fields in payload from ${event.pubkey}`);
+      console.warn(`Missing required fields in payload from ${sender}`);
       return null;
     }
 
@@ -365,15 +1445,63 @@ async function processEvent(
       !isValidPubkey(encryptedPayload.target) ||
       !isValidPubkey(encryptedPayload.response)
     ) {
-      console.warn(`Invalid pubkey format in payload from ${event.pubkey}`);
+      console.warn(`Invalid pubkey format in payload from ${sender}`);
+      return null;
+    }
+
+    if (
+      encryptedPayload.correlationId !== undefined &&
+      typeof encryptedPayload.correlationId !== "string"
+    ) {
+      console.warn(`Invalid correlationId in payload from ${sender}`);
+      return null;
+    }
+
+    if (
+      encryptedPayload.ack !== undefined &&
+      !isValidAck(encryptedPayload.ack)
+    ) {
+      console.warn(`Invalid acknowledgement in payload from ${sender}`);
+      return null;
+    }
+
+    if (
+      encryptedPayload.chunk !== undefined &&
+      (!isValidChunkInfo(encryptedPayload.chunk) ||
+        typeof encryptedPayload.payload !== "string")
+    ) {
+      console.warn(`Invalid chunk in payload from ${sender}`);
       return null;
     }
 
     // 7. Return processed message data
+    if (encryptedPayload.chunk) {
+      return {
+        payload: undefined,
+        sender,
+        rawEvent: event,
+        context: {
+          response: encryptedPayload.response,
+          correlationId: encryptedPayload.correlationId,
+          encryption,
+          giftWrap,
+        },
+        chunk: encryptedPayload.chunk,
+        data: encryptedPayload.payload as string,
+      };
+    }
+
     return {
       payload: encryptedPayload.payload,
-      sender: event.pubkey,
+      sender,
       rawEvent: event,
+      context: {
+        response: encryptedPayload.response,
+        correlationId: encryptedPayload.correlationId,
+        encryption,
+        giftWrap,
+        ack: encryptedPayload.ack,
+      },
     };
   } catch (error) {
     console.error(
@@ -383,3 +1511,16 @@ async function processEvent(
     return null;
   }
 }
+
+/**
+ * Validate the structure of an acknowledgement
+ */
+function isValidAck(ack: unknown): ack is AckInfo {
+  if (!ack || typeof ack !== "object") return false;
+  const { eventId, ok, error } = ack as AckInfo;
+  return (
+    typeof eventId === "string" &&
+    typeof ok === "boolean" &&
+    (error === undefined || typeof error === "string")
+  );
+}
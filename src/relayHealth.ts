@@ -0,0 +1,162 @@
+import type { RelayHealthOptions, RelayScore } from "./types.js";
+
+/**
+ * Weight of the newest sample in the moving averages
+ */
+const SMOOTHING = 0.2;
+
+/**
+ * OK latency at which the latency factor bottoms out at one half
+ */
+const MAX_LATENCY_MS = 5000;
+
+/**
+ * What is known about one relay
+ */
+interface RelayStats {
+  /** Moving average of OK responses that accepted the event, 0-1 */
+  acceptanceRate: number;
+  /** Moving average of the time to an OK response in ms */
+  latencyMs?: number;
+  /** Number of events whose outcome was recorded */
+  published: number;
+  /** Times the connection closed, in ms since epoch */
+  disconnects: number[];
+  /** Times the relay sent a NOTICE or CLOSED, in ms since epoch */
+  errors: number[];
+  /** When the relay was last picked despite being demoted */
+  probedAt: number;
+}
+
+/**
+ * Scores relays from their recent behaviour
+ *
+ * A score between 0 (unusable) and 1 (healthy) multiplies the share of
+ * events the relay accepted with factors for how fast it answered with OK
+ * and how often it disconnected or sent NOTICE and CLOSED messages within
+ * `windowMs`: two disconnects or four errors halve the score. Relays
+ * we know nothing about score 1, so new relays get tried. Relays scoring
+ * below `minScore` are demoted: they are only picked when there are not
+ * enough healthy ones, or once every `probeIntervalMs` to check whether
+ * they have recovered.
+ */
+export class RelayHealth {
+  private stats = new Map<string, RelayStats>();
+  private windowMs: number;
+  private minScore: number;
+  readonly probeIntervalMs: number;
+
+  constructor(options: RelayHealthOptions = {}) {
+    this.windowMs = options.windowMs ?? 10 * 60 * 1000;
+    this.minScore = options.minScore ?? 0.5;
+    this.probeIntervalMs = options.probeIntervalMs ?? 60 * 1000;
+  }
+
+  /**
+   * Record a relay's response to a published event
+   *
+   * @param accepted - Whether the relay accepted the event
+   * @param latencyMs - Time until the OK response, or until giving up
+   */
+  recordPublish(url: string, accepted: boolean, latencyMs: number): void {
+    const stats = this.get(url);
+    stats.acceptanceRate = average(stats.acceptanceRate, accepted ? 1 : 0);
+    stats.latencyMs =
+      stats.latencyMs === undefined
+        ? latencyMs
+        : average(stats.latencyMs, latencyMs);
+    stats.published++;
+  }
+
+  /**
+   * Record a closed connection or failed connection attempt
+   */
+  recordDisconnect(url: string): void {
+    this.get(url).disconnects.push(Date.now());
+  }
+
+  /**
+   * Record a NOTICE or CLOSED message
+   */
+  recordError(url: string): void {
+    this.get(url).errors.push(Date.now());
+  }
+
+  /**
+   * Current score of a relay
+   */
+  score(url: string): RelayScore {
+    const stats = this.get(url);
+    const since = Date.now() - this.windowMs;
+    stats.disconnects = stats.disconnects.filter((time) => time > since);
+    stats.errors = stats.errors.filter((time) => time > since);
+
+    const latency =
+      1 - 0.5 * Math.min(1, (stats.latencyMs ?? 0) / MAX_LATENCY_MS);
+    const score =
+      stats.acceptanceRate *
+      latency *
+      (2 / (2 + stats.disconnects.length)) *
+      (4 / (4 + stats.errors.length));
+
+    return {
+      url,
+      score,
+      demoted: score < this.minScore,
+      acceptanceRate: stats.acceptanceRate,
+      latencyMs: stats.latencyMs,
+      published: stats.published,
+      disconnects: stats.disconnects.length,
+      errors: stats.errors.length,
+    };
+  }
+
+  /**
+   * Pick the healthiest relays, best first
+   *
+   * Demoted relays fill up the selection only when there are fewer than
+   * `count` healthy ones. A demoted relay that has not been tried for
+   * `probeIntervalMs` is added on top of the selection as a probe.
+   *
+   * @param relays - Candidate relays
+   * @param count - How many relays to pick (default: all)
+   */
+  select(relays: string[], count = relays.length): string[] {
+    const ranked = relays
+      .map((url) => this.score(url))
+      .sort((a, b) => b.score - a.score);
+    const selected = ranked.slice(0, count).map(({ url }) => url);
+
+    const now = Date.now();
+    for (const { url } of ranked.filter(({ demoted }) => demoted)) {
+      const stats = this.get(url);
+      if (selected.includes(url)) {
+        stats.probedAt = now;
+      } else if (now - stats.probedAt >= this.probeIntervalMs) {
+        stats.probedAt = now;
+        selected.push(url);
+      }
+    }
+
+    return selected;
+  }
+
+  private get(url: string): RelayStats {
+    let stats = this.stats.get(url);
+    if (!stats) {
+      stats = {
+        acceptanceRate: 1,
+        published: 0,
+        disconnects: [],
+        errors: [],
+        probedAt: Date.now(),
+      };
+      this.stats.set(url, stats);
+    }
+    return stats;
+  }
+}
+
+function average(previous: number, sample: number): number {
+  return previous + SMOOTHING * (sample - previous);
+}
@@ -0,0 +1,82 @@
+import type { EncryptionScheme, RelayInfo } from "./types.js";
+
+/**
+ * Room for the event id, pubkey, signature, tags and the ["EVENT", ...]
+ * wrapper around the content of a published event
+ */
+const EVENT_OVERHEAD_BYTES = 600;
+
+/**
+ * Room for the target, response, correlation id and chunk metadata around
+ * the payload in an encrypted envelope
+ */
+const ENVELOPE_OVERHEAD_BYTES = 400;
+
+/**
+ * HTTP(S) URL serving the NIP-11 document of a relay
+ */
+export function relayInfoUrl(relayUrl: string): string {
+  const url = new URL(relayUrl);
+  url.protocol = url.protocol === "wss:" ? "https:" : "http:";
+  return url.toString();
+}
+
+/**
+ * Fetch a relay's NIP-11 information document
+ *
+ * @param relayUrl - WebSocket URL of the relay
+ * @param timeoutMs - Give up after this long
+ * @returns The document, or null when the relay does not serve one
+ */
+export async function fetchRelayInfo(
+  relayUrl: string,
+  timeoutMs: number
+): Promise<RelayInfo | null> {
+  try {
+    const response = await fetch(relayInfoUrl(relayUrl), {
+      headers: { Accept: "application/nostr+json" },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      return null;
+    }
+
+    const info = await response.json();
+    return info && typeof info === "object" && !Array.isArray(info)
+      ? (info as RelayInfo)
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Estimate the size of the event carrying a payload, before encrypting it
+ *
+ * Errs on the large side: NIP-44 pads and base64-encodes the plaintext,
+ * NIP-04 base64-encodes it, and a gift wrap encrypts twice more.
+ *
+ * @param payloadBytes - Size of the serialized payload (or of one chunk)
+ * @param encryption - Encryption scheme of the envelope
+ * @param giftWrap - Whether the event is gift wrapped
+ * @returns Estimated content length and WebSocket message size in bytes
+ */
+export function estimateEventSize(
+  payloadBytes: number,
+  encryption: EncryptionScheme,
+  giftWrap = false
+): { contentBytes: number; messageBytes: number } {
+  const encrypt = (bytes: number) =>
+    encryption === "nip44"
+      ? Math.ceil(((bytes + 2) * 1.125 + 65) * (4 / 3)) + 4
+      : Math.ceil((bytes + 16) * (4 / 3)) + 28;
+
+  let contentBytes = encrypt(payloadBytes + ENVELOPE_OVERHEAD_BYTES);
+  if (giftWrap) {
+    // Rumor inside a seal inside the wrap
+    const sealBytes = encrypt(contentBytes + EVENT_OVERHEAD_BYTES);
+    contentBytes = encrypt(sealBytes + EVENT_OVERHEAD_BYTES);
+  }
+
+  return { contentBytes, messageBytes: contentBytes + EVENT_OVERHEAD_BYTES };
+}
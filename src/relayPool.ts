@@ -1,8 +1,25 @@
 import { EventEmitter } from "events";
 import WebSocket from "ws";
 import type { Event as NostrEvent, EventTemplate } from "nostr-tools";
-import type { RelayConnection, RelayMessage, NostrMQConfig } from "./types.js";
+import type {
+  RelayConnection,
+  RelayMessage,
+  NostrMQConfig,
+  RelayPoolOptions,
+  HeartbeatOptions,
+  ConnectOptions,
+  PublishResult,
+  RelayPublishResult,
+  RelayScore,
+  RelayInfo,
+  RelayInfoOptions,
+} from "./types.js";
+import { getSigner } from "./signer.js";
+import { OutboundQueue } from "./outboundQueue.js";
+import { RelayHealth } from "./relayHealth.js";
+import { fetchRelayInfo } from "./relayInfo.js";
 import {
+  generateUniqueId,
   isValidRelayUrl,
   retry,
   sleep,
@@ -12,6 +29,23 @@ import {
   loadConfig,
 } from "./utils.js";
 
+/**
+ * Kind of NIP-42 authentication events
+ */
+export const CLIENT_AUTH_KIND = 22242;
+
+/**
+ * How long to wait for a relay to accept an AUTH event
+ */
+const AUTH_TIMEOUT_MS = 10000;
+
+/**
+ * Whether a CLOSED or OK message asks the client to authenticate first
+ */
+function isAuthRequired(message: string | undefined): boolean {
+  return typeof message === "string" && message.startsWith("auth-required:");
+}
+
 /**
  * Relay pool events
  */
@@ -19,6 +53,9 @@ export interface RelayPoolEvents {
   "relay:connected": (url: string) => void;
   "relay:disconnected": (url: string, error?: Error) => void;
   "relay:error": (url: string, error: Error) => void;
+  "relay:stale": (url: string, idleMs: number) => void;
+  "relay:auth": (url: string, accepted: boolean, message: string) => void;
+  "relay:flushed": (url: string, results: RelayPublishResult[]) => void;
   "relay:message": (url: string, message: RelayMessage) => void;
   event: (url: string, subscriptionId: string, event: NostrEvent) => void;
   eose: (url: string, subscriptionId: string) => void;
@@ -50,13 +87,64 @@ export class RelayPool extends EventEmitter {
   private subscriptions = new Map<string, Subscription>();
   private config: NostrMQConfig;
   private reconnectTimeouts = new Map<string, NodeJS.Timeout>();
+  private pendingConnections = new Map<string, Promise<void>>();
+  private authRetries = new Map<string, Set<string>>();
+  private authEnabled = true;
+  private outboundQueue: OutboundQueue | null = null;
+  private heartbeat: Required<HeartbeatOptions> | null = null;
+  private heartbeatTimers = new Map<string, NodeJS.Timeout>();
+  private health: RelayHealth | null = null;
+  private probeTimeouts = new Map<string, NodeJS.Timeout>();
+  private disconnecting = false;
+  private relayInfo: Required<RelayInfoOptions> | null = null;
+  private relayInfos = new Map<
+    string,
+    { info: Promise<RelayInfo | null>; expiresAt: number }
+  >();
   private maxReconnectAttempts = 10;
   private baseReconnectDelay = 1000; // 1 second
   private maxReconnectDelay = 30000; // 30 seconds
 
-  constructor(config?: NostrMQConfig) {
+  constructor(config?: NostrMQConfig, options: RelayPoolOptions = {}) {
     super();
     this.config = config || loadConfig();
+    this.maxReconnectAttempts =
+      options.maxReconnectAttempts ?? this.maxReconnectAttempts;
+    this.baseReconnectDelay =
+      options.baseReconnectDelay ?? this.baseReconnectDelay;
+    this.maxReconnectDelay =
+      options.maxReconnectDelay ?? this.maxReconnectDelay;
+    this.authEnabled = options.auth ?? this.authEnabled;
+    if (options.outboundQueue) {
+      this.outboundQueue = new OutboundQueue(
+        typeof options.outboundQueue === "object" ? options.outboundQueue : {}
+      );
+    }
+    if (options.heartbeat !== false) {
+      const heartbeat =
+        typeof options.heartbeat === "object" ? options.heartbeat : {};
+      this.heartbeat = {
+        pingIntervalMs: heartbeat.pingIntervalMs ?? 30000,
+        idleTimeoutMs: heartbeat.idleTimeoutMs ?? 60000,
+      };
+      if (this.heartbeat.idleTimeoutMs <= this.heartbeat.pingIntervalMs) {
+        throw new Error("heartbeat idleTimeoutMs must exceed pingIntervalMs");
+      }
+    }
+    if (options.relayInfo !== false) {
+      const relayInfo =
+        typeof options.relayInfo === "object" ? options.relayInfo : {};
+      this.relayInfo = {
+        timeoutMs: relayInfo.timeoutMs ?? 3000,
+        ttlMs: relayInfo.ttlMs ?? 60 * 60 * 1000,
+        skipPaid: relayInfo.skipPaid ?? true,
+      };
+    }
+    if (options.health !== false) {
+      this.health = new RelayHealth(
+        typeof options.health === "object" ? options.health : {}
+      );
+    }
 
     // Initialize relay connections
     for (const url of this.config.relays) {
@@ -66,29 +154,118 @@ export class RelayPool extends EventEmitter {
           ws: null,
           state: "disconnected",
           reconnectAttempts: 0,
+          auth: "none",
+        });
+      }
+    }
+
+    // Relays with events left over from a previous process
+    for (const url of this.outboundQueue?.relays() || []) {
+      if (!this.connections.has(url) && isValidRelayUrl(url)) {
+        this.connections.set(url, {
+          url,
+          ws: null,
+          state: "disconnected",
+          reconnectAttempts: 0,
+          auth: "none",
         });
       }
     }
   }
 
   /**
-   * Connect to all configured relays
+   * Connect to all configured relays, or only to the given ones
+   *
+   * Resolves once `minConnected` relays are connected, after giving the
+   * others up to `waitForAllMs` to connect as well. Relays that are still
+   * connecting keep trying in the background.
+   *
+   * @throws {Error} When fewer than `minConnected` relays can be connected
    */
-  async connect(): Promise<void> {
-    const connectionPromises = Array.from(this.connections.keys()).map((url) =>
-      this.connectToRelay(url)
-    );
+  async connect(
+    targetRelays?: string[],
+    options: ConnectOptions = {}
+  ): Promise<void> {
+    const relays = targetRelays || Array.from(this.connections.keys());
+    const minConnected = options.minConnected ?? 1;
+    const waitForAllMs = options.waitForAllMs ?? 0;
 
-    // Wait for at least one successful connection
-    try {
-      await Promise.race(connectionPromises);
-    } catch (error) {
-      throw new Error(`Failed to connect to any relay: ${error}`);
+    if (!Number.isInteger(minConnected) || minConnected < 1) {
+      throw new Error("minConnected must be a positive integer");
+    }
+    if (minConnected > relays.length) {
+      throw new Error(
+        `minConnected is ${minConnected} but only ${relays.length} relay(s) are configured`
+      );
+    }
+
+    // Publish events left over from a previous process to relays outside
+    // this connect() call as well
+    for (const url of this.outboundQueue?.relays() || []) {
+      if (!relays.includes(url) && this.connections.has(url)) {
+        this.connectToRelay(url).catch((error) => {
+          console.warn(`Failed to connect to ${url} for queued events:`, error);
+        });
+      }
+    }
+
+    const failures: string[] = [];
+    let connected = 0;
+    let settled = 0;
+    let allSettled!: () => void;
+    const waitForAll = new Promise<void>((resolve) => {
+      allSettled = resolve;
+    });
+
+    await new Promise<void>((resolve, reject) => {
+      for (const url of relays) {
+        this.connectToRelay(url)
+          .then(
+            () => {
+              connected++;
+            },
+            (error) => {
+              failures.push(
+                `${url} (${error instanceof Error ? error.message : error})`
+              );
+            }
+          )
+          .finally(() => {
+            settled++;
+            if (settled === relays.length) {
+              allSettled();
+            }
+
+            if (connected >= minConnected) {
+              resolve();
+            } else if (relays.length - failures.length < minConnected) {
+              reject(
+                new Error(
+                  minConnected === 1
+                    ? `Failed to connect to any relay: ${failures.join(", ")}`
+                    : `Failed to connect to ${minConnected} of ${relays.length} relays: ${failures.join(", ")}`
+                )
+              );
+            }
+          });
+      }
+    });
+
+    // Give the remaining relays a moment so publishes reach all of them
+    if (waitForAllMs > 0 && settled < relays.length) {
+      let timer: NodeJS.Timeout | undefined;
+      await Promise.race([
+        waitForAll,
+        new Promise<void>((resolve) => {
+          timer = setTimeout(resolve, waitForAllMs);
+        }),
+      ]);
+      clearTimeout(timer);
     }
   }
 
   /**
-   * Connect to a specific relay
+   * Connect to a specific relay, sharing an attempt already in progress
    */
   private async connectToRelay(url: string): Promise<void> {
     const connection = this.connections.get(url);
@@ -96,10 +273,25 @@ export class RelayPool extends EventEmitter {
       throw new Error(`Relay ${url} not found in pool`);
     }
 
-    if (connection.state === "connected" || connection.state === "connecting") {
+    if (connection.state === "connected") {
       return;
     }
 
+    let pending = this.pendingConnections.get(url);
+    if (!pending) {
+      pending = this.openConnection(connection).finally(() => {
+        this.pendingConnections.delete(url);
+      });
+      this.pendingConnections.set(url, pending);
+    }
+    return pending;
+  }
+
+  /**
+   * Open the WebSocket for a relay and wait until it is ready
+   */
+  private async openConnection(connection: RelayConnection): Promise<void> {
+    const { url } = connection;
     connection.state = "connecting";
 
     try {
@@ -111,13 +303,21 @@ export class RelayPool extends EventEmitter {
         connection.state = "connected";
         connection.reconnectAttempts = 0;
         connection.lastError = undefined;
+        connection.lastActivity = Date.now();
+        this.resetAuth(connection);
+        this.startHeartbeat(connection, ws);
+        this.getRelayInfo(url);
         this.emit("relay:connected", url);
 
         // Resubscribe to active subscriptions
         this.resubscribeToRelay(url);
+
+        // Publish events queued while the relay was away
+        this.flushOutbound(url);
       });
 
       ws.on("message", (data: WebSocket.Data) => {
+        connection.lastActivity = Date.now();
         try {
           const message = safeJsonParse(data.toString()) as RelayMessage;
           this.handleRelayMessage(url, message);
@@ -126,9 +326,19 @@ export class RelayPool extends EventEmitter {
         }
       });
 
+      ws.on("pong", () => {
+        connection.lastActivity = Date.now();
+      });
+
       ws.on("close", (code: number, reason: Buffer) => {
+        this.stopHeartbeat(url);
+        // Closing connections ourselves says nothing about the relay
+        if (!this.disconnecting && this.connections.has(url)) {
+          this.health?.recordDisconnect(url);
+        }
         connection.state = "disconnected";
         connection.ws = null;
+        this.resetAuth(connection);
         const error = new Error(
           `Connection closed: ${code} ${reason.toString()}`
         );
@@ -160,15 +370,109 @@ export class RelayPool extends EventEmitter {
     }
   }
 
+  /**
+   * Ping a connected relay periodically and drop it once it goes quiet
+   *
+   * A half-open connection never emits "close", so a relay that has sent
+   * nothing for `idleTimeoutMs`, not even a pong, is terminated; the close
+   * handler then reconnects it.
+   */
+  private startHeartbeat(connection: RelayConnection, ws: WebSocket): void {
+    if (!this.heartbeat) {
+      return;
+    }
+
+    this.stopHeartbeat(connection.url);
+    const { pingIntervalMs, idleTimeoutMs } = this.heartbeat;
+    const timer = setInterval(() => {
+      if (connection.ws !== ws) {
+        clearInterval(timer);
+        return;
+      }
+
+      const idleMs = Date.now() - (connection.lastActivity ?? 0);
+      if (idleMs >= idleTimeoutMs) {
+        this.stopHeartbeat(connection.url);
+        this.emit("relay:stale", connection.url, idleMs);
+        ws.terminate();
+        return;
+      }
+
+      try {
+        ws.ping();
+      } catch (error) {
+        console.error(`Failed to ping ${connection.url}:`, error);
+      }
+    }, pingIntervalMs);
+    // Pinging alone must not keep the process alive
+    timer.unref?.();
+
+    this.heartbeatTimers.set(connection.url, timer);
+  }
+
+  /**
+   * Stop pinging a relay
+   */
+  private stopHeartbeat(url: string): void {
+    const timer = this.heartbeatTimers.get(url);
+    if (timer) {
+      clearInterval(timer);
+      this.heartbeatTimers.delete(url);
+    }
+  }
+
+  /**
+   * NIP-11 information document of a relay, fetched over HTTP when the
+   * relay connects and cached for `ttlMs`
+   *
+   * @returns The document, or null when the relay does not serve one or
+   * fetching is disabled
+   */
+  getRelayInfo(url: string): Promise<RelayInfo | null> {
+    if (!this.relayInfo) {
+      return Promise.resolve(null);
+    }
+
+    const cached = this.relayInfos.get(url);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.info;
+    }
+
+    const info = fetchRelayInfo(url, this.relayInfo.timeoutMs).then(
+      (info) => {
+        const connection = this.connections.get(url);
+        if (connection) {
+          connection.info = info;
+        }
+        return info;
+      }
+    );
+    this.relayInfos.set(url, {
+      info,
+      expiresAt: Date.now() + this.relayInfo.ttlMs,
+    });
+    return info;
+  }
+
+  /**
+   * Whether relays requiring payment should be left out of publishing
+   *
+   * @internal
+   */
+  skipsPaidRelays(): boolean {
+    return this.relayInfo?.skipPaid ?? false;
+  }
+
   /**
    * Schedule reconnection with exponential backoff
    */
   private scheduleReconnect(url: string): void {
     const connection = this.connections.get(url);
-    if (
-      !connection ||
-      connection.reconnectAttempts >= this.maxReconnectAttempts
-    ) {
+    if (!connection) {
+      return;
+    }
+    if (connection.reconnectAttempts >= this.maxReconnectAttempts) {
+      this.scheduleProbe(url);
       return;
     }
 
@@ -194,6 +498,38 @@ export class RelayPool extends EventEmitter {
     this.reconnectTimeouts.set(url, timeout);
   }
 
+  /**
+   * Try a relay that used up its reconnect attempts again after a while
+   *
+   * Probes run every `probeIntervalMs` until the relay connects, without
+   * queueing events for it in the meantime.
+   */
+  private scheduleProbe(url: string): void {
+    if (!this.health || this.probeTimeouts.has(url)) {
+      return;
+    }
+
+    const timeout = setTimeout(() => {
+      this.probeTimeouts.delete(url);
+      if (!this.connections.has(url)) return;
+      this.connectToRelay(url).catch((error) => {
+        console.warn(`Probe of ${url} failed:`, error);
+      });
+    }, this.health.probeIntervalMs);
+
+    this.probeTimeouts.set(url, timeout);
+  }
+
+  /**
+   * Cancel all scheduled probes
+   */
+  private clearProbes(): void {
+    for (const timeout of this.probeTimeouts.values()) {
+      clearTimeout(timeout);
+    }
+    this.probeTimeouts.clear();
+  }
+
   /**
    * Handle incoming relay messages
    */
@@ -220,68 +556,395 @@ export class RelayPool extends EventEmitter {
       }
       case "NOTICE": {
         const [notice] = args as [string];
+        this.health?.recordError(url);
         this.emit("notice", url, notice);
         break;
       }
       case "CLOSED": {
         const [subscriptionId, message] = args as [string, string];
+        if (this.deferUntilAuth(url, subscriptionId, message)) {
+          break;
+        }
+        this.health?.recordError(url);
         this.emit("closed", url, subscriptionId, message);
         break;
       }
+      case "AUTH": {
+        const [challenge] = args as [string];
+        this.authenticate(url, challenge).catch((error) => {
+          console.error(`Failed to authenticate to ${url}:`, error);
+        });
+        break;
+      }
       default:
         console.warn(`Unknown message type from ${url}:`, type);
     }
   }
 
+  /**
+   * Answer an AUTH challenge with a signed kind 22242 event
+   *
+   * Subscriptions the relay closed with "auth-required:" are sent again once
+   * the relay accepts the authentication.
+   */
+  private async authenticate(url: string, challenge: string): Promise<void> {
+    const connection = this.connections.get(url);
+    if (!this.authEnabled || !connection?.ws || typeof challenge !== "string") {
+      return;
+    }
+
+    const ws = connection.ws;
+    connection.auth = "authenticating";
+
+    let accepted = false;
+    let message: string;
+    try {
+      const event = await getSigner(this.config).signEvent({
+        kind: CLIENT_AUTH_KIND,
+        created_at: Math.floor(Date.now() / 1000),
+        tags: [
+          ["relay", url],
+          ["challenge", challenge],
+        ],
+        content: "",
+      });
+
+      const response = this.waitForOk(url, event.id, AUTH_TIMEOUT_MS);
+      ws.send(safeJsonStringify(["AUTH", event]));
+      ({ accepted, message } = await response);
+
+      if (accepted) {
+        connection.authPubkey = event.pubkey;
+      }
+    } catch (error) {
+      message = error instanceof Error ? error.message : String(error);
+    }
+
+    // The connection was replaced while authenticating
+    if (connection.ws !== ws) {
+      return;
+    }
+
+    connection.auth = accepted ? "authenticated" : "failed";
+    connection.authError = accepted ? undefined : message;
+    this.emit("relay:auth", url, accepted, message);
+
+    const retries = this.authRetries.get(url);
+    this.authRetries.delete(url);
+    for (const subscriptionId of retries || []) {
+      const subscription = this.subscriptions.get(subscriptionId);
+      if (!subscription?.active) continue;
+
+      if (accepted) {
+        this.sendSubscriptionToRelay(url, subscriptionId, subscription.filters);
+      } else {
+        this.emit(
+          "closed",
+          url,
+          subscriptionId,
+          `auth-required: authentication failed: ${message}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Hold on to a subscription closed with "auth-required:" so it can be
+   * resent after authenticating
+   *
+   * @returns Whether the subscription will be retried
+   */
+  private deferUntilAuth(
+    url: string,
+    subscriptionId: string,
+    message: string
+  ): boolean {
+    const connection = this.connections.get(url);
+    if (
+      !this.authEnabled ||
+      !isAuthRequired(message) ||
+      !connection ||
+      connection.auth === "authenticated" ||
+      connection.auth === "failed" ||
+      !this.subscriptions.get(subscriptionId)?.active
+    ) {
+      return false;
+    }
+
+    const retries = this.authRetries.get(url) || new Set<string>();
+    retries.add(subscriptionId);
+    this.authRetries.set(url, retries);
+    return true;
+  }
+
+  /**
+   * Wait until a relay accepts our authentication
+   *
+   * @throws {Error} When the relay refuses it or never challenges us in time
+   */
+  private waitForAuth(url: string, timeoutMs: number): Promise<void> {
+    const connection = this.connections.get(url);
+    if (connection?.auth === "authenticated") {
+      return Promise.resolve();
+    }
+    if (connection?.auth === "failed") {
+      return Promise.reject(
+        new Error(`Authentication failed: ${connection.authError}`)
+      );
+    }
+
+    let handler: RelayPoolEvents["relay:auth"] | undefined;
+    return withTimeout(
+      new Promise<void>((resolve, reject) => {
+        handler = (relayUrl, accepted, message) => {
+          if (relayUrl !== url) return;
+          if (accepted) {
+            resolve();
+          } else {
+            reject(new Error(`Authentication failed: ${message}`));
+          }
+        };
+        this.on("relay:auth", handler);
+      }),
+      timeoutMs,
+      `Relay ${url} did not authenticate us in time`
+    ).finally(() => {
+      this.off("relay:auth", handler!);
+    });
+  }
+
+  /**
+   * Forget the authentication of a closed or reopened connection
+   */
+  private resetAuth(connection: RelayConnection): void {
+    connection.auth = "none";
+    connection.authPubkey = undefined;
+    connection.authError = undefined;
+    this.authRetries.delete(connection.url);
+  }
+
+  /**
+   * Wait for a relay's OK response to an event
+   */
+  private waitForOk(
+    url: string,
+    eventId: string,
+    timeoutMs: number
+  ): Promise<{ accepted: boolean; message: string }> {
+    let handler: RelayPoolEvents["ok"] | undefined;
+    return withTimeout(
+      new Promise<{ accepted: boolean; message: string }>((resolve) => {
+        handler = (relayUrl, okEventId, accepted, message) => {
+          if (relayUrl === url && okEventId === eventId) {
+            resolve({ accepted, message: message || "" });
+          }
+        };
+        this.on("ok", handler);
+      }),
+      timeoutMs,
+      `Publish timeout for ${url}`
+    ).finally(() => {
+      this.off("ok", handler!);
+    });
+  }
+
   /**
    * Publish an event to relays
+   *
+   * @returns Whether each relay accepted the event
    */
   async publish(
     event: NostrEvent,
     targetRelays?: string[]
   ): Promise<Map<string, boolean>> {
+    const { relays } = await this.publishDetailed(event, targetRelays);
+    return new Map(relays.map(({ url, accepted }) => [url, accepted]));
+  }
+
+  /**
+   * Publish an event to relays and collect each relay's OK response
+   *
+   * Relays that are still connecting are waited for. Relays that have not
+   * answered within `timeoutMs` are reported as not accepted.
+   *
+   * @param event - Signed event to publish
+   * @param targetRelays - Relays to publish to (default: all relays in the pool)
+   * @param timeoutMs - How long to wait for each relay (default: 5000)
+   * @returns The per-relay outcomes and the number of relays that accepted
+   */
+  async publishDetailed(
+    event: NostrEvent,
+    targetRelays?: string[],
+    timeoutMs = 5000
+  ): Promise<PublishResult> {
     const relays = targetRelays || Array.from(this.connections.keys());
-    const results = new Map<string, boolean>();
+    const deadline = Date.now() + timeoutMs;
+
+    const results = await Promise.all(
+      relays.map((url) => this.publishToRelay(url, event, deadline))
+    );
+
+    return {
+      eventId: event.id,
+      accepted: results.filter(({ accepted }) => accepted).length,
+      queued: results.filter(({ queued }) => queued).length,
+      relays: results,
+    };
+  }
 
-    const publishPromises = relays.map(async (url) => {
+  /**
+   * Send an event to one relay and wait for its OK response
+   */
+  private async publishToRelay(
+    url: string,
+    event: NostrEvent,
+    deadline: number
+  ): Promise<RelayPublishResult> {
+    const pending = this.pendingConnections.get(url);
+    if (pending) {
+      await withTimeout(pending, Math.max(0, deadline - Date.now())).catch(
+        () => {}
+      );
+    }
+
+    const remaining = () => Math.max(0, deadline - Date.now());
+    let sentAt = Date.now();
+    const sendEvent = () => {
       const connection = this.connections.get(url);
       if (!connection || connection.state !== "connected" || !connection.ws) {
-        results.set(url, false);
-        return;
+        return null;
       }
 
-      try {
-        const message = safeJsonStringify(["EVENT", event]);
-        connection.ws.send(message);
-
-        // Wait for OK response
-        const okReceived = await withTimeout(
-          new Promise<boolean>((resolve) => {
-            const handler = (
-              relayUrl: string,
-              eventId: string,
-              accepted: boolean
-            ) => {
-              if (relayUrl === url && eventId === event.id) {
-                this.off("ok", handler);
-                resolve(accepted);
-              }
-            };
-            this.on("ok", handler);
-          }),
-          5000, // 5 second timeout
-          `Publish timeout for ${url}`
-        );
+      const response = this.waitForOk(url, event.id, remaining());
+      sentAt = Date.now();
+      connection.ws.send(safeJsonStringify(["EVENT", event]));
+      return response;
+    };
 
-        results.set(url, okReceived);
-      } catch (error) {
-        console.error(`Failed to publish to ${url}:`, error);
-        results.set(url, false);
+    try {
+      let response = await sendEvent();
+      if (!response) {
+        return this.queueOrFail(url, event);
       }
+
+      // Publish again once the relay has accepted our AUTH
+      if (
+        !response.accepted &&
+        isAuthRequired(response.message) &&
+        this.authEnabled
+      ) {
+        await this.waitForAuth(url, remaining());
+        const retried = await sendEvent();
+        if (!retried) {
+          return this.queueOrFail(url, event);
+        }
+        response = retried;
+      }
+
+      this.health?.recordPublish(url, response.accepted, Date.now() - sentAt);
+      return { url, ...response };
+    } catch (error) {
+      console.error(`Failed to publish to ${url}:`, error);
+      this.health?.recordPublish(url, false, Date.now() - sentAt);
+      return {
+        url,
+        accepted: false,
+        message: error instanceof Error ? error.message : String(error),
+      };
+    }
+  }
+
+  /**
+   * Queue an event for a relay that is about to reconnect
+   */
+  private queueOrFail(url: string, event: NostrEvent): RelayPublishResult {
+    const reconnecting =
+      this.reconnectTimeouts.has(url) || this.pendingConnections.has(url);
+    if (!this.outboundQueue || !reconnecting) {
+      return { url, accepted: false, message: "not connected" };
+    }
+
+    this.outboundQueue.enqueue(url, event);
+    return {
+      url,
+      accepted: false,
+      queued: true,
+      message: "queued until the relay reconnects",
+    };
+  }
+
+  /**
+   * Publish the events queued for a relay that has just connected
+   */
+  private flushOutbound(url: string): void {
+    const events = this.outboundQueue?.take(url) || [];
+    if (events.length === 0) {
+      return;
+    }
+
+    console.log(`Publishing ${events.length} queued event(s) to ${url}`);
+    Promise.all(
+      events.map((event) =>
+        this.publishToRelay(url, event, Date.now() + AUTH_TIMEOUT_MS)
+      )
+    ).then((results) => {
+      this.emit("relay:flushed", url, results);
     });
+  }
 
-    await Promise.allSettled(publishPromises);
-    return results;
+  /**
+   * Take an event back out of the outbound queue, so it is not published
+   * when its relays reconnect
+   *
+   * @returns Whether the event was queued
+   */
+  unqueue(eventId: string): boolean {
+    return this.outboundQueue?.remove(eventId) ?? false;
+  }
+
+  /**
+   * Number of events waiting for relays to reconnect
+   *
+   * @param url - Only count events for this relay
+   */
+  getQueuedCount(url?: string): number {
+    return this.outboundQueue?.size(url) ?? 0;
+  }
+
+  /**
+   * Health scores of the relays in the pool, best first
+   */
+  getRelayScores(): RelayScore[] {
+    if (!this.health) {
+      return [];
+    }
+
+    return Array.from(this.connections.keys())
+      .map((url) => this.health!.score(url))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Pick the relays to use for a send or subscription
+   *
+   * Prefers the `count` healthiest relays and adds a demoted relay now and
+   * then to find out whether it has recovered. Without a count, or without
+   * health scoring, the relays are used as given.
+   *
+   * @param relays - Candidate relays
+   * @param count - How many relays to pick (default: all)
+   */
+  selectRelays(relays: string[], count?: number): string[] {
+    if (count === undefined) {
+      return relays;
+    }
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error("maxRelays must be a positive integer");
+    }
+    if (!this.health) {
+      return relays.slice(0, count);
+    }
+    return this.health.select(relays, count);
   }
 
   /**
@@ -308,6 +971,67 @@ export class RelayPool extends EventEmitter {
     }
   }
 
+  /**
+   * Fetch the stored events matching filters from the connected relays
+   *
+   * Resolves once every relay has sent EOSE or CLOSED, or after `timeoutMs`
+   * with whatever arrived until then.
+   *
+   * @param filters - Subscription filters
+   * @param targetRelays - Relays to ask (default: all relays in the pool)
+   * @param timeoutMs - How long to wait for the relays (default: 5000)
+   * @returns The events received, each event once
+   */
+  async query(
+    filters: any[],
+    targetRelays?: string[],
+    timeoutMs = 5000
+  ): Promise<NostrEvent[]> {
+    const relays = (
+      targetRelays || Array.from(this.connections.keys())
+    ).filter((url) => this.connections.get(url)?.state === "connected");
+    if (relays.length === 0) {
+      return [];
+    }
+
+    const subscriptionId = generateUniqueId();
+    const events = new Map<string, NostrEvent>();
+    const pending = new Set(relays);
+    let onEvent: RelayPoolEvents["event"] | undefined;
+    let onDone: RelayPoolEvents["eose"] | undefined;
+
+    try {
+      await withTimeout(
+        new Promise<void>((resolve) => {
+          onEvent = (url, id, event) => {
+            if (id === subscriptionId && pending.has(url)) {
+              events.set(event.id, event);
+            }
+          };
+          onDone = (url, id) => {
+            if (id !== subscriptionId) return;
+            pending.delete(url);
+            if (pending.size === 0) resolve();
+          };
+          this.on("event", onEvent);
+          this.on("eose", onDone);
+          this.on("closed", onDone);
+          this.subscribe(subscriptionId, filters, relays);
+        }),
+        timeoutMs
+      );
+    } catch {
+      // Use what the responsive relays sent
+    } finally {
+      this.off("event", onEvent!);
+      this.off("eose", onDone!);
+      this.off("closed", onDone!);
+      this.unsubscribe(subscriptionId);
+    }
+
+    return Array.from(events.values());
+  }
+
   /**
    * Send subscription to a specific relay
    */
@@ -329,6 +1053,24 @@ export class RelayPool extends EventEmitter {
     }
   }
 
+  /**
+   * Send an active subscription's REQ to one of its relays again, after the
+   * relay closed it
+   *
+   * A relay that is not connected gets the REQ once it reconnects.
+   *
+   * @returns Whether the subscription is still active on that relay
+   */
+  resubscribe(subscriptionId: string, url: string): boolean {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription?.active || !subscription.relays.has(url)) {
+      return false;
+    }
+
+    this.sendSubscriptionToRelay(url, subscriptionId, subscription.filters);
+    return true;
+  }
+
   /**
    * Resubscribe to all active subscriptions for a relay
    */
@@ -424,6 +1166,7 @@ export class RelayPool extends EventEmitter {
       ws: null,
       state: "disconnected",
       reconnectAttempts: 0,
+      auth: "none",
     });
 
     // Auto-connect if pool is already connected
@@ -443,16 +1186,20 @@ export class RelayPool extends EventEmitter {
       return;
     }
 
+    this.stopHeartbeat(url);
+
     // Close connection if active
     if (connection.ws) {
       connection.ws.close();
     }
 
-    // Clear reconnect timeout
-    const timeout = this.reconnectTimeouts.get(url);
-    if (timeout) {
-      clearTimeout(timeout);
-      this.reconnectTimeouts.delete(url);
+    // Clear reconnect and probe timeouts
+    for (const timeouts of [this.reconnectTimeouts, this.probeTimeouts]) {
+      const timeout = timeouts.get(url);
+      if (timeout) {
+        clearTimeout(timeout);
+        timeouts.delete(url);
+      }
     }
 
     // Remove from connections
@@ -477,8 +1224,14 @@ export class RelayPool extends EventEmitter {
       clearTimeout(timeout);
     }
     this.reconnectTimeouts.clear();
+    this.clearProbes();
+
+    for (const url of Array.from(this.heartbeatTimers.keys())) {
+      this.stopHeartbeat(url);
+    }
 
     // Close all connections
+    this.disconnecting = true;
     const disconnectPromises = Array.from(this.connections.values()).map(
       (connection) => {
         if (connection.ws) {
@@ -492,6 +1245,14 @@ export class RelayPool extends EventEmitter {
     );
 
     await Promise.allSettled(disconnectPromises);
+    this.disconnecting = false;
+
+    // Closing sockets schedules reconnects; cancel those as well
+    for (const timeout of this.reconnectTimeouts.values()) {
+      clearTimeout(timeout);
+    }
+    this.reconnectTimeouts.clear();
+    this.clearProbes();
 
     // Clear subscriptions
     this.subscriptions.clear();
@@ -508,6 +1269,9 @@ export class RelayPool extends EventEmitter {
 /**
  * Create a new RelayPool instance
  */
-export function createRelayPool(config?: NostrMQConfig): RelayPool {
-  return new RelayPool(config);
+export function createRelayPool(
+  config?: NostrMQConfig,
+  options?: RelayPoolOptions
+): RelayPool {
+  return new RelayPool(config, options);
 }
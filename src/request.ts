@@ -0,0 +1,101 @@
+import { getPublicKey } from "nostr-tools";
+import type { RequestOpts } from "./types.js";
+import type { NostrMQClient } from "./client.js";
+import { getDefaultClient } from "./client.js";
+import { waitForMessage } from "./receive.js";
+import { generateUniqueId, hexToBytes, isValidPubkey } from "./utils.js";
+
+/**
+ * Build the error used when a request is aborted
+ */
+function abortError(signal: AbortSignal): Error {
+  if (signal.reason instanceof Error) {
+    return signal.reason;
+  }
+  return new Error("Request aborted");
+}
+
+/**
+ * Send a message and wait for the correlated reply
+ *
+ * A correlation id is generated and carried inside the encrypted envelope.
+ * The responder is expected to echo it back by sending its reply with
+ * `correlationId: context.correlationId` to `context.response`.
+ *
+ * @param opts - Request options containing payload, target, and configuration
+ * @returns Promise resolving to the reply payload
+ */
+export async function request(opts: RequestOpts): Promise<unknown> {
+  return getDefaultClient().request(opts);
+}
+
+/**
+ * Send a request over a client's relay connections and wait for the reply
+ *
+ * @param client - Client providing configuration and relay connections
+ * @param opts - Request options containing payload, target, and configuration
+ * @returns Promise resolving to the reply payload
+ */
+export async function performRequest(
+  client: NostrMQClient,
+  opts: RequestOpts
+): Promise<unknown> {
+  const { responsePrivkey, replyTimeoutMs = 30000, signal, ...sendOpts } = opts;
+
+  // Validate required parameters before opening a subscription
+  if (!opts.target) {
+    throw new Error("Target pubkey is required");
+  }
+
+  if (!isValidPubkey(opts.target)) {
+    throw new Error("Invalid target pubkey format");
+  }
+
+  let responsePubkey: string;
+  if (responsePrivkey) {
+    if (!/^[a-fA-F0-9]{64}$/.test(responsePrivkey)) {
+      throw new Error("responsePrivkey must be a 64-character hex string");
+    }
+    responsePubkey = getPublicKey(hexToBytes(responsePrivkey));
+  } else {
+    responsePubkey = await client.getPublicKey();
+  }
+
+  if (signal?.aborted) {
+    throw abortError(signal);
+  }
+
+  const correlationId = generateUniqueId();
+
+  // Cancels the reply listener when the request itself fails
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(abortError(signal!));
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  try {
+    // 1. Listen for the reply before publishing the request
+    const reply = waitForMessage(client, {
+      match: ({ sender, context }) =>
+        sender === opts.target && context.correlationId === correlationId,
+      timeoutMs: replyTimeoutMs,
+      timeoutMessage: `No reply received within ${replyTimeoutMs}ms`,
+      relays: opts.relays,
+      privkey: responsePrivkey,
+      signal: controller.signal,
+    });
+
+    // 2. Publish the request carrying the correlation id
+    client
+      .send({
+        ...sendOpts,
+        response: responsePubkey,
+        correlationId,
+      })
+      .catch((error) => controller.abort(error));
+
+    const { payload } = await reply;
+    return payload;
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
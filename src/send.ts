@@ -1,26 +1,34 @@
-import { nip04, getEventHash, finalizeEvent, getPublicKey } from "nostr-tools";
 import type { Event as NostrEvent, EventTemplate } from "nostr-tools";
-import type { SendOpts, NostrMQConfig, EncryptedPayload } from "./types.js";
-import { RelayPool, createRelayPool } from "./relayPool.js";
-import {
-  loadConfig,
-  generateUniqueId,
-  isValidPubkey,
-  withTimeout,
-  safeJsonStringify,
-} from "./utils.js";
+import type {
+  SendOpts,
+  NostrMQConfig,
+  EncryptedPayload,
+  AckInfo,
+  MessageContext,
+  ChunkInfo,
+  Signer,
+  EncryptionScheme,
+  PublishResult,
+  ReceivedMessage,
+  SendReceipt,
+} from "./types.js";
+import type { NostrMQClient } from "./client.js";
+import type { RelayPool } from "./relayPool.js";
+import { getDefaultClient } from "./client.js";
+import { generateUniqueId, isValidPubkey, safeJsonStringify } from "./utils.js";
 import { mineEventPow } from "./pow.js";
+import { waitForMessage } from "./receive.js";
+import { isValidEncryptionScheme } from "./encryption.js";
+import { LocalSigner, getSigner } from "./signer.js";
+import { createRumor, createSeal, createWrapTemplate } from "./giftWrap.js";
+import { DEFAULT_CHUNK_SIZE, digestPayload, splitPayload } from "./chunking.js";
+import { estimateEventSize } from "./relayInfo.js";
+import { DEFAULT_MAX_OUTBOX_RELAYS, selectOutboxRelays } from "./outbox.js";
 
 /**
- * Convert hex string to Uint8Array
+ * Highest relay min_pow_difficulty send() raises PoW to on its own
  */
-function hexToBytes(hex: string): Uint8Array {
-  const bytes = new Uint8Array(hex.length / 2);
-  for (let i = 0; i < hex.length; i += 2) {
-    bytes[i / 2] = parseInt(hex.substr(i, 2), 16);
-  }
-  return bytes;
-}
+export const DEFAULT_MAX_AUTO_POW = 20;
 
 /**
  * Determine PoW difficulty based on options and configuration
@@ -45,6 +53,78 @@ function determinePowDifficulty(
   return 0;
 }
 
+/**
+ * Apply the NIP-11 limits of the target relays to an outgoing message
+ *
+ * Relays that require payment (unless the pool is told otherwise), whose
+ * min_pow_difficulty is above `maxPow`, or whose max_message_length or
+ * max_content_length the estimated event would exceed are left out, so
+ * oversize payloads are refused before encryption.
+ *
+ * @param payloadBytes - Size of the payload, or of its largest chunk
+ * @param maxPow - Highest min_pow_difficulty to mine for
+ * @returns The relays to publish to and the highest min_pow_difficulty
+ * among them
+ * @throws {Error} When none of the relays can take the message
+ */
+async function applyRelayLimits(
+  relayPool: RelayPool,
+  relays: string[],
+  payloadBytes: number,
+  encryption: EncryptionScheme,
+  giftWrap: boolean,
+  maxPow: number
+): Promise<{ relays: string[]; minPow: number }> {
+  const { contentBytes, messageBytes } = estimateEventSize(
+    payloadBytes,
+    encryption,
+    giftWrap
+  );
+  const infos = await Promise.all(
+    relays.map((url) => relayPool.getRelayInfo(url))
+  );
+
+  const usable: string[] = [];
+  const skipped: string[] = [];
+  let minPow = 0;
+  relays.forEach((url, index) => {
+    const limitation = infos[index]?.limitation || {};
+    if (limitation.payment_required && relayPool.skipsPaidRelays()) {
+      skipped.push(`${url} (payment required)`);
+    } else if ((limitation.min_pow_difficulty || 0) > maxPow) {
+      skipped.push(
+        `${url} (min_pow_difficulty ${limitation.min_pow_difficulty}, limit ${maxPow})`
+      );
+    } else if (
+      limitation.max_message_length &&
+      messageBytes > limitation.max_message_length
+    ) {
+      skipped.push(
+        `${url} (max_message_length ${limitation.max_message_length}, event ~${messageBytes} bytes)`
+      );
+    } else if (
+      limitation.max_content_length &&
+      contentBytes > limitation.max_content_length
+    ) {
+      skipped.push(
+        `${url} (max_content_length ${limitation.max_content_length}, content ~${contentBytes} bytes)`
+      );
+    } else {
+      usable.push(url);
+      minPow = Math.max(minPow, limitation.min_pow_difficulty || 0);
+    }
+  });
+
+  if (usable.length === 0) {
+    throw new Error(`No relay can take this message: ${skipped.join(", ")}`);
+  }
+  if (skipped.length > 0) {
+    console.warn(`Skipping relays: ${skipped.join(", ")}`);
+  }
+
+  return { relays: usable, minPow };
+}
+
 /**
  * Send a message via NostrMQ
  *
@@ -52,12 +132,35 @@ function determinePowDifficulty(
  * @returns Promise resolving to the event ID of the published message
  */
 export async function send(opts: SendOpts): Promise<string> {
-  // 1. Load and validate configuration
-  const config = loadConfig();
+  return getDefaultClient().send(opts);
+}
+
+/**
+ * Send a message via NostrMQ and report how each relay responded
+ *
+ * @param opts - Send options containing payload, target, and configuration
+ * @returns Promise resolving to the event ID and per-relay OK responses
+ */
+export async function sendWithReceipt(opts: SendOpts): Promise<SendReceipt> {
+  return getDefaultClient().sendWithReceipt(opts);
+}
+
+/**
+ * Send a message over a client's relay connections
+ *
+ * @param client - Client providing configuration and relay connections
+ * @param opts - Send options containing payload, target, and configuration
+ * @returns Promise resolving to the event ID and per-relay OK responses
+ */
+export async function publishMessage(
+  client: NostrMQClient,
+  opts: SendOpts
+): Promise<SendReceipt> {
+  // 1. Load and validate configuration, resolving the signer's pubkey
+  await client.getPublicKey();
+  const config = client.config;
 
   // Merge configuration with options
-  const relays = opts.relays || config.relays;
-  const timeout = opts.timeoutMs || 2000;
   const responsePubkey = opts.response || config.pubkey;
 
   // Validate required parameters
@@ -77,26 +180,339 @@ export async function send(opts: SendOpts): Promise<string> {
     throw new Error("Invalid response pubkey format");
   }
 
-  // 2. Generate unique ID for the message
-  const uniqueId = generateUniqueId();
+  if (
+    opts.encryption !== undefined &&
+    !isValidEncryptionScheme(opts.encryption)
+  ) {
+    throw new Error('encryption must be "nip04" or "nip44"');
+  }
+
+  if (opts.giftWrap && opts.encryption === "nip04") {
+    throw new Error("giftWrap requires nip44 encryption");
+  }
+
+  if (opts.awaitAck && responsePubkey !== config.pubkey) {
+    throw new Error(
+      "awaitAck requires the response pubkey to be the sender's own pubkey"
+    );
+  }
 
-  // 3. Create encrypted payload structure
+  // 2. Create encrypted payload structure
   const encryptedPayload: EncryptedPayload = {
     target: opts.target,
     response: responsePubkey,
     payload: opts.payload,
   };
 
-  let encryptedContent: string;
+  if (opts.correlationId !== undefined) {
+    if (typeof opts.correlationId !== "string" || !opts.correlationId) {
+      throw new Error("correlationId must be a non-empty string");
+    }
+    encryptedPayload.correlationId = opts.correlationId;
+  }
+
+  const quorum = opts.quorum ?? 1;
+  if (!Number.isInteger(quorum) || quorum < 1) {
+    throw new Error("quorum must be a positive integer");
+  }
+
+  // Publish to the healthiest relays only, if asked to
+  let relays = client
+    .getRelayPool()
+    .selectRelays(opts.relays || config.relays, opts.maxRelays);
+
+  const maxOutboxRelays = opts.maxOutboxRelays ?? DEFAULT_MAX_OUTBOX_RELAYS;
+  if (!Number.isInteger(maxOutboxRelays) || maxOutboxRelays < 0) {
+    throw new Error("maxOutboxRelays must be a non-negative integer");
+  }
+
+  // Also publish to the relays the target reads from (NIP-65 outbox model)
+  if (opts.outbox) {
+    const inbox = await client
+      .getInboxRelays(
+        opts.target,
+        opts.relays || config.relays,
+        opts.timeoutMs || 2000
+      )
+      .catch((error) => {
+        console.warn(`Failed to look up relays of ${opts.target}:`, error);
+        return [];
+      });
+    relays = [...relays, ...selectOutboxRelays(inbox, relays, maxOutboxRelays)];
+  }
+
+  const chunkSize = opts.chunkSize ?? DEFAULT_CHUNK_SIZE;
+  if (!Number.isInteger(chunkSize) || chunkSize < 2) {
+    throw new Error("chunkSize must be an integer of at least 2");
+  }
+
+  const encoding = typeof opts.payload === "string" ? "text" : "json";
+  const data =
+    encoding === "text"
+      ? (opts.payload as string)
+      : safeJsonStringify(opts.payload);
+  const parts = data.length > chunkSize ? splitPayload(data, chunkSize) : null;
+
+  const maxAutoPow = opts.maxAutoPow ?? DEFAULT_MAX_AUTO_POW;
+  if (!Number.isInteger(maxAutoPow) || maxAutoPow < 0) {
+    throw new Error("maxAutoPow must be a non-negative integer");
+  }
+
+  // 3. Check the relays' NIP-11 limits before encrypting anything
+  const powBits = determinePowDifficulty(opts.pow, config.powDifficulty);
+  const limits = await applyRelayLimits(
+    client.getRelayPool(),
+    relays,
+    Math.max(...(parts || [data]).map((part) => Buffer.byteLength(part))),
+    opts.encryption || config.encryption,
+    opts.giftWrap ?? false,
+    Math.max(powBits, maxAutoPow)
+  );
+  if (limits.minPow > powBits) {
+    console.log(
+      `Raising PoW from ${powBits} to ${limits.minPow} bits to meet relay requirements`
+    );
+  }
+  const publishOpts = {
+    ...opts,
+    relays: limits.relays,
+    pow: Math.max(powBits, limits.minPow),
+  };
+
+  const relayCount = limits.relays.length;
+  if (quorum > relayCount) {
+    throw new Error(
+      `quorum is ${quorum} but only ${relayCount} relay(s) are configured`
+    );
+  }
+
+  // 4. Listen for the recipient's acknowledgement before publishing, so a
+  // fast one cannot be missed. Acknowledgements that arrive before the event
+  // id is known are kept until it is, and the timeout starts once published.
+  let eventId: string | undefined;
+  const earlyAcks: ReceivedMessage[] = [];
+  const controller = new AbortController();
+  const ack = opts.awaitAck
+    ? waitForMessage(client, {
+        match: (message) => {
+          if (message.sender !== opts.target || !message.context.ack) {
+            return false;
+          }
+          if (eventId === undefined) {
+            earlyAcks.push(message);
+            return false;
+          }
+          return message.context.ack.eventId === eventId;
+        },
+        relays: opts.relays,
+        acks: true,
+        signal: controller.signal,
+      })
+    : null;
+  // Settled below, or abandoned when publishing fails
+  ack?.catch(() => {});
+
+  // 5. Encrypt, sign and publish, splitting large payloads into chunks
+  let receipt: SendReceipt;
   try {
-    // Encrypt payload using NIP-04
-    const payloadJson = safeJsonStringify(encryptedPayload);
+    receipt = parts
+      ? await publishChunks(
+          encryptedPayload,
+          parts,
+          { digest: digestPayload(data), encoding },
+          config,
+          publishOpts,
+          client
+        )
+      : await publishEnvelope(encryptedPayload, config, publishOpts, client);
+  } catch (error) {
+    controller.abort(error);
+    throw error;
+  }
+  eventId = receipt.eventId;
 
-    encryptedContent = await nip04.encrypt(
-      config.privkey,
-      opts.target,
-      payloadJson
+  // 6. Wait for the recipient's acknowledgement if requested
+  if (ack) {
+    const early = earlyAcks.find(
+      ({ context }) => context.ack!.eventId === eventId
     );
+
+    let context: MessageContext;
+    if (early) {
+      controller.abort();
+      ({ context } = early);
+    } else {
+      const ackTimeout = opts.ackTimeoutMs || 30000;
+      const timer = setTimeout(() => {
+        controller.abort(
+          new Error(`No acknowledgement for ${eventId} within ${ackTimeout}ms`)
+        );
+      }, ackTimeout);
+      try {
+        ({ context } = await ack);
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    if (!context.ack!.ok) {
+      throw new Error(
+        `Recipient failed to handle message ${eventId}: ${
+          context.ack!.error || "unknown error"
+        }`
+      );
+    }
+  }
+
+  return receipt;
+}
+
+/**
+ * Send an acknowledgement for a received message back to its response pubkey
+ *
+ * The acknowledgement mirrors the encryption scheme, gift wrapping and
+ * correlation id of the message it acknowledges.
+ *
+ * @param client - Client whose relay connections are used
+ * @param ack - Acknowledgement details
+ * @param context - Envelope metadata of the acknowledged message
+ * @param config - Configuration of the receiving identity
+ * @param relays - Relays to publish the acknowledgement to
+ * @returns Promise resolving to the event ID of the acknowledgement
+ */
+export async function sendAck(
+  client: NostrMQClient,
+  ack: AckInfo,
+  context: MessageContext,
+  config: NostrMQConfig,
+  relays?: string[]
+): Promise<string> {
+  if (!isValidPubkey(context.response)) {
+    throw new Error("Invalid acknowledgement target pubkey format");
+  }
+
+  const encryptedPayload: EncryptedPayload = {
+    target: context.response,
+    response: config.pubkey,
+    payload: null,
+    ack,
+  };
+
+  if (context.correlationId) {
+    encryptedPayload.correlationId = context.correlationId;
+  }
+
+  const { eventId } = await publishEnvelope(
+    encryptedPayload,
+    config,
+    {
+      relays,
+      pow: false,
+      encryption: context.encryption,
+      giftWrap: context.giftWrap,
+    },
+    client
+  );
+  return eventId;
+}
+
+/**
+ * Publish a payload as ordered chunk events sharing one message id
+ *
+ * @returns Promise resolving to the outcome of the first chunk, listing every chunk
+ */
+async function publishChunks(
+  encryptedPayload: EncryptedPayload,
+  parts: string[],
+  meta: Pick<ChunkInfo, "digest" | "encoding">,
+  config: NostrMQConfig,
+  opts: SendOpts,
+  client: NostrMQClient
+): Promise<SendReceipt> {
+  const messageId = generateUniqueId();
+  const chunks: PublishResult[] = [];
+
+  console.log(
+    `Payload exceeds chunk size, sending ${parts.length} chunks as message ${messageId}`
+  );
+
+  // Keep the connections open between chunks
+  await client.acquire(opts.relays || config.relays, opts.timeoutMs || 2000, {
+    minConnected: opts.minConnected ?? opts.quorum,
+    waitForAllMs: opts.waitForAllMs,
+  });
+
+  try {
+    for (let index = 0; index < parts.length; index++) {
+      const chunk: ChunkInfo = {
+        messageId,
+        index,
+        total: parts.length,
+        ...meta,
+      };
+
+      chunks.push(
+        await publishEnvelope(
+          { ...encryptedPayload, payload: parts[index], chunk },
+          config,
+          opts,
+          client
+        )
+      );
+    }
+  } finally {
+    client.release();
+  }
+
+  return { ...chunks[0], chunks };
+}
+
+/**
+ * Encrypt an envelope, wrap it in a kind 30072 event (or a NIP-59 gift wrap
+ * around one) and publish it
+ *
+ * @throws {Error} When fewer than `quorum` relays accept the event
+ */
+async function publishEnvelope(
+  encryptedPayload: EncryptedPayload,
+  config: NostrMQConfig,
+  opts: Pick<
+    SendOpts,
+    | "relays"
+    | "pow"
+    | "timeoutMs"
+    | "encryption"
+    | "giftWrap"
+    | "quorum"
+    | "minConnected"
+    | "waitForAllMs"
+  >,
+  client: NostrMQClient
+): Promise<PublishResult> {
+  const relays = opts.relays || config.relays;
+  const encryption = opts.encryption || config.encryption;
+  const timeout = opts.timeoutMs || 2000;
+  const quorum = opts.quorum ?? 1;
+  const target = encryptedPayload.target;
+  const responsePubkey = encryptedPayload.response;
+
+  // 1. Generate unique ID for the message
+  const uniqueId = generateUniqueId();
+
+  const createdAt = Math.floor(Date.now() / 1000);
+  const tags = [
+    ["p", target],
+    ["d", uniqueId],
+  ];
+
+  // Add optional response tag if different from sender
+  if (responsePubkey !== config.pubkey) {
+    tags.push(["response", responsePubkey]);
+  }
+
+  let payloadJson: string;
+  try {
+    payloadJson = safeJsonStringify(encryptedPayload);
   } catch (error) {
     throw new Error(
       `Failed to encrypt payload: ${
@@ -105,24 +521,52 @@ export async function send(opts: SendOpts): Promise<string> {
     );
   }
 
-  // 4. Build kind 30072 event template
-  let eventTemplate: EventTemplate & { pubkey: string } = {
-    kind: 30072,
-    created_at: Math.floor(Date.now() / 1000),
-    tags: [
-      ["p", opts.target],
-      ["d", uniqueId],
-    ],
-    content: encryptedContent,
-    pubkey: config.pubkey,
-  };
+  let eventTemplate: EventTemplate & { pubkey: string };
+  const signer = getSigner(config);
+  let eventSigner: Signer = signer;
 
-  // Add optional response tag if different from sender
-  if (responsePubkey !== config.pubkey) {
-    eventTemplate.tags.push(["response", responsePubkey]);
+  if (opts.giftWrap) {
+    // 2-3. Seal the kind 30072 rumor and gift wrap it with a throwaway key
+    try {
+      const rumor = createRumor(
+        { kind: 30072, created_at: createdAt, tags, content: payloadJson },
+        config.pubkey
+      );
+      const seal = await createSeal(rumor, signer, target);
+      const wrap = await createWrapTemplate(seal, target);
+      eventTemplate = wrap.template;
+      eventSigner = new LocalSigner(wrap.secretKey);
+    } catch (error) {
+      throw new Error(
+        `Failed to gift wrap payload: ${
+          error instanceof Error ? error.message : String(error)
+        }`
+      );
+    }
+  } else {
+    // 2. Encrypt payload using NIP-04 or NIP-44
+    let encryptedContent: string;
+    try {
+      encryptedContent = await signer.encrypt(encryption, target, payloadJson);
+    } catch (error) {
+      throw new Error(
+        `Failed to encrypt payload: ${
+          error instanceof Error ? error.message : String(error)
+        }`
+      );
+    }
+
+    // 3. Build kind 30072 event template
+    eventTemplate = {
+      kind: 30072,
+      created_at: createdAt,
+      tags,
+      content: encryptedContent,
+      pubkey: config.pubkey,
+    };
   }
 
-  // 5. Apply Proof-of-Work mining if enabled
+  // 4. Apply Proof-of-Work mining if enabled
   const powBits = determinePowDifficulty(opts.pow, config.powDifficulty);
   if (powBits > 0) {
     console.log(`Mining PoW with ${powBits} bits difficulty...`);
@@ -141,10 +585,10 @@ export async function send(opts: SendOpts): Promise<string> {
     }
   }
 
-  // 6. Sign the event
+  // 5. Sign the event
   let signedEvent: NostrEvent;
   try {
-    signedEvent = finalizeEvent(eventTemplate, hexToBytes(config.privkey));
+    signedEvent = await eventSigner.signEvent(eventTemplate);
   } catch (error) {
     throw new Error(
       `Failed to sign event: ${
@@ -153,46 +597,65 @@ export async function send(opts: SendOpts): Promise<string> {
     );
   }
 
-  // 6. Publish to relays using RelayPool
-  const relayPool = createRelayPool(config);
-
+  // 6. Publish to relays over the client's shared RelayPool, once enough
+  // of them are connected to reach the quorum
+  let relayPool;
   try {
-    // Connect to relays
-    await withTimeout(
-      relayPool.connect(),
-      timeout,
-      "Failed to connect to relays within timeout"
+    relayPool = await client.acquire(relays, timeout, {
+      minConnected: opts.minConnected ?? quorum,
+      waitForAllMs: opts.waitForAllMs,
+    });
+  } catch (error) {
+    throw new Error(
+      `Failed to publish event: ${
+        error instanceof Error ? error.message : String(error)
+      }`
     );
+  }
 
-    // Publish the event
-    const publishResults = await withTimeout(
-      relayPool.publish(signedEvent, relays),
-      timeout,
-      "Failed to publish event within timeout"
+  try {
+    const result = await relayPool.publishDetailed(
+      signedEvent,
+      relays,
+      timeout
     );
 
-    // Check if at least one relay accepted the event
-    const successfulPublishes = Array.from(publishResults.entries()).filter(
-      ([_, accepted]) => accepted
-    );
+    // Check that enough relays accepted the event or will publish it once
+    // reconnected; events queued for a failed send are taken back, so a
+    // retry cannot deliver the message twice
+    if (result.accepted + result.queued < quorum) {
+      if (result.queued > 0) {
+        relayPool.unqueue(signedEvent.id);
+      }
 
-    if (successfulPublishes.length === 0) {
-      const failedRelays = Array.from(publishResults.entries())
-        .filter(([_, accepted]) => !accepted)
-        .map(([url, _]) => url);
+      const failedRelays = result.relays
+        .filter(({ accepted, queued }) => !accepted && !queued)
+        .map(({ url, message }) => (message ? `${url} (${message})` : url));
 
       throw new Error(
-        `Event was rejected by all relays: ${failedRelays.join(", ")}`
+        result.accepted + result.queued === 0
+          ? `Event was rejected by all relays: ${failedRelays.join(", ")}`
+          : `Event was accepted by ${result.accepted}${
+              result.queued > 0 ? ` and queued for ${result.queued}` : ""
+            } of ${quorum} required relays: ${failedRelays.join(", ")}`
       );
     }
 
     // Log successful publishes
+    const successfulPublishes = result.relays.filter(
+      ({ accepted }) => accepted
+    );
     console.log(
       `Event ${signedEvent.id} published successfully to ${successfulPublishes.length} relay(s):`,
-      successfulPublishes.map(([url, _]) => url)
+      successfulPublishes.map(({ url }) => url)
     );
+    if (result.queued > 0) {
+      console.log(
+        `Event ${signedEvent.id} queued for ${result.queued} reconnecting relay(s)`
+      );
+    }
 
-    return signedEvent.id;
+    return result;
   } catch (error) {
     throw new Error(
       `Failed to publish event: ${
@@ -200,11 +663,7 @@ export async function send(opts: SendOpts): Promise<string> {
       }`
     );
   } finally {
-    // Clean up relay connections
-    try {
-      await relayPool.disconnect();
-    } catch (error) {
-      console.warn("Failed to disconnect from relays:", error);
-    }
+    // Let the client disconnect once it is idle
+    client.release();
   }
 }
@@ -0,0 +1,103 @@
+import { finalizeEvent, getPublicKey, nip04, nip44 } from "nostr-tools";
+import type { Event as NostrEvent, EventTemplate } from "nostr-tools";
+import type { EncryptionScheme, NostrMQConfig, Signer } from "./types.js";
+import { Nip46Signer } from "./nip46.js";
+import { hexToBytes } from "./utils.js";
+
+/**
+ * NIP-46 signers created from configurations, by bunker URL and client key
+ */
+const bunkerSigners = new Map<string, Nip46Signer>();
+
+/**
+ * Signer backed by a private key held in memory
+ */
+export class LocalSigner implements Signer {
+  /** Hex public key of the identity */
+  readonly pubkey: string;
+
+  private secretKey: Uint8Array;
+
+  /**
+   * @param privkey - Private key as 64 hex characters or raw bytes
+   */
+  constructor(privkey: string | Uint8Array) {
+    if (typeof privkey === "string") {
+      if (!/^[a-fA-F0-9]{64}$/.test(privkey)) {
+        throw new Error("privkey must be a 64-character hex string");
+      }
+      privkey = hexToBytes(privkey);
+    }
+
+    this.secretKey = privkey;
+    this.pubkey = getPublicKey(privkey);
+  }
+
+  async getPublicKey(): Promise<string> {
+    return this.pubkey;
+  }
+
+  async signEvent(template: EventTemplate): Promise<NostrEvent> {
+    return finalizeEvent({ ...template }, this.secretKey);
+  }
+
+  async encrypt(
+    scheme: EncryptionScheme,
+    pubkey: string,
+    plaintext: string
+  ): Promise<string> {
+    if (scheme === "nip44") {
+      const conversationKey = nip44.getConversationKey(this.secretKey, pubkey);
+      return nip44.encrypt(plaintext, conversationKey);
+    }
+
+    return nip04.encrypt(this.secretKey, pubkey, plaintext);
+  }
+
+  async decrypt(
+    scheme: EncryptionScheme,
+    pubkey: string,
+    ciphertext: string
+  ): Promise<string> {
+    if (scheme === "nip44") {
+      const conversationKey = nip44.getConversationKey(this.secretKey, pubkey);
+      return nip44.decrypt(ciphertext, conversationKey);
+    }
+
+    return nip04.decrypt(this.secretKey, pubkey, ciphertext);
+  }
+}
+
+/**
+ * Get the signer of a configuration, falling back to its bunker URL and
+ * then its private key
+ *
+ * A bunker URL gets one Nip46Signer per URL and client key, shared by every
+ * client and relay pool built from such a configuration, so they all use a
+ * single bunker session.
+ *
+ * @throws {Error} When the configuration has no signer, bunkerUrl or privkey
+ */
+export function getSigner(config: NostrMQConfig): Signer {
+  if (config.signer) {
+    return config.signer;
+  }
+
+  if (config.bunkerUrl) {
+    const key = `${config.bunkerUrl}\n${config.bunkerClientKey || ""}`;
+    let signer = bunkerSigners.get(key);
+    if (!signer) {
+      signer = new Nip46Signer(config.bunkerUrl, {
+        clientSecretKey: config.bunkerClientKey,
+      });
+      bunkerSigners.set(key, signer);
+    }
+    return signer;
+  }
+
+  if (!config.privkey) {
+    throw new Error("Configuration requires a privkey, bunkerUrl or signer");
+  }
+
+  return new LocalSigner(config.privkey);
+}
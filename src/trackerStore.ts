@@ -0,0 +1,404 @@
+import { dirname, join } from "path";
+import type { TrackerState, TrackerStore } from "./types.js";
+import {
+  appendJournal,
+  ensureCacheDir,
+  getTrackingConfig,
+  loadBloomFilter,
+  loadJournal,
+  loadSnapshot,
+  loadTimestamp,
+  mergeEventIds,
+  moveCacheFiles,
+  saveBloomFilter,
+  saveSnapshot,
+  saveTimestamp,
+} from "./utils.js";
+
+/**
+ * Tracker store writing timestamp.json and snapshot.json to a directory
+ *
+ * Processed event IDs are appended to journal.jsonl and folded into
+ * snapshot.json when the snapshot is saved, together with the IDs other
+ * processes sharing the directory saved. Namespaces are subdirectories.
+ * This is the store MessageTracker uses unless given another one.
+ */
+export class FileTrackerStore implements TrackerStore {
+  /** Directory holding the cache files */
+  readonly dir: string;
+  /** Directory whose cache files to take over when this one has none */
+  private legacyDir?: string;
+
+  /**
+   * @param dir - Directory to store the files in (default: the tracking cacheDir)
+   */
+  constructor(dir?: string) {
+    this.dir = dir || getTrackingConfig().cacheDir;
+  }
+
+  async load(): Promise<TrackerState | null> {
+    if (!(await ensureCacheDir(this.dir))) {
+      throw new Error(`Failed to create cache directory ${this.dir}`);
+    }
+
+    const state = await this.loadState();
+    if (state || !this.legacyDir) {
+      return state;
+    }
+
+    const moved = await moveCacheFiles(this.legacyDir, this.dir);
+    if (moved.length === 0) {
+      return null;
+    }
+    console.log(
+      `Moved ${moved.join(", ")} from ${this.legacyDir} to ${this.dir}`
+    );
+    return this.loadState();
+  }
+
+  async saveTimestamp(timestamp: number): Promise<void> {
+    if (!(await saveTimestamp(this.dir, timestamp))) {
+      throw new Error(`Failed to save timestamp to ${this.dir}`);
+    }
+  }
+
+  async saveSnapshot(eventIds: string[], limit?: number): Promise<void> {
+    if (!(await saveSnapshot(this.dir, eventIds, limit))) {
+      throw new Error(`Failed to save snapshot to ${this.dir}`);
+    }
+  }
+
+  async appendProcessed(eventId: string): Promise<void> {
+    if (!(await appendJournal(this.dir, eventId))) {
+      throw new Error(`Failed to append to journal in ${this.dir}`);
+    }
+  }
+
+  namespace(name: string): FileTrackerStore {
+    return new FileTrackerStore(join(this.dir, name));
+  }
+
+  /**
+   * Namespace that, while it holds no state, takes over the files earlier
+   * versions wrote directly into this directory
+   *
+   * The files are moved, so only the first namespace to load takes them.
+   */
+  legacyNamespace(name: string): FileTrackerStore {
+    const store = this.namespace(name);
+    store.legacyDir = this.dir;
+    return store;
+  }
+
+  async saveFilter(data: Uint8Array): Promise<void> {
+    if (!(await saveBloomFilter(this.dir, data))) {
+      throw new Error(`Failed to save Bloom filter to ${this.dir}`);
+    }
+  }
+
+  async loadFilter(): Promise<Uint8Array | null> {
+    return loadBloomFilter(this.dir);
+  }
+
+  /**
+   * State saved in this directory, or null when there is none
+   */
+  private async loadState(): Promise<TrackerState | null> {
+    const corrupted: string[] = [];
+    const onCorrupt = (quarantined: string) => corrupted.push(quarantined);
+    const lastProcessed = await loadTimestamp(this.dir, onCorrupt);
+    const journal = await loadJournal(this.dir);
+    const eventIds = Array.from(
+      new Set([...(await loadSnapshot(this.dir, onCorrupt)), ...journal])
+    );
+    const state = { lastProcessed, eventIds, appended: journal.length };
+    if (corrupted.length > 0) {
+      return { ...state, corrupted };
+    }
+    if (lastProcessed === null && eventIds.length === 0) {
+      return null;
+    }
+    return state;
+  }
+}
+
+/**
+ * Tracker store keeping its state in memory
+ *
+ * State survives the MessageTracker but not the process. Trackers sharing
+ * one instance, or one of its namespaces, share their replay state.
+ */
+export class MemoryTrackerStore implements TrackerStore {
+  private lastProcessed: number | null = null;
+  private eventIds: string[] = [];
+  private appended = 0;
+  private namespaces = new Map<string, MemoryTrackerStore>();
+  private filter: Uint8Array | null = null;
+
+  async load(): Promise<TrackerState | null> {
+    if (this.lastProcessed === null && this.eventIds.length === 0) {
+      return null;
+    }
+    return {
+      lastProcessed: this.lastProcessed,
+      eventIds: [...this.eventIds],
+      appended: this.appended,
+    };
+  }
+
+  async saveTimestamp(timestamp: number): Promise<void> {
+    this.lastProcessed = Math.max(this.lastProcessed ?? 0, timestamp);
+  }
+
+  async saveSnapshot(eventIds: string[], limit?: number): Promise<void> {
+    this.eventIds = mergeEventIds(this.eventIds, eventIds, limit);
+    this.appended = 0;
+  }
+
+  async appendProcessed(eventId: string): Promise<void> {
+    this.eventIds.push(eventId);
+    this.appended++;
+  }
+
+  async has(eventId: string): Promise<boolean> {
+    return this.eventIds.includes(eventId);
+  }
+
+  namespace(name: string): MemoryTrackerStore {
+    let store = this.namespaces.get(name);
+    if (!store) {
+      store = new MemoryTrackerStore();
+      this.namespaces.set(name, store);
+    }
+    return store;
+  }
+
+  async saveFilter(data: Uint8Array): Promise<void> {
+    this.filter = data.slice();
+  }
+
+  async loadFilter(): Promise<Uint8Array | null> {
+    return this.filter && this.filter.slice();
+  }
+}
+
+/**
+ * Database connection shared by a SqliteTrackerStore and its namespaces
+ */
+interface SqliteConnection {
+  db: import("node:sqlite").DatabaseSync | null;
+}
+
+/**
+ * Tracker store in an embedded SQLite database
+ *
+ * Uses the node:sqlite module built into Node.js 22.5 and later. Processes
+ * on one host can share a database file: each sees the event IDs the others
+ * saved through has(), and the stored timestamp only ever moves forward,
+ * whichever process writes last. Namespaces are rows of the same database
+ * and share its connection.
+ */
+export class SqliteTrackerStore implements TrackerStore {
+  /** Path of the database file */
+  readonly file: string;
+  /** Rows this store reads and writes ("" for the root store) */
+  readonly name: string;
+  private connection: SqliteConnection;
+
+  /**
+   * @param file - Database file (default: tracker.db under the tracking cacheDir)
+   * @param name - Namespace of the rows to use (default: none)
+   */
+  constructor(file?: string, name = "") {
+    this.file = file || join(getTrackingConfig().cacheDir, "tracker.db");
+    this.name = name;
+    this.connection = { db: null };
+  }
+
+  async load(): Promise<TrackerState | null> {
+    const db = await this.open();
+    const row = db
+      .prepare(
+        "SELECT last_processed FROM tracker_timestamp WHERE namespace = ?"
+      )
+      .get(this.name) as { last_processed: number } | undefined;
+    const eventIds = (
+      db
+        .prepare(
+          "SELECT event_id FROM tracker_events WHERE namespace = ? ORDER BY position"
+        )
+        .all(this.name) as Array<{ event_id: string }>
+    ).map(({ event_id }) => event_id);
+
+    if (!row && eventIds.length === 0) {
+      return null;
+    }
+    return { lastProcessed: row?.last_processed ?? null, eventIds };
+  }
+
+  async saveTimestamp(timestamp: number): Promise<void> {
+    const db = await this.open();
+    db.prepare(
+      `INSERT INTO tracker_timestamp (namespace, last_processed) VALUES (?, ?)
+       ON CONFLICT (namespace) DO UPDATE
+       SET last_processed = MAX(last_processed, excluded.last_processed)`
+    ).run(this.name, timestamp);
+  }
+
+  async saveSnapshot(eventIds: string[], limit?: number): Promise<void> {
+    const db = await this.open();
+    const insert = db.prepare(
+      `INSERT OR REPLACE INTO tracker_events (namespace, event_id, position)
+       VALUES (?, ?, ?)`
+    );
+
+    // Merge with the rows other processes wrote, in the same transaction
+    db.exec("BEGIN IMMEDIATE");
+    try {
+      const saved = (
+        db
+          .prepare(
+            "SELECT event_id FROM tracker_events WHERE namespace = ? ORDER BY position"
+          )
+          .all(this.name) as Array<{ event_id: string }>
+      ).map(({ event_id }) => event_id);
+      db.prepare("DELETE FROM tracker_events WHERE namespace = ?").run(
+        this.name
+      );
+      mergeEventIds(saved, eventIds, limit).forEach((eventId, position) =>
+        insert.run(this.name, eventId, position)
+      );
+      db.exec("COMMIT");
+    } catch (error) {
+      db.exec("ROLLBACK");
+      throw error;
+    }
+  }
+
+  async appendProcessed(eventId: string): Promise<void> {
+    const db = await this.open();
+    db.prepare(
+      `INSERT OR REPLACE INTO tracker_events (namespace, event_id, position)
+       SELECT ?, ?, COALESCE(MAX(position), -1) + 1
+       FROM tracker_events WHERE namespace = ?`
+    ).run(this.name, eventId, this.name);
+  }
+
+  async has(eventId: string): Promise<boolean> {
+    const db = await this.open();
+    return (
+      db
+        .prepare(
+          "SELECT 1 FROM tracker_events WHERE namespace = ? AND event_id = ?"
+        )
+        .get(this.name, eventId) !== undefined
+    );
+  }
+
+  async saveFilter(data: Uint8Array): Promise<void> {
+    const db = await this.open();
+    db.prepare(
+      "INSERT OR REPLACE INTO tracker_filters (namespace, data) VALUES (?, ?)"
+    ).run(this.name, data);
+  }
+
+  async loadFilter(): Promise<Uint8Array | null> {
+    const db = await this.open();
+    const row = db
+      .prepare("SELECT data FROM tracker_filters WHERE namespace = ?")
+      .get(this.name) as { data: Uint8Array } | undefined;
+    return row ? new Uint8Array(row.data) : null;
+  }
+
+  namespace(name: string): SqliteTrackerStore {
+    const store = new SqliteTrackerStore(
+      this.file,
+      this.name ? `${this.name}/${name}` : name
+    );
+    store.connection = this.connection;
+    return store;
+  }
+
+  /**
+   * Close the database connection, shared with all namespaces
+   */
+  async close(): Promise<void> {
+    this.connection.db?.close();
+    this.connection.db = null;
+  }
+
+  private async open(): Promise<import("node:sqlite").DatabaseSync> {
+    if (this.connection.db) {
+      return this.connection.db;
+    }
+
+    let sqlite: typeof import("node:sqlite");
+    try {
+      sqlite = await import("node:sqlite");
+    } catch {
+      throw new Error(
+        "The SQLite tracker store requires Node.js 22.5 or later (node:sqlite)"
+      );
+    }
+
+    if (!(await ensureCacheDir(dirname(this.file)))) {
+      throw new Error(`Failed to create directory for ${this.file}`);
+    }
+
+    // Another namespace may have opened it while we were importing
+    if (this.connection.db) {
+      return this.connection.db;
+    }
+
+    const db = new sqlite.DatabaseSync(this.file);
+    db.exec(`
+      PRAGMA journal_mode = WAL;
+      PRAGMA busy_timeout = 5000;
+      CREATE TABLE IF NOT EXISTS tracker_timestamp (
+        namespace TEXT PRIMARY KEY,
+        last_processed INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS tracker_events (
+        namespace TEXT NOT NULL,
+        event_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        PRIMARY KEY (namespace, event_id)
+      );
+      CREATE TABLE IF NOT EXISTS tracker_filters (
+        namespace TEXT PRIMARY KEY,
+        data BLOB NOT NULL
+      );
+    `);
+    this.connection.db = db;
+    return db;
+  }
+}
+
+/**
+ * Built-in tracker store kinds
+ */
+export type TrackerStoreKind = "file" | "sqlite" | "memory";
+
+/**
+ * Create one of the built-in tracker stores
+ *
+ * @param kind - "file" (JSON files), "sqlite" (embedded database) or "memory"
+ * @param location - Directory for "file", database file for "sqlite"
+ */
+export function createTrackerStore(
+  kind: TrackerStoreKind,
+  location?: string
+): TrackerStore {
+  switch (kind) {
+    case "file":
+      return new FileTrackerStore(location);
+    case "sqlite":
+      return new SqliteTrackerStore(location);
+    case "memory":
+      return new MemoryTrackerStore();
+    default:
+      throw new Error(
+        `Unknown tracker store "${kind}": use "file", "sqlite" or "memory"`
+      );
+  }
+}
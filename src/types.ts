@@ -1,6 +1,48 @@
 import { Event as NostrEvent, EventTemplate } from "nostr-tools";
 import type { WebSocket } from "ws";
 
+/**
+ * Payload encryption scheme
+ */
+export type EncryptionScheme = "nip04" | "nip44";
+
+/**
+ * Holder of a Nostr identity that can sign events and encrypt or decrypt
+ * payloads without exposing its private key
+ */
+export interface Signer {
+  /** Hex public key of the identity */
+  getPublicKey(): Promise<string>;
+  /** Sign an event template as this identity */
+  signEvent(template: EventTemplate): Promise<NostrEvent>;
+  /** Encrypt plaintext for a recipient pubkey */
+  encrypt(
+    scheme: EncryptionScheme,
+    pubkey: string,
+    plaintext: string
+  ): Promise<string>;
+  /** Decrypt ciphertext from a sender pubkey */
+  decrypt(
+    scheme: EncryptionScheme,
+    pubkey: string,
+    ciphertext: string
+  ): Promise<string>;
+  /** Release connections held by the signer; it reconnects on next use */
+  close?(): Promise<void>;
+}
+
+/**
+ * Options for a NIP-46 remote signer
+ */
+export interface Nip46SignerOpts {
+  /** Key the client uses to talk to the bunker (hex, default: random per process) */
+  clientSecretKey?: string;
+  /** Permissions requested on connect, e.g. "sign_event:30072,nip44_encrypt" */
+  perms?: string;
+  /** How long to wait for each bunker response in ms (default: 30000) */
+  timeoutMs?: number;
+}
+
 /**
  * Options for sending a message via nostrMQ
  */
@@ -15,8 +57,77 @@ export interface SendOpts {
   relays?: string[];
   /** PoW mining: false = none, true = env bits, number = explicit bits */
   pow?: boolean | number;
+  /** Skip relays whose min_pow_difficulty is above both this and `pow` instead of mining for them (default 20) */
+  maxAutoPow?: number;
   /** Timeout in milliseconds (default 2000) */
   timeoutMs?: number;
+  /** Payload encryption scheme (default from NOSTR_ENCRYPTION, else "nip04") */
+  encryption?: EncryptionScheme;
+  /** Publish as a NIP-59 gift wrap to hide the sender (always NIP-44) */
+  giftWrap?: boolean;
+  /** Split payloads longer than this many characters into chunk events (default 16384) */
+  chunkSize?: number;
+  /** Correlation id carried inside the encrypted envelope (used for replies) */
+  correlationId?: string;
+  /** Wait for the recipient's acknowledgement before resolving */
+  awaitAck?: boolean;
+  /** How long to wait for the acknowledgement in milliseconds (default 30000) */
+  ackTimeoutMs?: number;
+  /** Fail unless at least this many relays accept each event (default 1) */
+  quorum?: number;
+  /** Relays that must be connected before publishing (default: quorum) */
+  minConnected?: number;
+  /** Extra time in ms to let the other relays connect before publishing (default 0) */
+  waitForAllMs?: number;
+  /** Publish to only this many of the relays, the healthiest first (default: all) */
+  maxRelays?: number;
+  /** Also publish to the inbox relays the target announced in its kind 10002/10050 lists */
+  outbox?: boolean;
+  /** Most of the target's inbox relays to add with outbox, only wss:// ones (default 3) */
+  maxOutboxRelays?: number;
+}
+
+/**
+ * Options for a request/reply round trip via nostrMQ
+ */
+export interface RequestOpts extends Omit<
+  SendOpts,
+  "response" | "correlationId" | "awaitAck" | "ackTimeoutMs"
+> {
+  /** Listen for the reply as this identity instead of the default key */
+  responsePrivkey?: string;
+  /** How long to wait for the reply in milliseconds (default 30000) */
+  replyTimeoutMs?: number;
+  /** Abort the request and stop waiting for the reply */
+  signal?: AbortSignal;
+}
+
+/**
+ * Envelope metadata passed alongside a received payload
+ */
+export interface MessageContext {
+  /** Pubkey the sender asked replies to go to */
+  response: string;
+  /** Correlation id set by the sender, if any */
+  correlationId?: string;
+  /** Encryption scheme the message was sent with */
+  encryption: EncryptionScheme;
+  /** Whether the message arrived as a NIP-59 gift wrap */
+  giftWrap: boolean;
+  /** Acknowledgement details when the message is an ack */
+  ack?: AckInfo;
+}
+
+/**
+ * Acknowledgement sent back to the `response` pubkey when autoAck is enabled
+ */
+export interface AckInfo {
+  /** ID of the event being acknowledged */
+  eventId: string;
+  /** Whether the receiver's onMessage handler succeeded */
+  ok: boolean;
+  /** Error message from the handler when ok is false */
+  error?: string;
 }
 
 /**
@@ -27,16 +138,203 @@ export interface ReceiveOpts {
   onMessage: (
     payload: unknown,
     sender: string,
-    rawEvent: NostrEvent
+    rawEvent: NostrEvent,
+    context: MessageContext
   ) => void | Promise<void>;
   /** Override default relays */
   relays?: string[];
+  /** Subscribe on only this many of the relays, the healthiest first (default: all) */
+  maxRelays?: number;
+  /** Announce the subscribed relays as our kind 10050 inbox relay list */
+  publishInbox?: boolean;
   /** Auto-reply "OK" back to sender */
   autoAck?: boolean;
+  /** Deliver acknowledgements to onMessage instead of dropping them */
+  acks?: boolean;
+  /** Only accept messages encrypted with this scheme (default: accept both) */
+  encryption?: EncryptionScheme;
+  /** Discard chunked messages that receive no new chunk for this long (default 60000) */
+  chunkTimeoutMs?: number;
+  /** Limits on partially received chunked messages */
+  chunkLimits?: ChunkLimits;
+  /** Consume chunked messages chunk by chunk instead of reassembled via onMessage */
+  onStream?: (stream: MessageStream) => void | Promise<void>;
   /** Override default private key */
   privkey?: string;
+  /** Receive as this signer's identity instead of the default key */
+  signer?: Signer;
   /** PoW mining: false = none, true = env bits, number = explicit bits */
   pow?: boolean | number;
+  /** Drop events whose id has fewer leading zero bits than this (default from NOSTR_POW_DIFFICULTY) */
+  minPow?: number;
+  /** Hex or npub pubkeys of trusted senders whose messages skip the minPow check */
+  powExempt?: string[];
+  /** Only deliver messages from senders accepted by this policy */
+  access?: AccessPolicy | AccessPredicate;
+  /** Maximum number of onMessage/onStream handlers running at once (default: unlimited) */
+  concurrency?: number;
+  /** Maximum number of messages waiting for a handler or in the iterator buffer (default: unlimited; 100 in the buffer until iteration starts) */
+  maxQueue?: number;
+  /** What to do when more than maxQueue messages are waiting (default: "pause") */
+  overflow?: OverflowPolicy;
+  /** Retry failing onMessage handlers with backoff (default: no retries) */
+  retry?: RetryPolicy;
+  /** Keep messages whose handler still fails: true = files under the tracking cacheDir */
+  deadLetter?: boolean | DeadLetterStore;
+  /** Keep replay state in this store instead of files under the tracking cacheDir */
+  trackerStore?: TrackerStore;
+  /** Override the tracking configuration loaded from the environment */
+  tracking?: Partial<TrackingConfig>;
+  /** When messages count as processed (default: "at-most-once") */
+  delivery?: DeliveryGuarantee;
+}
+
+/**
+ * Retry settings for failing onMessage handlers
+ */
+export interface RetryPolicy {
+  /** Total number of attempts, including the first (default: 3) */
+  maxAttempts?: number;
+  /** Delay before the first retry in ms (default: 1000) */
+  backoffMs?: number;
+  /** Multiplier applied to the delay after each retry (default: 2) */
+  backoffFactor?: number;
+  /** Upper bound for the delay in ms (default: 30000) */
+  maxBackoffMs?: number;
+}
+
+/**
+ * Message whose handler failed every attempt
+ */
+export interface DeadLetter {
+  /** ID of the event that carried the message */
+  id: string;
+  /** Hex pubkey the message was addressed to */
+  recipient: string;
+  /** The decrypted message payload */
+  payload: unknown;
+  /** Hex pubkey of the message sender */
+  sender: string;
+  /** The raw Nostr event that contained the message */
+  rawEvent: NostrEvent;
+  /** Envelope metadata of the message */
+  context: MessageContext;
+  /** Error message of the last failed attempt */
+  error: string;
+  /** Number of handler attempts made so far */
+  attempts: number;
+  /** When the message was dead-lettered, in ms since epoch */
+  failedAt: number;
+}
+
+/**
+ * Destination for dead-lettered messages
+ *
+ * list() and remove() are only needed to replay stored messages.
+ */
+export interface DeadLetterStore {
+  /** Store a message, replacing an earlier entry with the same id */
+  put(letter: DeadLetter): void | Promise<void>;
+  /** All stored messages, oldest first */
+  list?(): Promise<DeadLetter[]>;
+  /** Delete a stored message */
+  remove?(id: string): void | Promise<void>;
+}
+
+/**
+ * Outcome of SubscriptionHandle.replayDeadLetters()
+ */
+export interface ReplayResult {
+  /** Messages handled successfully and removed from the store */
+  replayed: number;
+  /** Messages that failed again and were stored back */
+  failed: number;
+}
+
+/**
+ * Behaviour of a full receive queue
+ *
+ * - "drop-oldest": discard the message that has waited longest
+ * - "drop-newest": discard the incoming message
+ * - "pause": keep every message and stop the relay subscription until the
+ *   queue has drained to half of maxQueue
+ */
+export type OverflowPolicy = "drop-oldest" | "drop-newest" | "pause";
+
+/**
+ * When receive() marks a message as processed
+ *
+ * - "at-most-once": once its handler has run, whether or not it succeeded;
+ *   messages older than the newest processed one are skipped
+ * - "at-least-once": only once its handler succeeded or it was
+ *   dead-lettered; failed and unfinished messages are delivered again after
+ *   a restart or resubscribe, and late messages within the lookback window
+ *   are still delivered
+ */
+export type DeliveryGuarantee = "at-most-once" | "at-least-once";
+
+/**
+ * Decide whether a sender may deliver messages
+ */
+export type AccessPredicate = (
+  sender: string,
+  event: NostrEvent
+) => boolean | Promise<boolean>;
+
+/**
+ * Sender access policy for receive()
+ *
+ * Deny lists take precedence; when any allow list is set, only its senders
+ * are accepted. The predicate runs last and rejects on false or error.
+ */
+export interface AccessPolicy {
+  /** Only accept these senders (hex or npub) */
+  allow?: string[];
+  /** Never accept these senders (hex or npub) */
+  deny?: string[];
+  /** JSON file with "allow" and/or "deny" arrays, reloaded when it changes */
+  file?: string;
+  /** How often to check the file for changes in ms (default: 1000) */
+  fileIntervalMs?: number;
+  /** Additional check run for senders passing the lists */
+  check?: AccessPredicate;
+}
+
+/**
+ * Why a subscription dropped an incoming event
+ */
+export type RejectionReason = "pow" | "access" | "overflow" | "chunks";
+
+/**
+ * Incoming event dropped by a subscription, emitted as "rejected"
+ */
+export interface MessageRejection {
+  /** Why the event was dropped */
+  reason: RejectionReason;
+  /** The dropped event */
+  event: NostrEvent;
+  /** Hex pubkey of the sender (the throwaway key for unopened gift wraps) */
+  sender: string;
+  /** Required PoW difficulty in bits, for "pow" rejections */
+  minPow?: number;
+}
+
+/**
+ * Counters of a subscription
+ */
+export interface SubscriptionStats {
+  /** Events received for the subscription, including dropped ones */
+  received: number;
+  /** Messages handed to onMessage or onStream */
+  delivered: number;
+  /** Messages whose onMessage handler failed every attempt */
+  failed: number;
+  /** Messages waiting for a handler */
+  queued: number;
+  /** Whether the subscription is paused because its queue is full */
+  paused: boolean;
+  /** Dropped events by reason */
+  rejected: Record<RejectionReason, number>;
 }
 
 /**
@@ -45,28 +343,74 @@ export interface ReceiveOpts {
 export interface SubscriptionHandle {
   /** Close the subscription */
   close(): void;
+  /** Counters of received, delivered and rejected events */
+  getStats(): SubscriptionStats;
+  /** Feed dead-lettered messages for this identity back through onMessage */
+  replayDeadLetters(): Promise<ReplayResult>;
+  /**
+   * Resolves once every relay the subscription started on has sent EOSE for
+   * the stored backlog (or closed the subscription for good). Handlers may
+   * still be processing the backlog. Rejects if the subscription is closed
+   * first.
+   */
+  whenCaughtUp(): Promise<void>;
+  /** Listen for incoming events dropped by the subscription */
+  on(event: "rejected", listener: (rejection: MessageRejection) => void): this;
+  /** Listen for the moment every relay has sent its stored backlog */
+  on(event: "caughtUp", listener: () => void): this;
+  /** Listen for relays closing the subscription */
+  on(event: "relayClosed", listener: (closed: RelayClosed) => void): this;
+  /**
+   * Listen for damaged replay state found at startup, with where it was set
+   * aside; messages it covered may be delivered again
+   */
+  on(event: "trackerCorrupted", listener: (corrupted: string[]) => void): this;
   /** Async iterator for messages */
   [Symbol.asyncIterator](): AsyncIterableIterator<{
     payload: unknown;
     sender: string;
     rawEvent: NostrEvent;
+    context: MessageContext;
   }>;
 }
 
+/**
+ * A relay closed a subscription with a CLOSED message
+ */
+export interface RelayClosed {
+  /** Relay that closed the subscription */
+  relay: string;
+  /** Reason given by the relay, such as "rate-limited: slow down" */
+  message: string;
+  /** Delay before subscribing again in ms; absent when the relay is given up on */
+  retryInMs?: number;
+}
+
 /**
  * Configuration loaded from environment variables
  */
 export interface NostrMQConfig {
-  /** Private key for signing events */
-  privkey: string;
-  /** Public key derived from private key */
+  /** Private key for signing events (absent when a remote signer is used) */
+  privkey?: string;
+  /**
+   * Public key of the identity. With a NIP-46 signer this starts as the
+   * bunker pubkey and is replaced by the user pubkey once connected.
+   */
   pubkey: string;
+  /** Signer used instead of privkey (e.g. a NIP-46 remote signer) */
+  signer?: Signer;
+  /** bunker:// URL of a NIP-46 remote signer to use when no signer is set */
+  bunkerUrl?: string;
+  /** Hex client key for the bunker session (default: random) */
+  bunkerClientKey?: string;
   /** List of relay URLs */
   relays: string[];
   /** PoW difficulty in bits (0 = disabled) */
   powDifficulty: number;
   /** Number of worker threads for PoW mining */
   powThreads: number;
+  /** Default payload encryption scheme for outgoing messages */
+  encryption: EncryptionScheme;
   /** Optional tracking configuration */
   tracking?: TrackingConfig;
 }
@@ -81,6 +425,61 @@ export interface EncryptedPayload {
   response: string;
   /** Actual message payload */
   payload: unknown;
+  /** Correlation id linking a request to its reply */
+  correlationId?: string;
+  /** Present when this envelope acknowledges an earlier message */
+  ack?: AckInfo;
+  /** Present when the payload is one slice of a chunked message */
+  chunk?: ChunkInfo;
+}
+
+/**
+ * Metadata of one chunk of a large payload
+ */
+export interface ChunkInfo {
+  /** Id shared by every chunk of the message */
+  messageId: string;
+  /** Zero-based position of this chunk */
+  index: number;
+  /** Total number of chunks */
+  total: number;
+  /** SHA-256 hex digest of the complete serialized payload */
+  digest: string;
+  /** "text" when a string payload was split as-is, "json" otherwise */
+  encoding: "json" | "text";
+}
+
+/**
+ * Limits on partially received chunked messages
+ *
+ * When a limit is reached the oldest partial message is dropped and emitted
+ * as "rejected" with reason "chunks".
+ */
+export interface ChunkLimits {
+  /** Partial messages per sender (default 8) */
+  maxPerSender?: number;
+  /** Partial messages in total (default 128) */
+  maxMessages?: number;
+  /** Bytes of chunk data buffered in total (default 64 MiB) */
+  maxBytes?: number;
+}
+
+/**
+ * Chunked message consumed incrementally via ReceiveOpts.onStream
+ */
+export interface MessageStream extends AsyncIterable<string> {
+  /** Id shared by every chunk of the message */
+  readonly messageId: string;
+  /** Total number of chunks */
+  readonly total: number;
+  /** "text" when the payload is a string, "json" when chunks are JSON text */
+  readonly encoding: "json" | "text";
+  /** Hex pubkey of the sender */
+  readonly sender: string;
+  /** Envelope metadata of the message */
+  readonly context: MessageContext;
+  /** Event of the first chunk */
+  readonly rawEvent: NostrEvent;
 }
 
 /**
@@ -97,6 +496,216 @@ export interface RelayConnection {
   lastError?: Error;
   /** Reconnection attempts */
   reconnectAttempts: number;
+  /** NIP-42 authentication state of the current connection */
+  auth: RelayAuthState;
+  /** Pubkey the connection authenticated as */
+  authPubkey?: string;
+  /** Why the relay refused the last authentication */
+  authError?: string;
+  /** When the relay last sent a message or answered a ping, in ms since epoch */
+  lastActivity?: number;
+  /** NIP-11 information document, once fetched */
+  info?: RelayInfo | null;
+}
+
+/**
+ * NIP-11 relay information document
+ *
+ * Only the fields nostrMQ uses are typed; relays may send more.
+ */
+export interface RelayInfo {
+  name?: string;
+  description?: string;
+  pubkey?: string;
+  contact?: string;
+  supported_nips?: number[];
+  software?: string;
+  version?: string;
+  /** Limits the relay enforces */
+  limitation?: RelayLimitation;
+  [key: string]: unknown;
+}
+
+/**
+ * Limits from a NIP-11 relay information document
+ */
+export interface RelayLimitation {
+  /** Maximum size in bytes of a WebSocket message sent to the relay */
+  max_message_length?: number;
+  /** Maximum number of open subscriptions per connection */
+  max_subscriptions?: number;
+  /** Maximum number of characters in an event's content */
+  max_content_length?: number;
+  /** Minimum proof-of-work bits an event needs to be accepted */
+  min_pow_difficulty?: number;
+  /** Whether the relay requires NIP-42 authentication */
+  auth_required?: boolean;
+  /** Whether the relay requires payment before accepting events */
+  payment_required?: boolean;
+  /** Whether the relay only accepts events from some pubkeys */
+  restricted_writes?: boolean;
+  [key: string]: unknown;
+}
+
+/**
+ * NIP-42 authentication state of a relay connection
+ *
+ * "none" until the relay sends an AUTH challenge.
+ */
+export type RelayAuthState =
+  "none" | "authenticating" | "authenticated" | "failed";
+
+/**
+ * Reconnection settings for a relay pool
+ */
+export interface RelayPoolOptions {
+  /** Give up reconnecting to a relay after this many attempts (default: 10) */
+  maxReconnectAttempts?: number;
+  /** Delay before the first reconnection attempt in ms (default: 1000) */
+  baseReconnectDelay?: number;
+  /** Upper bound for the exponential backoff delay in ms (default: 30000) */
+  maxReconnectDelay?: number;
+  /** Answer NIP-42 AUTH challenges with the configured identity (default: true) */
+  auth?: boolean;
+  /** Hold events for reconnecting relays and publish them once reconnected; true queues in memory (default: disabled) */
+  outboundQueue?: boolean | OutboundQueueOptions;
+  /** Ping quiet relays and reconnect those that stop answering; false disables (default: enabled) */
+  heartbeat?: boolean | HeartbeatOptions;
+  /** Score relays to pick the healthiest and keep probing those given up on; false disables (default: enabled) */
+  health?: boolean | RelayHealthOptions;
+  /** Fetch NIP-11 relay information documents to respect relay limits; false disables (default: enabled) */
+  relayInfo?: boolean | RelayInfoOptions;
+}
+
+/**
+ * Settings of NIP-11 relay information fetching
+ */
+export interface RelayInfoOptions {
+  /** Give up fetching a document after this many ms (default: 3000) */
+  timeoutMs?: number;
+  /** Fetch a relay's document again after this many ms (default: 3600000) */
+  ttlMs?: number;
+  /** Do not publish to relays whose document says payment_required (default: true) */
+  skipPaid?: boolean;
+}
+
+/**
+ * Settings of relay health scoring
+ */
+export interface RelayHealthOptions {
+  /** Count disconnects, NOTICE and CLOSED messages from this many recent ms (default: 600000) */
+  windowMs?: number;
+  /** Demote relays scoring below this, between 0 and 1 (default: 0.5) */
+  minScore?: number;
+  /** Try demoted relays again, and reconnect relays past maxReconnectAttempts, this often in ms (default: 60000) */
+  probeIntervalMs?: number;
+}
+
+/**
+ * Health score of a relay, from RelayPool.getRelayScores()
+ */
+export interface RelayScore {
+  /** Relay URL */
+  url: string;
+  /** Overall health between 0 (unusable) and 1 (healthy) */
+  score: number;
+  /** Whether the relay scores below minScore and is only used as a fallback */
+  demoted: boolean;
+  /** Moving average of the share of events the relay accepted */
+  acceptanceRate: number;
+  /** Moving average of the time to an OK response in ms, if any event was published */
+  latencyMs?: number;
+  /** Number of events published to the relay */
+  published: number;
+  /** Disconnects within the scoring window */
+  disconnects: number;
+  /** NOTICE and CLOSED messages within the scoring window */
+  errors: number;
+}
+
+/**
+ * Settings of the relay heartbeat
+ */
+export interface HeartbeatOptions {
+  /** Send a WebSocket ping to each connected relay this often in ms (default: 30000) */
+  pingIntervalMs?: number;
+  /** Reconnect a relay that has sent nothing, pongs included, for this many ms (default: 60000) */
+  idleTimeoutMs?: number;
+}
+
+/**
+ * Settings of the per-relay outbound queue
+ */
+export interface OutboundQueueOptions {
+  /** Discard queued events older than this many ms instead of publishing them (default: 60000) */
+  maxAgeMs?: number;
+  /** Maximum number of events queued per relay; the oldest are dropped first (default: 1000) */
+  maxSize?: number;
+  /** Persist the queue to this file, or to outbound-queue.json under the tracking cacheDir if true (default: false) */
+  persist?: boolean | string;
+}
+
+/**
+ * Options for RelayPool.connect()
+ */
+export interface ConnectOptions {
+  /** Resolve once this many relays are connected (default: 1) */
+  minConnected?: number;
+  /** After minConnected is reached, wait up to this many ms for the other relays (default: 0) */
+  waitForAllMs?: number;
+}
+
+/**
+ * Response of one relay to a published event
+ */
+export interface RelayPublishResult {
+  /** Relay URL */
+  url: string;
+  /** Whether the relay answered OK true */
+  accepted: boolean;
+  /** Message of the relay's OK response, or why no response was received */
+  message: string;
+  /** The relay is reconnecting and the event is queued for it */
+  queued?: boolean;
+}
+
+/**
+ * Outcome of publishing one event to a set of relays
+ */
+export interface PublishResult {
+  /** ID of the published event */
+  eventId: string;
+  /** Number of relays that accepted the event */
+  accepted: number;
+  /** Number of reconnecting relays the event is queued for */
+  queued: number;
+  /** Response of every targeted relay */
+  relays: RelayPublishResult[];
+}
+
+/**
+ * Outcome of sendWithReceipt()
+ *
+ * The top-level fields describe the first event; chunked messages list the
+ * outcome of every chunk event in `chunks`.
+ */
+export interface SendReceipt extends PublishResult {
+  /** Outcome of each chunk event, in order, for chunked messages */
+  chunks?: PublishResult[];
+}
+
+/**
+ * Options for a long-lived NostrMQ client
+ */
+export interface ClientOptions extends RelayPoolOptions {
+  /**
+   * Disconnect from relays after this many ms without active sends or
+   * subscriptions; connections reopen on the next call. By default the
+   * client stays connected until close() is called.
+   */
+  idleTimeoutMs?: number;
+  /** How long looked-up relay lists of other pubkeys are cached in ms (default: 600000) */
+  relayListTtlMs?: number;
 }
 
 /**
@@ -107,7 +716,8 @@ export type RelayMessage =
   | ["OK", string, boolean, string]
   | ["EOSE", string]
   | ["CLOSED", string, string]
-  | ["NOTICE", string];
+  | ["NOTICE", string]
+  | ["AUTH", string];
 
 /**
  * Event template with optional PoW nonce
@@ -153,6 +763,8 @@ export interface ReceivedMessage {
   sender: string;
   /** The raw Nostr event that contained the message */
   rawEvent: NostrEvent;
+  /** Envelope metadata such as the reply pubkey and correlation id */
+  context: MessageContext;
 }
 
 /**
@@ -167,6 +779,26 @@ export interface TrackingConfig {
   cacheDir: string;
   /** Whether to enable persistent caching to disk (default: true) */
   enablePersistence: boolean;
+  /**
+   * Also remember processed event IDs in a rolling Bloom filter covering
+   * twice the lookback, for windows larger than trackLimit (default: off,
+   * or on when NOSTRMQ_BLOOM_CAPACITY is set)
+   */
+  bloom?: boolean | BloomFilterOptions;
+}
+
+/**
+ * Sizing of the rolling Bloom filter used for duplicate detection
+ */
+export interface BloomFilterOptions {
+  /** Events expected within the filter's window, even if they arrive in a burst (default: 100000) */
+  capacity?: number;
+  /** Chance that a new event is taken for a processed one (default: 0.000001) */
+  falsePositiveRate?: number;
+  /** Number of time slices the window is split into (default: 4) */
+  partitions?: number;
+  /** Save the filter at most this often while events are processed (default: 60000) */
+  saveIntervalMs?: number;
 }
 
 /**
@@ -190,3 +822,59 @@ export interface SnapshotCache {
   /** Number of events in this snapshot */
   count: number;
 }
+
+/**
+ * Replay state loaded from a TrackerStore
+ */
+export interface TrackerState {
+  /** Last processed timestamp in seconds since epoch, if one was saved */
+  lastProcessed: number | null;
+  /** Recently processed event IDs, oldest first */
+  eventIds: string[];
+  /** How many IDs were appended since the snapshot was saved, if known */
+  appended?: number;
+  /** Damaged parts of the state that were set aside, so it lacks what they held */
+  corrupted?: string[];
+}
+
+/**
+ * Where MessageTracker keeps its replay state
+ *
+ * Implement this to share replay state between replicas of a service, for
+ * example in Redis or MongoDB. Methods may throw; the tracker logs the error
+ * and keeps going from memory.
+ */
+export interface TrackerStore {
+  /** Saved state, or null when nothing was saved yet */
+  load(): Promise<TrackerState | null>;
+  /** Save the last processed timestamp */
+  saveTimestamp(timestamp: number): Promise<void>;
+  /**
+   * Save the event IDs, folding in any appended ones. Stores shared between
+   * processes should merge them with the saved IDs rather than replace
+   * those, keeping the newest `limit`; the built-in stores do.
+   */
+  saveSnapshot(eventIds: string[], limit?: number): Promise<void>;
+  /**
+   * Record one processed event ID without rewriting the snapshot; load()
+   * returns appended IDs after the snapshot's. Without this method the
+   * snapshot is saved on every processed event.
+   */
+  appendProcessed?(eventId: string): Promise<void>;
+  /**
+   * Whether an event ID was saved, including by another process sharing the
+   * store; asked for events the tracker has not seen itself
+   */
+  has?(eventId: string): Promise<boolean>;
+  /**
+   * Store for a separate part of the state; receive() keeps each receiving
+   * identity's state in the namespace named after its hex pubkey
+   */
+  namespace?(name: string): TrackerStore;
+  /** Save the serialized Bloom filter, when TrackingConfig.bloom is enabled */
+  saveFilter?(data: Uint8Array): Promise<void>;
+  /** Serialized Bloom filter saved by saveFilter(), or null */
+  loadFilter?(): Promise<Uint8Array | null>;
+  /** Release connections or file handles */
+  close?(): Promise<void>;
+}
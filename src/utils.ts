@@ -1,5 +1,6 @@
 import { getPublicKey } from "nostr-tools";
 import { promises as fs } from "fs";
+import { hostname } from "os";
 import { join } from "path";
 import type {
   NostrMQConfig,
@@ -11,7 +12,7 @@ import type {
 /**
  * Convert hex string to Uint8Array
  */
-function hexToBytes(hex: string): Uint8Array {
+export function hexToBytes(hex: string): Uint8Array {
   const bytes = new Uint8Array(hex.length / 2);
   for (let i = 0; i < hex.length; i += 2) {
     bytes[i / 2] = parseInt(hex.substr(i, 2), 16);
@@ -24,16 +25,30 @@ function hexToBytes(hex: string): Uint8Array {
  */
 export function loadConfig(): NostrMQConfig {
   const privkey = process.env.NOSTR_PRIVKEY;
-  if (!privkey) {
-    throw new Error("NOSTR_PRIVKEY environment variable is required");
+  const bunkerUrl = process.env.NOSTR_BUNKER_URL;
+  if (!privkey && !bunkerUrl) {
+    throw new Error(
+      "NOSTR_PRIVKEY or NOSTR_BUNKER_URL environment variable is required"
+    );
   }
 
-  // Validate private key format (64 hex characters)
-  if (!/^[a-fA-F0-9]{64}$/.test(privkey)) {
-    throw new Error("NOSTR_PRIVKEY must be a 64-character hex string");
+  // A remote signer replaces the local key entirely. getSigner() connects
+  // to it, so loading the configuration opens no bunker session.
+  let pubkey: string;
+  let bunkerClientKey: string | undefined;
+  if (bunkerUrl) {
+    bunkerClientKey = process.env.NOSTR_BUNKER_CLIENT_KEY;
+    if (bunkerClientKey && !/^[a-fA-F0-9]{64}$/.test(bunkerClientKey)) {
+      throw new Error("NOSTR_BUNKER_CLIENT_KEY must be a 64-character hex string");
+    }
+    pubkey = parseBunkerUrl(bunkerUrl).pubkey;
+  } else {
+    // Validate private key format (64 hex characters)
+    if (!/^[a-fA-F0-9]{64}$/.test(privkey!)) {
+      throw new Error("NOSTR_PRIVKEY must be a 64-character hex string");
+    }
+    pubkey = getPublicKey(hexToBytes(privkey!));
   }
-
-  const pubkey = getPublicKey(hexToBytes(privkey));
  
   const relaysEnv = process.env.NOSTR_RELAYS;
   if (!relaysEnv) {
@@ -50,15 +65,70 @@ export function loadConfig(): NostrMQConfig {
   const powDifficulty = parseInt(process.env.NOSTR_POW_DIFFICULTY || "0", 10);
   const powThreads = parseInt(process.env.NOSTR_POW_THREADS || "4", 10);
 
+  const encryption = process.env.NOSTR_ENCRYPTION || "nip04";
+  if (encryption !== "nip04" && encryption !== "nip44") {
+    throw new Error('NOSTR_ENCRYPTION must be "nip04" or "nip44"');
+  }
+
   return {
-    privkey,
+    privkey: bunkerUrl ? undefined : privkey,
     pubkey,
+    bunkerUrl,
+    bunkerClientKey,
     relays,
     powDifficulty: Math.max(0, powDifficulty),
     powThreads: Math.max(1, powThreads),
+    encryption,
   };
 }
 
+/**
+ * Connection details parsed from a bunker:// URL
+ */
+export interface BunkerPointer {
+  /** Pubkey of the remote signer */
+  pubkey: string;
+  /** Relays the remote signer listens on */
+  relays: string[];
+  /** Optional one-time secret authorising the connection */
+  secret?: string;
+}
+
+/**
+ * Parse a bunker://<remote-pubkey>?relay=wss://...&secret=... URL
+ *
+ * @param url - Bunker URL provided by the remote signer
+ * @returns The remote signer pubkey, relays and optional secret
+ *
+ * @throws {Error} When the URL is malformed or has no valid relay
+ */
+export function parseBunkerUrl(url: string): BunkerPointer {
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error("Invalid bunker URL");
+  }
+
+  if (parsed.protocol !== "bunker:") {
+    throw new Error("Bunker URL must start with bunker://");
+  }
+
+  const pubkey = parsed.hostname || parsed.pathname.replace(/^\/+/, "");
+  if (!isValidPubkey(pubkey)) {
+    throw new Error("Bunker URL must contain a valid remote signer pubkey");
+  }
+
+  const relays = parsed.searchParams.getAll("relay").filter(isValidRelayUrl);
+  if (relays.length === 0) {
+    throw new Error("Bunker URL must contain at least one relay");
+  }
+
+  const secret = parsed.searchParams.get("secret") || undefined;
+
+  return { pubkey: pubkey.toLowerCase(), relays, secret };
+}
+
 /**
  * Generate a unique identifier for replaceable events
  */
@@ -181,18 +251,234 @@ export async function ensureCacheDir(dir: string): Promise<boolean> {
   }
 }
 
+/**
+ * Name of the advisory lock file in a cache directory
+ */
+const LOCK_FILE = ".lock";
+
+/**
+ * Age after which a lock file is considered abandoned
+ */
+const LOCK_STALE_MS = 30000;
+
+/**
+ * How long to wait for another process to release the lock
+ */
+const LOCK_TIMEOUT_MS = 5000;
+
+/**
+ * Contents of a lock file
+ */
+interface CacheLock {
+  pid: number;
+  hostname: string;
+  token: string;
+  createdAt: number;
+}
+
+/**
+ * Run `fn` while holding the advisory lock of a cache directory
+ *
+ * The lock is a `.lock` file created exclusively, so processes sharing the
+ * directory write one at a time. A lock left behind by a process that died,
+ * or older than 30 seconds, is removed; waiting for a live lock gives up
+ * after 5 seconds.
+ */
+export async function withCacheLock<T>(
+  dir: string,
+  fn: () => Promise<T>
+): Promise<T> {
+  const lockFile = join(dir, LOCK_FILE);
+  const lock: CacheLock = {
+    pid: process.pid,
+    hostname: hostname(),
+    token: generateUniqueId(),
+    createdAt: Date.now(),
+  };
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      await fs.writeFile(lockFile, JSON.stringify(lock), { flag: "wx" });
+      break;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== "EEXIST") throw error;
+      if (await removeStaleLock(lockFile)) continue;
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for cache lock ${lockFile}`);
+      }
+      await sleep(10 + Math.random() * 40);
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    // Leave the lock alone if it was taken over as stale meanwhile
+    const current = await readLock(lockFile);
+    if (current?.token === lock.token) {
+      await fs.rm(lockFile, { force: true });
+    }
+  }
+}
+
+async function readLock(lockFile: string): Promise<CacheLock | null> {
+  try {
+    return JSON.parse(await fs.readFile(lockFile, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove a lock whose owner died or that is older than LOCK_STALE_MS
+ *
+ * The lock is renamed aside and removed only if it is still the one found
+ * stale: another process may have removed it and taken a new lock since.
+ *
+ * @returns Whether a stale lock was removed
+ */
+async function removeStaleLock(lockFile: string): Promise<boolean> {
+  let stale: boolean;
+  let seen: { token?: string; ino: number };
+  try {
+    const lock = await readLock(lockFile);
+    const { mtimeMs, ino } = await fs.stat(lockFile);
+    const createdAt = lock?.createdAt ?? mtimeMs;
+    stale =
+      Date.now() - createdAt > LOCK_STALE_MS ||
+      (lock !== null &&
+        lock.hostname === hostname() &&
+        !isProcessAlive(lock.pid));
+    seen = { token: lock?.token, ino };
+  } catch (error) {
+    // Released while we looked at it
+    return (error as NodeJS.ErrnoException).code === "ENOENT";
+  }
+  if (!stale) return false;
+
+  const aside = `${lockFile}.${process.pid}.${generateUniqueId()}.stale`;
+  try {
+    await fs.rename(lockFile, aside);
+  } catch (error) {
+    return (error as NodeJS.ErrnoException).code === "ENOENT";
+  }
+
+  try {
+    const moved = await readLock(aside);
+    const { ino } = await fs.stat(aside);
+    if (moved?.token !== seen.token || ino !== seen.ino) {
+      // A live lock: put it back unless yet another one was taken meanwhile
+      await fs.link(aside, lockFile).catch(() => {});
+      return false;
+    }
+  } finally {
+    await fs.rm(aside, { force: true });
+  }
+
+  console.warn(`Removing stale cache lock ${lockFile}`);
+  return true;
+}
+
+function isProcessAlive(pid: number): boolean {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return (error as NodeJS.ErrnoException).code === "EPERM";
+  }
+}
+
+/**
+ * Replace a cache file atomically: write a temporary file, then rename it
+ * over the original. Callers hold the directory lock.
+ */
+export async function replaceCacheFile(
+  dir: string,
+  name: string,
+  data: unknown
+): Promise<void> {
+  const file = join(dir, name);
+  const tempFile = `${file}.${process.pid}.${generateUniqueId()}.tmp`;
+
+  try {
+    await fs.writeFile(
+      tempFile,
+      data instanceof Uint8Array ? data : JSON.stringify(data, null, 2)
+    );
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    await fs.rm(tempFile, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Read and validate a cache file
+ *
+ * A file that cannot be parsed or fails `parse` is renamed to
+ * `<name>.corrupt-<time>` and reported, so it is kept for inspection and
+ * not read again.
+ *
+ * @param parse - Extract the value, or return null when the data is invalid
+ * @param onCorrupt - Called with the path a corrupted file was moved to
+ * @returns The value, or null when the file is missing or corrupted
+ */
+async function loadCacheFile<T>(
+  dir: string,
+  name: string,
+  parse: (data: any) => T | null,
+  onCorrupt?: (quarantined: string) => void
+): Promise<T | null> {
+  const file = join(dir, name);
+  const read = async () => {
+    const content = await fs.readFile(file, "utf-8");
+    try {
+      return parse(JSON.parse(content));
+    } catch {
+      return null;
+    }
+  };
+
+  try {
+    const value = await read();
+    if (value !== null) return value;
+
+    // Check again under the lock: a writer may have replaced the file
+    return await withCacheLock(dir, async () => {
+      const value = await read();
+      if (value === null) {
+        const quarantined = `${file}.corrupt-${Date.now()}`;
+        await fs.rename(file, quarantined);
+        console.error(
+          `Corrupted cache file ${file} moved to ${quarantined}; falling back to defaults`
+        );
+        onCorrupt?.(quarantined);
+      }
+      return value;
+    });
+  } catch (error) {
+    // A missing file is expected on first run
+    if ((error as NodeJS.ErrnoException).code !== "ENOENT") {
+      console.warn(`Failed to load cache file ${file}:`, error);
+    }
+    return null;
+  }
+}
+
 /**
  * Save timestamp to cache file
  * Gracefully handles errors and returns success status
  */
 export async function saveTimestamp(dir: string, timestamp: number): Promise<boolean> {
   try {
-    const timestampFile = join(dir, "timestamp.json");
     const cache: TimestampCache = {
       lastProcessed: timestamp,
       updatedAt: Math.floor(Date.now() / 1000),
     };
-    await fs.writeFile(timestampFile, JSON.stringify(cache, null, 2));
+    await withCacheLock(dir, () =>
+      replaceCacheFile(dir, "timestamp.json", cache)
+    );
     return true;
   } catch (error) {
     console.warn(`Failed to save timestamp to ${dir}:`, error);
@@ -202,62 +488,221 @@ export async function saveTimestamp(dir: string, timestamp: number): Promise<boo
 
 /**
  * Load timestamp from cache file with fallback
- * Returns the timestamp or null if unable to load
+ * Returns the timestamp or null if unable to load; a corrupted file is
+ * quarantined and passed to `onCorrupt`
  */
-export async function loadTimestamp(dir: string): Promise<number | null> {
+export async function loadTimestamp(
+  dir: string,
+  onCorrupt?: (quarantined: string) => void
+): Promise<number | null> {
+  return loadCacheFile(
+    dir,
+    "timestamp.json",
+    (cache: TimestampCache) =>
+      typeof cache?.lastProcessed === "number" && cache.lastProcessed > 0
+        ? cache.lastProcessed
+        : null,
+    onCorrupt
+  );
+}
+
+/**
+ * Combine saved event IDs with a tracker's own, oldest first
+ *
+ * Saved IDs the tracker does not hold, such as those other processes
+ * wrote, come first, followed by the tracker's IDs in their order.
+ *
+ * @param limit - Keep only this many of the newest IDs (default: all)
+ */
+export function mergeEventIds(
+  saved: string[],
+  eventIds: string[],
+  limit?: number
+): string[] {
+  const own = new Set(eventIds);
+  const merged = [
+    ...new Set(saved.filter((eventId) => !own.has(eventId))),
+    ...eventIds,
+  ];
+  return limit === undefined ? merged : merged.slice(-limit);
+}
+
+/**
+ * Save event IDs snapshot to cache file
+ * This compacts the journal: under the lock, the saved snapshot and journal
+ * are merged with `eventIds`, so IDs written by other processes sharing the
+ * directory are kept, and the journal is removed. Gracefully handles errors
+ * and returns success status
+ *
+ * @param limit - Keep only this many of the newest IDs (default: all)
+ */
+export async function saveSnapshot(
+  dir: string,
+  eventIds: string[],
+  limit?: number
+): Promise<boolean> {
   try {
-    const timestampFile = join(dir, "timestamp.json");
-    const content = await fs.readFile(timestampFile, "utf-8");
-    const cache: TimestampCache = JSON.parse(content);
-    
-    // Validate cache structure
-    if (typeof cache.lastProcessed === "number" && cache.lastProcessed > 0) {
-      return cache.lastProcessed;
-    }
-    return null;
+    await withCacheLock(dir, async () => {
+      const saved = await fs
+        .readFile(join(dir, "snapshot.json"), "utf-8")
+        .then((content) => JSON.parse(content).eventIds)
+        .catch(() => null);
+      const merged = mergeEventIds(
+        [...(Array.isArray(saved) ? saved : []), ...(await loadJournal(dir))],
+        eventIds,
+        limit
+      );
+      const cache: SnapshotCache = {
+        eventIds: merged,
+        createdAt: Math.floor(Date.now() / 1000),
+        count: merged.length,
+      };
+      await replaceCacheFile(dir, "snapshot.json", cache);
+      await fs.rm(join(dir, JOURNAL_FILE), { force: true });
+    });
+    return true;
   } catch (error) {
-    // File doesn't exist or is invalid - this is expected on first run
-    return null;
+    console.warn(`Failed to save snapshot to ${dir}:`, error);
+    return false;
   }
 }
 
 /**
- * Save event IDs snapshot to cache file
+ * Load event IDs snapshot from cache file
+ * Returns the event IDs array or empty array if unable to load; a corrupted
+ * file is quarantined and passed to `onCorrupt`
+ */
+export async function loadSnapshot(
+  dir: string,
+  onCorrupt?: (quarantined: string) => void
+): Promise<string[]> {
+  const eventIds = await loadCacheFile(
+    dir,
+    "snapshot.json",
+    (cache: SnapshotCache) =>
+      Array.isArray(cache?.eventIds) ? cache.eventIds : null,
+    onCorrupt
+  );
+  return eventIds ?? [];
+}
+
+/**
+ * Name of the append-only journal of processed event IDs
+ */
+const JOURNAL_FILE = "journal.jsonl";
+
+/**
+ * Append a processed event ID to the journal, one JSON string per line
  * Gracefully handles errors and returns success status
  */
-export async function saveSnapshot(dir: string, eventIds: string[]): Promise<boolean> {
+export async function appendJournal(dir: string, eventId: string): Promise<boolean> {
   try {
-    const snapshotFile = join(dir, "snapshot.json");
-    const cache: SnapshotCache = {
-      eventIds: [...eventIds],
-      createdAt: Math.floor(Date.now() / 1000),
-      count: eventIds.length,
-    };
-    await fs.writeFile(snapshotFile, JSON.stringify(cache, null, 2));
+    await withCacheLock(dir, () =>
+      fs.appendFile(join(dir, JOURNAL_FILE), JSON.stringify(eventId) + "\n")
+    );
     return true;
   } catch (error) {
-    console.warn(`Failed to save snapshot to ${dir}:`, error);
+    console.warn(`Failed to append to journal in ${dir}:`, error);
     return false;
   }
 }
 
 /**
- * Load event IDs snapshot from cache file
- * Returns the event IDs array or empty array if unable to load
+ * Load the event IDs appended to the journal since the last snapshot
+ * Lines that cannot be parsed, such as one cut off by a crash, are skipped
  */
-export async function loadSnapshot(dir: string): Promise<string[]> {
+export async function loadJournal(dir: string): Promise<string[]> {
+  let content: string;
   try {
-    const snapshotFile = join(dir, "snapshot.json");
-    const content = await fs.readFile(snapshotFile, "utf-8");
-    const cache: SnapshotCache = JSON.parse(content);
-    
-    // Validate cache structure
-    if (Array.isArray(cache.eventIds)) {
-      return cache.eventIds;
+    content = await fs.readFile(join(dir, JOURNAL_FILE), "utf-8");
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== "ENOENT") {
+      console.warn(`Failed to load journal from ${dir}:`, error);
     }
     return [];
+  }
+
+  const eventIds: string[] = [];
+  for (const line of content.split("\n")) {
+    try {
+      const eventId = JSON.parse(line);
+      if (typeof eventId === "string") eventIds.push(eventId);
+    } catch {
+      // Empty or partially written line
+    }
+  }
+  return eventIds;
+}
+
+/**
+ * Name of the serialized Bloom filter file
+ */
+const BLOOM_FILE = "bloom.bin";
+
+/**
+ * Save a serialized Bloom filter to cache file
+ * Gracefully handles errors and returns success status
+ */
+export async function saveBloomFilter(dir: string, data: Uint8Array): Promise<boolean> {
+  try {
+    await withCacheLock(dir, () => replaceCacheFile(dir, BLOOM_FILE, data));
+    return true;
+  } catch (error) {
+    console.warn(`Failed to save Bloom filter to ${dir}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Load a serialized Bloom filter from cache file
+ * Returns null if there is none or it cannot be read
+ */
+export async function loadBloomFilter(dir: string): Promise<Uint8Array | null> {
+  try {
+    return new Uint8Array(await fs.readFile(join(dir, BLOOM_FILE)));
   } catch (error) {
-    // File doesn't exist or is invalid - this is expected on first run
+    if ((error as NodeJS.ErrnoException).code !== "ENOENT") {
+      console.warn(`Failed to load Bloom filter from ${dir}:`, error);
+    }
+    return null;
+  }
+}
+
+/**
+ * Move the tracker cache files from one directory to another, under the
+ * lock of the source directory
+ *
+ * Files that already exist in `to` are left where they are. Used to hand
+ * the state earlier versions kept in the root cache directory to a
+ * namespace.
+ *
+ * @returns Names of the files moved
+ */
+export async function moveCacheFiles(from: string, to: string): Promise<string[]> {
+  const names = ["timestamp.json", "snapshot.json", JOURNAL_FILE, BLOOM_FILE];
+  try {
+    return await withCacheLock(from, async () => {
+      const moved: string[] = [];
+      for (const name of names) {
+        try {
+          await fs.access(join(to, name));
+          continue;
+        } catch {
+          // Not in the target yet
+        }
+        try {
+          await fs.rename(join(from, name), join(to, name));
+          moved.push(name);
+        } catch (error) {
+          if ((error as NodeJS.ErrnoException).code !== "ENOENT") throw error;
+        }
+      }
+      return moved;
+    });
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== "ENOENT") {
+      console.warn(`Failed to move cache files from ${from} to ${to}:`, error);
+    }
     return [];
   }
 }
@@ -271,11 +716,20 @@ export function getTrackingConfig(): TrackingConfig {
   const trackLimit = parseInt(process.env.NOSTRMQ_TRACK_LIMIT || "100", 10);
   const cacheDir = process.env.NOSTRMQ_CACHE_DIR || ".nostrmq";
   const enablePersistence = process.env.NOSTRMQ_DISABLE_PERSISTENCE !== "true";
+  const bloomCapacity = parseInt(process.env.NOSTRMQ_BLOOM_CAPACITY || "", 10);
+  const bloomFpRate = parseFloat(process.env.NOSTRMQ_BLOOM_FP_RATE || "");
 
-  return {
+  const config: TrackingConfig = {
     oldestMqSeconds: Math.max(60, oldestMqSeconds), // Minimum 1 minute
     trackLimit: Math.max(10, Math.min(1000, trackLimit)), // Between 10-1000
     cacheDir,
     enablePersistence,
   };
+  if (bloomCapacity > 0) {
+    config.bloom = {
+      capacity: bloomCapacity,
+      falsePositiveRate: bloomFpRate > 0 && bloomFpRate < 1 ? bloomFpRate : undefined,
+    };
+  }
+  return config;
 }
@@ -0,0 +1,206 @@
+import assert from "assert";
+import { generateSecretKey, getPublicKey } from "nostr-tools";
+import { createClient } from "../dist/client.js";
+import { sendAck } from "../dist/send.js";
+import { MockRelay } from "./mock-relay.js";
+
+// Test utilities
+function createConfig(relayUrl) {
+  const secretKey = generateSecretKey();
+  return {
+    privkey: Buffer.from(secretKey).toString("hex"),
+    pubkey: getPublicKey(secretKey),
+    relays: [relayUrl],
+    powDifficulty: 0,
+    powThreads: 1,
+    encryption: "nip44",
+  };
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe("Acknowledgements", () => {
+  let relay;
+  let clients;
+  const originalEnv = { ...process.env };
+
+  beforeEach(async () => {
+    process.env.NOSTRMQ_DISABLE_PERSISTENCE = "true";
+    relay = new MockRelay();
+    await relay.start();
+    clients = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map((client) => client.close()));
+    await relay.stop();
+    process.env = { ...originalEnv };
+  });
+
+  function client(config) {
+    const created = createClient(config);
+    clients.push(created);
+    return created;
+  }
+
+  it("should resolve awaitAck once the recipient handled the message", async () => {
+    const sender = client(createConfig(relay.url));
+    const receiverConfig = createConfig(relay.url);
+    const receiver = client(receiverConfig);
+    const received = [];
+
+    receiver.receive({
+      autoAck: true,
+      onMessage: (payload) => received.push(payload),
+    });
+    await delay(200);
+
+    const eventId = await sender.send({
+      target: receiverConfig.pubkey,
+      payload: { job: 1 },
+      awaitAck: true,
+      ackTimeoutMs: 5000,
+    });
+
+    assert.match(eventId, /^[a-f0-9]{64}$/);
+    assert.deepStrictEqual(received, [{ job: 1 }]);
+  });
+
+  it("should catch an acknowledgement that arrives before the publish completes", async () => {
+    const slowRelay = new MockRelay({ okDelayMs: 300 });
+    await slowRelay.start();
+    try {
+      const sender = client(createConfig(slowRelay.url));
+      const receiverConfig = createConfig(slowRelay.url);
+      const receiver = client(receiverConfig);
+
+      receiver.receive({ autoAck: true, onMessage: () => {} });
+      await delay(200);
+
+      const eventId = await sender.send({
+        target: receiverConfig.pubkey,
+        payload: { job: 1 },
+        awaitAck: true,
+        ackTimeoutMs: 1000,
+      });
+
+      assert.match(eventId, /^[a-f0-9]{64}$/);
+    } finally {
+      await Promise.all(clients.map((created) => created.close()));
+      await slowRelay.stop();
+    }
+  });
+
+  it("should reject awaitAck with the error of a failed handler", async () => {
+    const sender = client(createConfig(relay.url));
+    const receiverConfig = createConfig(relay.url);
+    const receiver = client(receiverConfig);
+
+    receiver.receive({
+      autoAck: true,
+      onMessage: () => {
+        throw new Error("disk full");
+      },
+    });
+    await delay(200);
+
+    await assert.rejects(
+      sender.send({
+        target: receiverConfig.pubkey,
+        payload: { job: 2 },
+        awaitAck: true,
+        ackTimeoutMs: 5000,
+      }),
+      /Recipient failed to handle message [a-f0-9]{64}: disk full/
+    );
+  });
+
+  it("should time out when the recipient does not acknowledge", async () => {
+    const sender = client(createConfig(relay.url));
+    const receiverConfig = createConfig(relay.url);
+    const receiver = client(receiverConfig);
+
+    receiver.receive({ onMessage: () => {} });
+    await delay(200);
+
+    await assert.rejects(
+      sender.send({
+        target: receiverConfig.pubkey,
+        payload: { job: 3 },
+        awaitAck: true,
+        ackTimeoutMs: 500,
+      }),
+      /No acknowledgement for [a-f0-9]{64} within 500ms/
+    );
+  });
+
+  it("should ignore an acknowledgement from another pubkey", async () => {
+    const senderConfig = createConfig(relay.url);
+    const sender = client(senderConfig);
+    const target = createConfig(relay.url).pubkey;
+    const impostorConfig = createConfig(relay.url);
+    const impostor = client(impostorConfig);
+
+    const pending = sender.send({
+      target,
+      payload: { job: 4 },
+      awaitAck: true,
+      ackTimeoutMs: 1500,
+    });
+
+    // Acknowledge the message as soon as it reaches the relay, claiming to
+    // be anyone but its target
+    const sent = () =>
+      relay.events.find((event) => event.pubkey === senderConfig.pubkey);
+    while (!sent()) {
+      await delay(20);
+    }
+    await sendAck(
+      impostor,
+      { eventId: sent().id, ok: true },
+      { response: senderConfig.pubkey, encryption: "nip44", giftWrap: false },
+      impostorConfig
+    );
+
+    await assert.rejects(pending, /No acknowledgement for [a-f0-9]{64}/);
+  });
+
+  it("should deliver acknowledgements to receivers that ask for them", async () => {
+    const senderConfig = createConfig(relay.url);
+    const sender = client(senderConfig);
+    const receiverConfig = createConfig(relay.url);
+    const receiver = client(receiverConfig);
+    const acks = [];
+
+    receiver.receive({ autoAck: true, onMessage: () => {} });
+    sender.receive({
+      acks: true,
+      onMessage: (payload, from, rawEvent, context) => acks.push(context.ack),
+    });
+    await delay(200);
+
+    const eventId = await sender.send({
+      target: receiverConfig.pubkey,
+      payload: { job: 5 },
+    });
+    await delay(500);
+
+    assert.deepStrictEqual(acks, [{ eventId, ok: true }]);
+  });
+
+  it("should refuse awaitAck when replies go to another pubkey", async () => {
+    const sender = client(createConfig(relay.url));
+
+    await assert.rejects(
+      sender.send({
+        target: createConfig(relay.url).pubkey,
+        response: createConfig(relay.url).pubkey,
+        payload: { job: 6 },
+        awaitAck: true,
+      }),
+      /awaitAck requires the response pubkey to be the sender's own pubkey/
+    );
+  });
+});
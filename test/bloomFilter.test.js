@@ -0,0 +1,111 @@
+import assert from "assert";
+import { RollingBloomFilter } from "../dist/bloomFilter.js";
+
+// Test utilities
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function ids(prefix, count) {
+  return Array.from({ length: count }, (_, i) => `${prefix}_${i}`);
+}
+
+describe("RollingBloomFilter", () => {
+  const realNow = Date.now;
+
+  afterEach(() => {
+    Date.now = realNow;
+  });
+
+  it("should remember every added event", () => {
+    const filter = new RollingBloomFilter(3600, { capacity: 10000 });
+    const added = ids("seen", 10000);
+    added.forEach((id) => filter.add(id, now()));
+
+    assert.ok(added.every((id) => filter.has(id)));
+  });
+
+  it("should keep false positives near the configured rate", () => {
+    const filter = new RollingBloomFilter(3600, {
+      capacity: 10000,
+      falsePositiveRate: 0.01,
+    });
+    ids("seen", 10000).forEach((id) => filter.add(id, now()));
+
+    const falsePositives = ids("unseen", 10000).filter((id) => filter.has(id));
+    assert.ok(
+      falsePositives.length < 200,
+      `${falsePositives.length} false positives in 10000 lookups`
+    );
+  });
+
+  it("should forget events once their partition leaves the window", () => {
+    const start = Date.now();
+    const filter = new RollingBloomFilter(60, { partitions: 4 });
+    filter.add("old", now());
+
+    Date.now = () => start + 30 * 1000;
+    filter.add("recent", now());
+    assert.ok(filter.has("old"));
+
+    Date.now = () => start + 90 * 1000;
+    filter.add("new", now());
+    assert.strictEqual(filter.has("old"), false);
+    assert.ok(filter.has("recent"));
+    assert.ok(filter.has("new"));
+  });
+
+  it("should ignore events older than the window", () => {
+    const filter = new RollingBloomFilter(60);
+    filter.add("ancient", now() - 3600);
+
+    assert.strictEqual(filter.has("ancient"), false);
+  });
+
+  it("should restore a serialized filter", () => {
+    const options = { capacity: 1000, partitions: 2 };
+    const filter = new RollingBloomFilter(3600, options);
+    filter.add("a", now());
+    filter.add("b", now() - 1800);
+
+    const data = filter.serialize();
+    const restored = RollingBloomFilter.deserialize(data, 3600, options);
+
+    assert.ok(restored.has("a"));
+    assert.ok(restored.has("b"));
+    assert.strictEqual(restored.has("c"), false);
+    assert.strictEqual(data.length, 16 + 2 * (4 + filter.bits / 8));
+  });
+
+  it("should not restore damaged data or other settings", () => {
+    const filter = new RollingBloomFilter(3600, { capacity: 1000 });
+    filter.add("a", now());
+    const data = filter.serialize();
+
+    assert.strictEqual(
+      RollingBloomFilter.deserialize(data.subarray(0, 40), 3600, {
+        capacity: 1000,
+      }),
+      null
+    );
+    assert.strictEqual(
+      RollingBloomFilter.deserialize(data, 3600, { capacity: 2000 }),
+      null
+    );
+  });
+
+  it("should reject invalid options", () => {
+    assert.throws(
+      () => new RollingBloomFilter(60, { capacity: 0 }),
+      /bloom.capacity must be a positive integer/
+    );
+    assert.throws(
+      () => new RollingBloomFilter(60, { falsePositiveRate: 1 }),
+      /bloom.falsePositiveRate must be between 0 and 1/
+    );
+    assert.throws(
+      () => new RollingBloomFilter(60, { partitions: 0 }),
+      /bloom.partitions must be an integer from 1 to 255/
+    );
+  });
+});
@@ -0,0 +1,337 @@
+import assert from "assert";
+import {
+  ChunkAssembler,
+  digestPayload,
+  isValidChunkInfo,
+  splitPayload,
+} from "../dist/chunking.js";
+
+// Test utilities
+const SENDER = "b".repeat(64);
+
+function createParts(
+  data,
+  chunkSize,
+  messageId = "msg-1",
+  sender = SENDER
+) {
+  const slices = splitPayload(data, chunkSize);
+  const digest = digestPayload(data);
+
+  return slices.map((slice, index) => ({
+    payload: undefined,
+    sender,
+    rawEvent: { id: `event-${messageId}-${index}`, created_at: 0 },
+    context: { response: sender, encryption: "nip44", giftWrap: false },
+    chunk: {
+      messageId,
+      index,
+      total: slices.length,
+      digest,
+      encoding: "json",
+    },
+    data: slice,
+  }));
+}
+
+describe("Chunking", () => {
+  describe("splitPayload", () => {
+    it("should split data into slices that rejoin to the original", () => {
+      const data = "abcdefghij".repeat(10);
+      const slices = splitPayload(data, 16);
+
+      assert.strictEqual(slices.length, 7);
+      assert.ok(slices.every((slice) => slice.length <= 16));
+      assert.strictEqual(slices.join(""), data);
+    });
+
+    it("should not split surrogate pairs", () => {
+      const data = "a" + "😀".repeat(5);
+      const slices = splitPayload(data, 2);
+
+      assert.strictEqual(slices.join(""), data);
+      for (const slice of slices) {
+        assert.strictEqual(slice, Buffer.from(slice, "utf8").toString());
+      }
+    });
+
+    it("should reject invalid chunk sizes", () => {
+      assert.throws(() => splitPayload("data", 1), /chunkSize/);
+      assert.throws(() => splitPayload("data", 2.5), /chunkSize/);
+    });
+  });
+
+  describe("isValidChunkInfo", () => {
+    it("should reject out-of-range indexes and unknown encodings", () => {
+      const chunk = {
+        messageId: "m",
+        index: 0,
+        total: 2,
+        digest: "d",
+        encoding: "json",
+      };
+
+      assert.strictEqual(isValidChunkInfo(chunk), true);
+      assert.strictEqual(isValidChunkInfo({ ...chunk, index: 2 }), false);
+      assert.strictEqual(isValidChunkInfo({ ...chunk, total: 0 }), false);
+      assert.strictEqual(
+        isValidChunkInfo({ ...chunk, encoding: "raw" }),
+        false
+      );
+    });
+  });
+
+  describe("ChunkAssembler", () => {
+    it("should reassemble chunks received out of order", () => {
+      const payload = { items: Array.from({ length: 50 }, (_, i) => i) };
+      const parts = createParts(JSON.stringify(payload), 20);
+      const assembler = new ChunkAssembler(1000);
+
+      let result = null;
+      for (const part of [...parts].reverse()) {
+        assert.strictEqual(result, null);
+        result = assembler.add(part);
+      }
+
+      assert.deepStrictEqual(result.payload, payload);
+      assert.strictEqual(result.rawEvent.id, parts[0].rawEvent.id);
+      assert.strictEqual(result.events.length, parts.length);
+      assembler.clear();
+    });
+
+    it("should ignore duplicate chunks", () => {
+      const parts = createParts(JSON.stringify({ text: "x".repeat(40) }), 10);
+      const assembler = new ChunkAssembler(1000);
+
+      assert.strictEqual(assembler.add(parts[0]), null);
+      assert.strictEqual(assembler.add(parts[0]), null);
+      for (const part of parts.slice(1)) {
+        assembler.add(part);
+      }
+
+      // Late duplicate of a completed message
+      assert.strictEqual(assembler.add(parts[1]), null);
+      assembler.clear();
+    });
+
+    it("should reject data that does not match the digest", () => {
+      const parts = createParts(JSON.stringify({ text: "x".repeat(40) }), 10);
+      parts[1] = { ...parts[1], data: parts[1].data.toUpperCase() };
+      const dropped = [];
+      const assembler = new ChunkAssembler(1000, undefined, undefined, (d) =>
+        dropped.push(d)
+      );
+
+      assert.throws(() => {
+        for (const part of parts) {
+          assembler.add(part);
+        }
+      }, /Digest mismatch/);
+      assert.strictEqual(dropped.length, 1);
+      assert.strictEqual(dropped[0].reason, "invalid");
+      assert.deepStrictEqual(
+        dropped[0].events,
+        parts.map((part) => part.rawEvent)
+      );
+      assembler.clear();
+    });
+
+    it("should stream chunks in order", async () => {
+      const data = JSON.stringify({ text: "y".repeat(60) });
+      const parts = createParts(data, 16);
+      let received = "";
+      let done;
+      const finished = new Promise((resolve) => (done = resolve));
+
+      const assembler = new ChunkAssembler(1000, async (stream) => {
+        assert.strictEqual(stream.total, parts.length);
+        for await (const slice of stream) {
+          received += slice;
+        }
+        done();
+      });
+
+      for (const part of [parts[1], parts[0], ...parts.slice(2)]) {
+        assembler.add(part);
+      }
+      await finished;
+
+      assert.strictEqual(received, data);
+      assembler.clear();
+    });
+
+    it("should fail streams that time out", async () => {
+      const parts = createParts(JSON.stringify({ text: "z".repeat(60) }), 16);
+      let failure;
+
+      const assembler = new ChunkAssembler(50, async (stream) => {
+        try {
+          for await (const _slice of stream) {
+            // Consume until the stream fails
+          }
+        } catch (error) {
+          failure = error;
+        }
+      });
+
+      assembler.add(parts[0]);
+      // Assembler timers are unref'd, so keep the process alive meanwhile
+      await new Promise((resolve) => setTimeout(resolve, 150));
+
+      assert.match(failure.message, /timed out/);
+      assembler.clear();
+    });
+
+    it("should report buffered chunks and timed out messages", async () => {
+      const parts = createParts(JSON.stringify({ text: "t".repeat(40) }), 10);
+      const buffered = [];
+      const dropped = [];
+      const assembler = new ChunkAssembler(
+        50,
+        undefined,
+        {},
+        (d) => dropped.push(d),
+        (event) => buffered.push(event.id)
+      );
+
+      assembler.add(parts[0]);
+      assembler.add(parts[0]);
+      assembler.add(parts[2]);
+      await new Promise((resolve) => setTimeout(resolve, 150));
+
+      assert.deepStrictEqual(buffered, ["event-msg-1-0", "event-msg-1-2"]);
+      assert.deepStrictEqual(
+        dropped.map(({ reason, messageId, events }) => [
+          reason,
+          messageId,
+          events.map(({ id }) => id),
+        ]),
+        [["timeout", "msg-1", ["event-msg-1-0", "event-msg-1-2"]]]
+      );
+      assembler.clear();
+    });
+
+    it("should drop the oldest partial message of a sender over its limit", () => {
+      const data = JSON.stringify({ text: "p".repeat(40) });
+      const messages = ["m1", "m2", "m3"].map((id) =>
+        createParts(data, 10, id)
+      );
+      const dropped = [];
+      const assembler = new ChunkAssembler(
+        1000,
+        undefined,
+        { maxPerSender: 2 },
+        (d) => dropped.push(d)
+      );
+
+      for (const parts of messages) {
+        assembler.add(parts[0]);
+      }
+
+      assert.deepStrictEqual(
+        dropped.map(({ reason, messageId, sender, events }) => [
+          reason,
+          messageId,
+          sender,
+          events.map(({ id }) => id),
+        ]),
+        [["limit", "m1", SENDER, ["event-m1-0"]]]
+      );
+
+      // The rest of a dropped message is ignored, the others still complete
+      for (const part of messages[0].slice(1)) {
+        assert.strictEqual(assembler.add(part), null);
+      }
+      let result = null;
+      for (const part of messages[2].slice(1)) {
+        result = assembler.add(part);
+      }
+      assert.deepStrictEqual(result.payload, JSON.parse(data));
+      assembler.clear();
+    });
+
+    it("should not let one sender's messages evict another's", () => {
+      const data = JSON.stringify({ text: "q".repeat(40) });
+      const other = "c".repeat(64);
+      const dropped = [];
+      const assembler = new ChunkAssembler(
+        1000,
+        undefined,
+        { maxPerSender: 1 },
+        (d) => dropped.push(d.messageId)
+      );
+
+      assembler.add(createParts(data, 10, "victim", other)[0]);
+      for (let i = 0; i < 5; i++) {
+        assembler.add(createParts(data, 10, `spam-${i}`)[0]);
+      }
+
+      assert.deepStrictEqual(dropped, ["spam-0", "spam-1", "spam-2", "spam-3"]);
+      assembler.clear();
+    });
+
+    it("should drop the oldest partial message over the total limit", () => {
+      const data = JSON.stringify({ text: "r".repeat(40) });
+      const dropped = [];
+      const assembler = new ChunkAssembler(
+        1000,
+        undefined,
+        { maxMessages: 2 },
+        (d) => dropped.push(d.messageId)
+      );
+
+      ["a", "b", "c"].forEach((hex, i) =>
+        assembler.add(createParts(data, 10, `m${i}`, hex.repeat(64))[0])
+      );
+
+      assert.deepStrictEqual(dropped, ["m0"]);
+      assembler.clear();
+    });
+
+    it("should drop partial messages over the byte limit", () => {
+      const data = JSON.stringify({ text: "s".repeat(100) });
+      const dropped = [];
+      const assembler = new ChunkAssembler(
+        1000,
+        undefined,
+        { maxBytes: 50 },
+        (d) => dropped.push(d.messageId)
+      );
+
+      const first = createParts(data, 20, "first");
+      const second = createParts(data, 20, "second", "c".repeat(64));
+      assembler.add(first[0]);
+      assembler.add(first[1]);
+      assembler.add(second[0]);
+
+      assert.deepStrictEqual(dropped, ["first"]);
+      assembler.clear();
+    });
+
+    it("should fail streams that are dropped", async () => {
+      const data = JSON.stringify({ text: "t".repeat(60) });
+      const failures = [];
+      const assembler = new ChunkAssembler(
+        1000,
+        async (stream) => {
+          try {
+            for await (const _slice of stream) {
+              // Consume until the stream fails
+            }
+          } catch (error) {
+            failures.push(error.message);
+          }
+        },
+        { maxPerSender: 1 }
+      );
+
+      assembler.add(createParts(data, 16, "old")[0]);
+      assembler.add(createParts(data, 16, "new")[0]);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      assert.strictEqual(failures.length, 1);
+      assert.match(failures[0], /Chunked message old dropped/);
+      assembler.clear();
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import assert from "assert";
+import { generateSecretKey, getPublicKey } from "nostr-tools";
+import { createClient } from "../dist/client.js";
+import { MockRelay } from "./mock-relay.js";
+
+// Test utilities
+function createConfig(relayUrl) {
+  const secretKey = generateSecretKey();
+  return {
+    privkey: Buffer.from(secretKey).toString("hex"),
+    pubkey: getPublicKey(secretKey),
+    relays: [relayUrl],
+    powDifficulty: 0,
+    powThreads: 1,
+    encryption: "nip44",
+  };
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe("NostrMQClient", () => {
+  let relay;
+  const originalEnv = { ...process.env };
+
+  beforeEach(async () => {
+    process.env.NOSTRMQ_DISABLE_PERSISTENCE = "true";
+    relay = new MockRelay();
+    await relay.start();
+  });
+
+  afterEach(async () => {
+    await relay.stop();
+    process.env = { ...originalEnv };
+  });
+
+  it("should share one connection across sends and subscriptions", async () => {
+    const sender = createClient(createConfig(relay.url));
+    const receiverConfig = createConfig(relay.url);
+    const receiver = createClient(receiverConfig);
+    const received = [];
+
+    receiver.receive({ onMessage: (payload) => received.push(payload) });
+    await delay(200);
+
+    for (let i = 0; i < 5; i++) {
+      await sender.send({ target: receiverConfig.pubkey, payload: { i } });
+    }
+    await delay(200);
+
+    assert.deepStrictEqual(
+      received.map((payload) => payload.i),
+      [0, 1, 2, 3, 4]
+    );
+    assert.strictEqual(relay.connectionCount, 2);
+
+    await sender.close();
+    await receiver.close();
+  });
+
+  it("should answer requests over shared connections", async () => {
+    const client = createClient(createConfig(relay.url));
+    const serverConfig = createConfig(relay.url);
+    const server = createClient(serverConfig);
+
+    server.receive({
+      onMessage: async (payload, sender, rawEvent, context) => {
+        await server.send({
+          target: context.response,
+          payload: { echo: payload.value },
+          correlationId: context.correlationId,
+        });
+      },
+    });
+    await delay(200);
+
+    const reply = await client.request({
+      target: serverConfig.pubkey,
+      payload: { value: 42 },
+      replyTimeoutMs: 5000,
+    });
+
+    assert.deepStrictEqual(reply, { echo: 42 });
+
+    await client.close();
+    await server.close();
+  });
+
+  it("should disconnect when idle and reconnect on demand", async () => {
+    const target = createConfig(relay.url).pubkey;
+    const client = createClient(createConfig(relay.url), {
+      idleTimeoutMs: 50,
+    });
+
+    await client.send({ target, payload: { n: 1 } });
+    await delay(200);
+    assert.strictEqual(relay.openConnections(), 0);
+
+    await client.send({ target, payload: { n: 2 } });
+    assert.strictEqual(relay.events.length, 2);
+
+    await client.close();
+  });
+
+  it("should close subscriptions and reject use after close", async () => {
+    const client = createClient(createConfig(relay.url));
+    const subscription = client.receive({ onMessage: () => {} });
+    await delay(200);
+
+    await client.close();
+
+    const iterator = subscription[Symbol.asyncIterator]();
+    assert.deepStrictEqual(await iterator.next(), {
+      done: true,
+      value: undefined,
+    });
+    await assert.rejects(
+      client.send({ target: client.config.pubkey, payload: { late: true } }),
+      /Client is closed/
+    );
+  });
+});
@@ -0,0 +1,115 @@
+import assert from "assert";
+import { DeliveryQueue } from "../dist/deliveryQueue.js";
+
+// Test utilities
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createQueue(opts = {}) {
+  const events = { dropped: [], paused: 0, resumed: 0 };
+  const queue = new DeliveryQueue({
+    concurrency: Infinity,
+    maxQueue: Infinity,
+    overflow: "pause",
+    onDrop: (delivery) => events.dropped.push(delivery.event.id),
+    onPause: () => events.paused++,
+    onResume: () => events.resumed++,
+    ...opts,
+  });
+  return { queue, events };
+}
+
+function createDelivery(sender, createdAt, run) {
+  return {
+    sender,
+    createdAt,
+    event: { id: `${sender}-${createdAt}`, created_at: createdAt },
+    run,
+  };
+}
+
+describe("DeliveryQueue", () => {
+  it("should limit the number of running deliveries", async () => {
+    const { queue } = createQueue({ concurrency: 2 });
+    let running = 0;
+    let maxRunning = 0;
+
+    for (const sender of ["a", "b", "c", "d"]) {
+      queue.push(
+        createDelivery(sender, 1, async () => {
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          await delay(20);
+          running--;
+        })
+      );
+    }
+
+    assert.strictEqual(queue.size, 2);
+    await delay(100);
+    assert.strictEqual(maxRunning, 2);
+    assert.strictEqual(queue.size, 0);
+  });
+
+  it("should run one sender's messages one at a time in created_at order", async () => {
+    const { queue } = createQueue();
+    const order = [];
+    const handler = (label) => async () => {
+      order.push(`start ${label}`);
+      await delay(10);
+      order.push(`end ${label}`);
+    };
+
+    queue.push(createDelivery("a", 1, handler("a1")));
+    queue.push(createDelivery("a", 3, handler("a3")));
+    queue.push(createDelivery("a", 2, handler("a2")));
+    queue.push(createDelivery("b", 1, handler("b1")));
+    await delay(100);
+
+    assert.deepStrictEqual(
+      order.filter((entry) => entry.includes(" a")),
+      ["start a1", "end a1", "start a2", "end a2", "start a3", "end a3"]
+    );
+    assert.ok(order.indexOf("start b1") < order.indexOf("end a1"));
+  });
+
+  it("should drop the oldest or newest waiting delivery when full", () => {
+    const blocked = () => new Promise(() => {});
+
+    const oldest = createQueue({
+      concurrency: 1,
+      maxQueue: 2,
+      overflow: "drop-oldest",
+    });
+    const newest = createQueue({
+      concurrency: 1,
+      maxQueue: 2,
+      overflow: "drop-newest",
+    });
+    for (const { queue } of [oldest, newest]) {
+      for (let i = 1; i <= 4; i++) {
+        queue.push(createDelivery(`s${i}`, i, blocked));
+      }
+    }
+
+    assert.deepStrictEqual(oldest.events.dropped, ["s2-2"]);
+    assert.deepStrictEqual(newest.events.dropped, ["s4-4"]);
+  });
+
+  it("should pause when full and resume once drained to half", async () => {
+    const { queue, events } = createQueue({ concurrency: 1, maxQueue: 4 });
+    const run = () => delay(10);
+
+    for (let i = 1; i <= 5; i++) {
+      queue.push(createDelivery(`s${i}`, i, run));
+    }
+    assert.strictEqual(events.paused, 1);
+    assert.strictEqual(events.resumed, 0);
+    assert.deepStrictEqual(events.dropped, []);
+
+    await delay(100);
+    assert.strictEqual(events.resumed, 1);
+    assert.strictEqual(queue.size, 0);
+  });
+});
@@ -0,0 +1,180 @@
+import assert from "assert";
+import { generateSecretKey, getPublicKey, nip04, nip44 } from "nostr-tools";
+import { createClient } from "../dist/client.js";
+import { detectEncryption } from "../dist/encryption.js";
+import { loadConfig } from "../dist/utils.js";
+import { MockRelay } from "./mock-relay.js";
+
+// Test utilities
+function createConfig(relayUrl, encryption = "nip04") {
+  const secretKey = generateSecretKey();
+  return {
+    privkey: Buffer.from(secretKey).toString("hex"),
+    pubkey: getPublicKey(secretKey),
+    relays: [relayUrl],
+    powDifficulty: 0,
+    powThreads: 1,
+    encryption,
+  };
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe("Encryption", () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe("detectEncryption()", () => {
+    const sender = generateSecretKey();
+    const recipient = getPublicKey(generateSecretKey());
+
+    it("should detect NIP-04 ciphertext", () => {
+      const content = nip04.encrypt(sender, recipient, "hello");
+      assert.strictEqual(detectEncryption(content), "nip04");
+    });
+
+    it("should detect NIP-44 ciphertext", () => {
+      const key = nip44.getConversationKey(sender, recipient);
+      assert.strictEqual(detectEncryption(nip44.encrypt("hello", key)), "nip44");
+    });
+
+    it("should not recognise other content", () => {
+      assert.strictEqual(detectEncryption(""), null);
+      assert.strictEqual(detectEncryption("plain text"), null);
+      assert.strictEqual(detectEncryption(undefined), null);
+    });
+  });
+
+  describe("NOSTR_ENCRYPTION", () => {
+    beforeEach(() => {
+      process.env.NOSTR_PRIVKEY = Buffer.from(generateSecretKey()).toString(
+        "hex"
+      );
+      process.env.NOSTR_RELAYS = "ws://127.0.0.1:1";
+      delete process.env.NOSTR_BUNKER_URL;
+      delete process.env.NOSTR_ENCRYPTION;
+    });
+
+    it("should default to nip04", () => {
+      assert.strictEqual(loadConfig().encryption, "nip04");
+    });
+
+    it("should select nip44", () => {
+      process.env.NOSTR_ENCRYPTION = "nip44";
+      assert.strictEqual(loadConfig().encryption, "nip44");
+    });
+
+    it("should reject unknown schemes", () => {
+      process.env.NOSTR_ENCRYPTION = "aes";
+      assert.throws(() => loadConfig(), /NOSTR_ENCRYPTION must be/);
+    });
+  });
+
+  describe("sending and receiving", () => {
+    let relay;
+    let clients;
+
+    beforeEach(async () => {
+      process.env.NOSTRMQ_DISABLE_PERSISTENCE = "true";
+      relay = new MockRelay();
+      await relay.start();
+      clients = [];
+    });
+
+    afterEach(async () => {
+      await Promise.all(clients.map((client) => client.close()));
+      await relay.stop();
+    });
+
+    function client(config) {
+      const created = createClient(config);
+      clients.push(created);
+      return created;
+    }
+
+    async function exchange(senderEncryption, sendOpts = {}) {
+      const sender = client(createConfig(relay.url, senderEncryption));
+      // The receiver's own setting must not matter for decryption
+      const receiverConfig = createConfig(
+        relay.url,
+        senderEncryption === "nip44" ? "nip04" : "nip44"
+      );
+      const receiver = client(receiverConfig);
+      const received = [];
+
+      receiver.receive({
+        onMessage: (payload, from, rawEvent, context) =>
+          received.push({ payload, rawEvent, context }),
+      });
+      await delay(200);
+
+      await sender.send({
+        target: receiverConfig.pubkey,
+        payload: { secret: "s3cret" },
+        ...sendOpts,
+      });
+      await delay(300);
+
+      assert.strictEqual(received.length, 1);
+      assert.deepStrictEqual(received[0].payload, { secret: "s3cret" });
+      return received[0];
+    }
+
+    it("should send and detect NIP-04 from the configured scheme", async () => {
+      const { rawEvent, context } = await exchange("nip04");
+      assert.strictEqual(context.encryption, "nip04");
+      assert.ok(rawEvent.content.includes("?iv="));
+    });
+
+    it("should send and detect NIP-44 from the configured scheme", async () => {
+      const { rawEvent, context } = await exchange("nip44");
+      assert.strictEqual(context.encryption, "nip44");
+      assert.strictEqual(detectEncryption(rawEvent.content), "nip44");
+    });
+
+    it("should let the send option override the configured scheme", async () => {
+      const { context } = await exchange("nip04", { encryption: "nip44" });
+      assert.strictEqual(context.encryption, "nip44");
+    });
+
+    it("should reject unknown schemes in send()", async () => {
+      const sender = client(createConfig(relay.url));
+      await assert.rejects(
+        sender.send({
+          target: createConfig(relay.url).pubkey,
+          payload: { secret: "s3cret" },
+          encryption: "aes",
+        }),
+        /encryption must be "nip04" or "nip44"/
+      );
+    });
+
+    it("should acknowledge with the scheme of the message", async () => {
+      const senderConfig = createConfig(relay.url, "nip04");
+      const sender = client(senderConfig);
+      const receiverConfig = createConfig(relay.url, "nip04");
+      const receiver = client(receiverConfig);
+
+      receiver.receive({ autoAck: true, onMessage: () => {} });
+      await delay(200);
+
+      await sender.send({
+        target: receiverConfig.pubkey,
+        payload: { secret: "s3cret" },
+        encryption: "nip44",
+        awaitAck: true,
+        ackTimeoutMs: 5000,
+      });
+
+      const ack = relay.events.find(
+        (event) => event.pubkey === receiverConfig.pubkey
+      );
+      assert.strictEqual(detectEncryption(ack.content), "nip44");
+    });
+  });
+});
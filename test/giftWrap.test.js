@@ -0,0 +1,166 @@
+import assert from "assert";
+import { finalizeEvent, generateSecretKey, getPublicKey } from "nostr-tools";
+import { createClient } from "../dist/client.js";
+import {
+  GIFT_WRAP_KIND,
+  SEAL_KIND,
+  createRumor,
+  createSeal,
+  createWrapTemplate,
+  unwrapGiftWrap,
+} from "../dist/giftWrap.js";
+import { LocalSigner } from "../dist/signer.js";
+import { MockRelay } from "./mock-relay.js";
+
+// Test utilities
+function createConfig(relayUrl) {
+  const secretKey = generateSecretKey();
+  return {
+    privkey: Buffer.from(secretKey).toString("hex"),
+    pubkey: getPublicKey(secretKey),
+    relays: [relayUrl],
+    powDifficulty: 0,
+    powThreads: 1,
+    encryption: "nip44",
+  };
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+const TEMPLATE = {
+  kind: 30072,
+  created_at: Math.floor(Date.now() / 1000),
+  tags: [["d", "message"]],
+  content: "hello",
+};
+
+async function wrap(rumor, sealSigner, recipient) {
+  const seal = await createSeal(rumor, sealSigner, recipient);
+  const { template, secretKey } = await createWrapTemplate(seal, recipient);
+  return { wrap: finalizeEvent(template, secretKey), secretKey };
+}
+
+/**
+ * Flip one byte of a NIP-44 payload, past the version byte
+ */
+function tamper(content) {
+  const bytes = Buffer.from(content, "base64");
+  bytes[40] ^= 1;
+  return bytes.toString("base64");
+}
+
+describe("Gift wrap", () => {
+  const sender = new LocalSigner(generateSecretKey());
+  const recipient = new LocalSigner(generateSecretKey());
+
+  describe("unwrapGiftWrap()", () => {
+    it("should recover the rumor and sender of a wrap", async () => {
+      const rumor = createRumor(TEMPLATE, sender.pubkey);
+      const { wrap: event } = await wrap(rumor, sender, recipient.pubkey);
+
+      assert.strictEqual(event.kind, GIFT_WRAP_KIND);
+      assert.notStrictEqual(event.pubkey, sender.pubkey);
+      assert.deepStrictEqual(event.tags, [["p", recipient.pubkey]]);
+
+      const { rumor: opened, seal } = await unwrapGiftWrap(event, recipient);
+      assert.deepStrictEqual(opened, rumor);
+      assert.strictEqual(seal.kind, SEAL_KIND);
+      assert.strictEqual(seal.pubkey, sender.pubkey);
+    });
+
+    it("should reject a seal signed by someone other than the author", async () => {
+      const impostor = new LocalSigner(generateSecretKey());
+      const rumor = createRumor(TEMPLATE, sender.pubkey);
+      const { wrap: event } = await wrap(rumor, impostor, recipient.pubkey);
+
+      await assert.rejects(
+        unwrapGiftWrap(event, recipient),
+        /Rumor author does not match seal signer/
+      );
+    });
+
+    it("should reject a wrap whose ciphertext was tampered with", async () => {
+      const rumor = createRumor(TEMPLATE, sender.pubkey);
+      const { wrap: event, secretKey } = await wrap(
+        rumor,
+        sender,
+        recipient.pubkey
+      );
+      const { id, sig, ...template } = event;
+      const tampered = finalizeEvent(
+        { ...template, content: tamper(event.content) },
+        secretKey
+      );
+
+      await assert.rejects(unwrapGiftWrap(tampered, recipient), /MAC/i);
+    });
+
+    it("should reject a rumor whose id does not match", async () => {
+      const rumor = { ...createRumor(TEMPLATE, sender.pubkey), content: "bye" };
+      const { wrap: event } = await wrap(rumor, sender, recipient.pubkey);
+
+      await assert.rejects(
+        unwrapGiftWrap(event, recipient),
+        /Rumor id does not match its content/
+      );
+    });
+  });
+
+  describe("sending and receiving", () => {
+    const originalEnv = { ...process.env };
+    let relay;
+    let clients;
+
+    beforeEach(async () => {
+      process.env.NOSTRMQ_DISABLE_PERSISTENCE = "true";
+      relay = new MockRelay();
+      await relay.start();
+      clients = [];
+    });
+
+    afterEach(async () => {
+      await Promise.all(clients.map((client) => client.close()));
+      await relay.stop();
+      process.env = { ...originalEnv };
+    });
+
+    function client(config) {
+      const created = createClient(config);
+      clients.push(created);
+      return created;
+    }
+
+    it("should deliver a gift wrapped message from the real sender", async () => {
+      const senderConfig = createConfig(relay.url);
+      const receiverConfig = createConfig(relay.url);
+      const receiver = client(receiverConfig);
+      const received = [];
+
+      receiver.receive({
+        onMessage: (payload, from, rawEvent, context) =>
+          received.push({ payload, from, rawEvent, context }),
+      });
+      await delay(200);
+
+      await client(senderConfig).send({
+        target: receiverConfig.pubkey,
+        payload: { secret: "s3cret" },
+        giftWrap: true,
+      });
+      await delay(300);
+
+      const [published] = relay.events;
+      assert.strictEqual(published.kind, GIFT_WRAP_KIND);
+      assert.notStrictEqual(published.pubkey, senderConfig.pubkey);
+
+      assert.strictEqual(received.length, 1);
+      assert.deepStrictEqual(received[0].payload, { secret: "s3cret" });
+      assert.strictEqual(received[0].from, senderConfig.pubkey);
+      assert.strictEqual(received[0].rawEvent.id, published.id);
+      assert.strictEqual(received[0].context.giftWrap, true);
+      assert.strictEqual(received[0].context.encryption, "nip44");
+    });
+  });
+});
@@ -5,6 +5,11 @@ import {
   createMessageTracker,
   MessageTracker,
 } from "../dist/messageTracker.js";
+import {
+  createTrackerStore,
+  FileTrackerStore,
+  MemoryTrackerStore,
+} from "../dist/trackerStore.js";
 
 // Test utilities
 const TEST_CACHE_DIR = ".test-cache";
@@ -360,6 +365,46 @@ describe("MessageTracker", () => {
       assert.strictEqual(cache.lastProcessed, newTimestamp);
     });
 
+    it("should remember every processed event across restarts", async () => {
+      const tracker = new MessageTracker(TEST_CONFIG);
+      await tracker.initialize();
+
+      const events = [createMockEvent("first"), createMockEvent("second")];
+      for (const event of events) {
+        await tracker.markProcessed(event.id, event.created_at);
+      }
+
+      const restarted = new MessageTracker(TEST_CONFIG);
+      await restarted.initialize();
+
+      for (const event of events) {
+        assert.strictEqual(
+          restarted.hasProcessed(event.id, event.created_at + 1),
+          true
+        );
+      }
+    });
+
+    it("should compact the journal into the snapshot", async () => {
+      const tracker = new MessageTracker(TEST_CONFIG);
+      await tracker.initialize();
+
+      for (let i = 0; i < TEST_CONFIG.trackLimit; i++) {
+        await tracker.markProcessed(`journal_${i}`, Math.floor(Date.now() / 1000));
+      }
+      const journal = await fs.readFile(
+        join(TEST_CACHE_DIR, "journal.jsonl"),
+        "utf-8"
+      );
+      assert.strictEqual(journal.trim().split("\n").length, TEST_CONFIG.trackLimit);
+
+      await tracker.markProcessed("journal_last", Math.floor(Date.now() / 1000));
+      await assert.rejects(
+        fs.access(join(TEST_CACHE_DIR, "journal.jsonl")),
+        /ENOENT/
+      );
+    });
+
     it("should persist snapshot when trimming occurs", async () => {
       const tracker = new MessageTracker(TEST_CONFIG);
       await tracker.initialize();
@@ -479,16 +524,16 @@ describe("MessageTracker", () => {
 
       // Verify cache files exist
       const timestampFile = join(TEST_CACHE_DIR, "timestamp.json");
-      const snapshotFile = join(TEST_CACHE_DIR, "snapshot.json");
+      const journalFile = join(TEST_CACHE_DIR, "journal.jsonl");
 
       await fs.access(timestampFile); // Should not throw
-      await fs.access(snapshotFile); // Should not throw
+      await fs.access(journalFile); // Should not throw
 
       tracker.clear();
 
       // Cache files should still exist
       await fs.access(timestampFile); // Should not throw
-      await fs.access(snapshotFile); // Should not throw
+      await fs.access(journalFile); // Should not throw
     });
   });
 
@@ -522,6 +567,8 @@ describe("MessageTracker", () => {
       const expectedFallback =
         Math.floor(Date.now() / 1000) - TEST_CONFIG.oldestMqSeconds;
       assert(stats.lastProcessed >= expectedFallback - 10);
+      assert.strictEqual(stats.corrupted.length, 1);
+      assert(stats.corrupted[0].startsWith(`${timestampFile}.corrupt-`));
     });
 
     it("should handle corrupted snapshot cache gracefully", async () => {
@@ -581,6 +628,358 @@ describe("MessageTracker", () => {
     });
   });
 
+  describe("at-least-once delivery", () => {
+    async function createTracker() {
+      const tracker = new MessageTracker(
+        TEST_CONFIG,
+        new MemoryTrackerStore(),
+        "at-least-once"
+      );
+      await tracker.initialize();
+      return tracker;
+    }
+
+    it("should deliver late events that were not processed yet", async () => {
+      const tracker = await createTracker();
+      const now = Math.floor(Date.now() / 1000);
+
+      await tracker.markProcessed("newer", now);
+
+      assert.strictEqual(tracker.hasProcessed("older", now - 60), false);
+      assert.strictEqual(tracker.hasProcessed("newer", now), true);
+      assert.strictEqual(
+        tracker.hasProcessed("expired", now - TEST_CONFIG.oldestMqSeconds - 60),
+        true
+      );
+    });
+
+    it("should not advance the watermark past pending events", async () => {
+      const tracker = await createTracker();
+      const now = Math.floor(Date.now() / 1000);
+
+      tracker.markPending("slow", now - 30);
+      assert.strictEqual(tracker.hasProcessed("slow", now - 30), true);
+
+      await tracker.markProcessed("fast", now);
+      assert.strictEqual(tracker.getSubscriptionSince(), now - 30);
+
+      await tracker.markProcessed("slow", now - 30);
+      assert.strictEqual(tracker.getSubscriptionSince(), now);
+    });
+
+    it("should hold the watermark back for failed events and deliver them again", async () => {
+      const tracker = await createTracker();
+      const now = Math.floor(Date.now() / 1000);
+
+      tracker.markPending("broken", now - 30);
+      await tracker.markFailed("broken", now - 30);
+      await tracker.markProcessed("fine", now);
+
+      assert.strictEqual(tracker.hasProcessed("broken", now - 30), false);
+      assert.strictEqual(tracker.getSubscriptionSince(), now - 30);
+    });
+
+    it("should only hold the watermark back for the newest trackLimit failures", async () => {
+      const tracker = await createTracker();
+      const now = Math.floor(Date.now() / 1000);
+
+      for (let i = 0; i <= TEST_CONFIG.trackLimit; i++) {
+        await tracker.markFailed(`failed_${i}`, now - 100 + i);
+      }
+      await tracker.markProcessed("fine", now);
+
+      assert.strictEqual(tracker.getSubscriptionSince(), now - 99);
+    });
+  });
+
+  describe("Bloom filter", () => {
+    it("should detect duplicates beyond trackLimit", async () => {
+      const tracker = new MessageTracker({
+        ...TEST_CONFIG,
+        enablePersistence: false,
+        bloom: { capacity: 1000 },
+      });
+      await tracker.initialize();
+
+      const timestamp = Math.floor(Date.now() / 1000);
+      for (let i = 0; i < 200; i++) {
+        await tracker.markProcessed(`bloom_${i}`, timestamp);
+      }
+
+      assert.strictEqual(tracker.getStats().recentEventsCount, TEST_CONFIG.trackLimit);
+      assert.strictEqual(tracker.hasProcessed("bloom_0", timestamp), true);
+      assert.strictEqual(tracker.hasProcessed("unseen", timestamp), false);
+    });
+
+    it("should persist the filter across restarts", async () => {
+      const config = { ...TEST_CONFIG, bloom: true };
+      const tracker = new MessageTracker(config);
+      await tracker.initialize();
+
+      const timestamp = Math.floor(Date.now() / 1000);
+      for (let i = 0; i < 23; i++) {
+        await tracker.markProcessed(`bloom_${i}`, timestamp);
+      }
+      await tracker.flush();
+      await fs.access(join(TEST_CACHE_DIR, "bloom.bin"));
+
+      const restarted = new MessageTracker(config);
+      await restarted.initialize();
+
+      for (let i = 0; i < 23; i++) {
+        assert.strictEqual(restarted.hasProcessed(`bloom_${i}`, timestamp), true);
+      }
+    });
+
+    it("should save the filter on an interval", async () => {
+      const store = new MemoryTrackerStore();
+      let saves = 0;
+      const saveFilter = store.saveFilter.bind(store);
+      store.saveFilter = async (data) => {
+        saves++;
+        await saveFilter(data);
+      };
+      const tracker = new MessageTracker(
+        { ...TEST_CONFIG, bloom: { saveIntervalMs: 50 } },
+        store
+      );
+      await tracker.initialize();
+
+      const timestamp = Math.floor(Date.now() / 1000);
+      for (let i = 0; i < 20; i++) {
+        await tracker.markProcessed(`interval_${i}`, timestamp);
+      }
+      assert.strictEqual(saves, 0);
+
+      await new Promise((resolve) => setTimeout(resolve, 60));
+      await tracker.markProcessed("interval_20", timestamp);
+      await tracker.markProcessed("interval_21", timestamp);
+      assert.strictEqual(saves, 1);
+
+      await tracker.flush();
+      assert.strictEqual(saves, 2);
+      await tracker.flush();
+      assert.strictEqual(saves, 2);
+    });
+
+    it("should back off after a failed filter save", async () => {
+      const store = new MemoryTrackerStore();
+      let saves = 0;
+      store.saveFilter = async () => {
+        saves++;
+        throw new Error("disk full");
+      };
+      const tracker = new MessageTracker(
+        { ...TEST_CONFIG, bloom: { saveIntervalMs: 0 } },
+        store
+      );
+      await tracker.initialize();
+
+      const timestamp = Math.floor(Date.now() / 1000);
+      for (let i = 0; i < 20; i++) {
+        await tracker.markProcessed(`backoff_${i}`, timestamp);
+      }
+      assert.strictEqual(saves, 1);
+    });
+  });
+
+  describe("tracker stores", () => {
+    it("should share replay state through a memory store", async () => {
+      const store = new MemoryTrackerStore();
+      const first = new MessageTracker(TEST_CONFIG, store);
+      await first.initialize();
+
+      const events = Array.from({ length: TEST_CONFIG.trackLimit + 1 }, (_, i) =>
+        createMockEvent(`shared_${i}`)
+      );
+      for (const event of events) {
+        await first.markProcessed(event.id, event.created_at);
+      }
+
+      const second = new MessageTracker(TEST_CONFIG, store);
+      await second.initialize();
+
+      const last = events[events.length - 1];
+      assert.strictEqual(second.hasProcessed(last.id, last.created_at), true);
+      assert.strictEqual(
+        second.getSubscriptionSince(),
+        first.getSubscriptionSince()
+      );
+      assert.strictEqual(second.getStats().recentEventsCount, TEST_CONFIG.trackLimit);
+    });
+
+    it("should see events another tracker saved to the store while running", async () => {
+      const store = new MemoryTrackerStore();
+      const first = new MessageTracker(TEST_CONFIG, store);
+      const second = new MessageTracker(TEST_CONFIG, store);
+      await first.initialize();
+      await second.initialize();
+
+      const event = createMockEvent("replica");
+      await first.markProcessed(event.id, event.created_at);
+
+      assert.strictEqual(second.hasProcessed(event.id, event.created_at), false);
+      assert.strictEqual(
+        await second.checkProcessed(event.id, event.created_at),
+        true
+      );
+      assert.strictEqual(
+        await second.checkProcessed("unseen", event.created_at),
+        false
+      );
+    });
+
+    it("should use an explicit store even when persistence is disabled", async () => {
+      const tracker = new MessageTracker(
+        { ...TEST_CONFIG, enablePersistence: false },
+        new MemoryTrackerStore()
+      );
+      await tracker.initialize();
+
+      assert.strictEqual(tracker.getStats().persistenceEnabled, true);
+    });
+
+    it("should fall back to memory-only mode when the store fails to load", async () => {
+      const store = {
+        load: async () => {
+          throw new Error("store unavailable");
+        },
+        saveTimestamp: async () => {},
+        saveSnapshot: async () => {},
+      };
+      const tracker = new MessageTracker(TEST_CONFIG, store);
+      await tracker.initialize();
+
+      assert.strictEqual(tracker.getStats().persistenceEnabled, false);
+    });
+
+    it("should keep namespaces apart", async () => {
+      const store = new MemoryTrackerStore();
+      await store.namespace("alice").saveSnapshot(["a"]);
+
+      assert.strictEqual(store.namespace("alice"), store.namespace("alice"));
+      assert.deepStrictEqual(await store.namespace("alice").load(), {
+        lastProcessed: null,
+        eventIds: ["a"],
+        appended: 0,
+      });
+      assert.strictEqual(await store.namespace("bob").load(), null);
+      assert.strictEqual(await store.load(), null);
+
+      assert.strictEqual(
+        new FileTrackerStore(TEST_CACHE_DIR).namespace("alice").dir,
+        join(TEST_CACHE_DIR, "alice")
+      );
+    });
+
+    it("should read back what the file store wrote", async () => {
+      const store = new FileTrackerStore(TEST_CACHE_DIR);
+      assert.strictEqual(await store.load(), null);
+
+      await store.saveTimestamp(1700000000);
+      await store.saveSnapshot(["a", "b"]);
+
+      assert.deepStrictEqual(await store.load(), {
+        lastProcessed: 1700000000,
+        eventIds: ["a", "b"],
+        appended: 0,
+      });
+    });
+
+    it("should keep IDs other processes saved when compacting", async () => {
+      await fs.mkdir(TEST_CACHE_DIR, { recursive: true });
+      const first = new FileTrackerStore(TEST_CACHE_DIR);
+      const second = new FileTrackerStore(TEST_CACHE_DIR);
+
+      await first.saveSnapshot(["a", "b"]);
+      await first.appendProcessed("c");
+      await second.appendProcessed("d");
+      await second.saveSnapshot(["b", "d"], 3);
+
+      assert.deepStrictEqual(await first.load(), {
+        lastProcessed: null,
+        eventIds: ["c", "b", "d"],
+        appended: 0,
+      });
+
+      const memory = new MemoryTrackerStore();
+      await memory.saveSnapshot(["a"]);
+      await memory.appendProcessed("b");
+      await memory.saveSnapshot(["c"]);
+      assert.deepStrictEqual((await memory.load()).eventIds, ["a", "b", "c"]);
+    });
+
+    it("should not compact on start", async () => {
+      await fs.mkdir(TEST_CACHE_DIR, { recursive: true });
+      const store = new FileTrackerStore(TEST_CACHE_DIR);
+      await store.saveSnapshot(["a"]);
+      await store.appendProcessed("b");
+
+      const tracker = new MessageTracker(TEST_CONFIG, store);
+      await tracker.initialize();
+
+      const journal = await fs.readFile(
+        join(TEST_CACHE_DIR, "journal.jsonl"),
+        "utf-8"
+      );
+      assert.strictEqual(journal, '"b"\n');
+      assert.strictEqual(
+        tracker.hasProcessed("b", Math.floor(Date.now() / 1000)),
+        true
+      );
+    });
+
+    it("should persist state in a SQLite store", async function () {
+      try {
+        await import("node:sqlite");
+      } catch {
+        this.skip();
+      }
+
+      const file = join(TEST_CACHE_DIR, "tracker.db");
+      const store = createTrackerStore("sqlite", file);
+      assert.strictEqual(await store.load(), null);
+
+      await store.saveTimestamp(1700000100);
+      await store.saveTimestamp(1700000000);
+      await store.saveSnapshot(["a", "b", "c"]);
+      await store.saveSnapshot(["b", "c"], 2);
+      await store.appendProcessed("d");
+      await store.namespace("other").saveSnapshot(["e"]);
+      await store.close();
+
+      const reopened = createTrackerStore("sqlite", file);
+      assert.deepStrictEqual(await reopened.load(), {
+        lastProcessed: 1700000100,
+        eventIds: ["b", "c", "d"],
+      });
+      assert.strictEqual(await reopened.has("d"), true);
+      assert.strictEqual(await reopened.has("e"), false);
+      assert.strictEqual(await reopened.namespace("other").has("e"), true);
+
+      // Rows another connection appended survive compaction
+      const other = createTrackerStore("sqlite", file);
+      await other.appendProcessed("f");
+      await reopened.saveSnapshot(["d"]);
+      assert.deepStrictEqual((await reopened.load()).eventIds, [
+        "b",
+        "c",
+        "f",
+        "d",
+      ]);
+      await other.close();
+      assert.deepStrictEqual(await reopened.namespace("other").load(), {
+        lastProcessed: null,
+        eventIds: ["e"],
+      });
+      await reopened.close();
+    });
+
+    it("should reject unknown store kinds", () => {
+      assert.throws(() => createTrackerStore("redis"), /Unknown tracker store/);
+    });
+  });
+
   describe("performance characteristics", () => {
     it("should handle large number of events efficiently", async () => {
       const tracker = new MessageTracker({
@@ -0,0 +1,116 @@
+import WebSocket from "ws";
+import {
+  finalizeEvent,
+  generateSecretKey,
+  getPublicKey,
+  nip04,
+  nip44,
+} from "nostr-tools";
+
+/**
+ * Minimal NIP-46 remote signer for tests
+ *
+ * Listens for kind 24133 requests on a relay and answers connect,
+ * get_public_key, sign_event and nip04/nip44 encrypt/decrypt with a user key
+ * that differs from its own remote signer key.
+ */
+export class MockBunker {
+  constructor(relayUrl, { secret } = {}) {
+    this.relayUrl = relayUrl;
+    this.secret = secret;
+    this.signerKey = generateSecretKey();
+    this.pubkey = getPublicKey(this.signerKey);
+    this.userKey = generateSecretKey();
+    this.userPubkey = getPublicKey(this.userKey);
+    this.requests = [];
+    this.ws = null;
+  }
+
+  get url() {
+    const params = new URLSearchParams({ relay: this.relayUrl });
+    if (this.secret) params.set("secret", this.secret);
+    return `bunker://${this.pubkey}?${params}`;
+  }
+
+  async start() {
+    this.ws = new WebSocket(this.relayUrl);
+    await new Promise((resolve, reject) => {
+      this.ws.once("open", resolve);
+      this.ws.once("error", reject);
+    });
+
+    this.ws.on("message", (data) => {
+      const [type, , event] = JSON.parse(data);
+      if (type === "EVENT") this.handleRequest(event);
+    });
+    this.ws.send(
+      JSON.stringify(["REQ", "bunker", { kinds: [24133], "#p": [this.pubkey] }])
+    );
+  }
+
+  handleRequest(event) {
+    const conversationKey = nip44.getConversationKey(
+      this.signerKey,
+      event.pubkey
+    );
+    const { id, method, params } = JSON.parse(
+      nip44.decrypt(event.content, conversationKey)
+    );
+    this.requests.push(method);
+
+    let response;
+    try {
+      response = { id, result: this.perform(method, params) };
+    } catch (error) {
+      response = { id, error: error.message };
+    }
+
+    const reply = finalizeEvent(
+      {
+        kind: 24133,
+        created_at: Math.floor(Date.now() / 1000),
+        tags: [["p", event.pubkey]],
+        content: nip44.encrypt(JSON.stringify(response), conversationKey),
+      },
+      this.signerKey
+    );
+    this.ws.send(JSON.stringify(["EVENT", reply]));
+  }
+
+  perform(method, params) {
+    switch (method) {
+      case "connect":
+        if (this.secret && params[1] !== this.secret) {
+          throw new Error("invalid secret");
+        }
+        return "ack";
+      case "get_public_key":
+        return this.userPubkey;
+      case "sign_event":
+        return JSON.stringify(
+          finalizeEvent(JSON.parse(params[0]), this.userKey)
+        );
+      case "nip44_encrypt":
+        return nip44.encrypt(
+          params[1],
+          nip44.getConversationKey(this.userKey, params[0])
+        );
+      case "nip44_decrypt":
+        return nip44.decrypt(
+          params[1],
+          nip44.getConversationKey(this.userKey, params[0])
+        );
+      case "nip04_encrypt":
+        return nip04.encrypt(this.userKey, params[0], params[1]);
+      case "nip04_decrypt":
+        return nip04.decrypt(this.userKey, params[0], params[1]);
+      default:
+        throw new Error(`unsupported method ${method}`);
+    }
+  }
+
+  stop() {
+    this.ws?.terminate();
+    this.ws = null;
+  }
+}
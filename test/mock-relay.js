@@ -0,0 +1,179 @@
+import { randomBytes } from "crypto";
+import { createServer } from "http";
+import { WebSocketServer } from "ws";
+import { verifyEvent } from "nostr-tools";
+
+/**
+ * Minimal in-process Nostr relay for tests
+ *
+ * Accepts every event, answers OK and forwards events to subscriptions whose
+ * filters match on kind, author and #p tag. Stored events are replayed on REQ.
+ * With `rejectMessage` set, every event is refused with that OK message.
+ * With `requireAuth` set, EVENT and REQ are refused with "auth-required:"
+ * until the connection answers the NIP-42 challenge sent along with the
+ * refusal; `authAllow` limits which pubkeys may authenticate.
+ * With `autoPong` false, WebSocket pings go unanswered.
+ * With `closeMessage` set, the first `closeCount` REQs (default: all) are
+ * answered with CLOSED and that message.
+ * With `info` set, that NIP-11 document is served over HTTP.
+ * With `okDelayMs` set, accepted events are forwarded at once but answered
+ * with OK only after that delay.
+ */
+export class MockRelay {
+  constructor(options = {}) {
+    this.rejectMessage = options.rejectMessage;
+    this.requireAuth = options.requireAuth || false;
+    this.authAllow = options.authAllow;
+    this.autoPong = options.autoPong ?? true;
+    this.closeMessage = options.closeMessage;
+    this.closeCount = options.closeCount ?? Infinity;
+    this.closedReqs = 0;
+    this.info = options.info;
+    this.okDelayMs = options.okDelayMs || 0;
+    this.http = null;
+    this.server = null;
+    this.url = "";
+    this.connectionCount = 0;
+    this.events = [];
+    this.subscriptions = new Map();
+  }
+
+  async start(port = 0) {
+    this.http = createServer((req, res) => {
+      if (this.info && req.headers.accept === "application/nostr+json") {
+        res.writeHead(200, { "Content-Type": "application/nostr+json" });
+        res.end(JSON.stringify(this.info));
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    this.server = new WebSocketServer({
+      server: this.http,
+      autoPong: this.autoPong,
+    });
+    await new Promise((resolve) =>
+      this.http.listen(port, "127.0.0.1", resolve)
+    );
+    this.url = `ws://127.0.0.1:${this.http.address().port}`;
+
+    this.server.on("connection", (ws) => {
+      this.connectionCount++;
+      ws.on("message", (data) => this.handleMessage(ws, JSON.parse(data)));
+      ws.on("close", () => {
+        for (const [key, sub] of this.subscriptions) {
+          if (sub.ws === ws) this.subscriptions.delete(key);
+        }
+      });
+    });
+
+    return this.url;
+  }
+
+  handleMessage(ws, [type, ...args]) {
+    if (type === "AUTH") {
+      this.handleAuth(ws, args[0]);
+      return;
+    }
+
+    if (this.requireAuth && !ws.authPubkey && type !== "CLOSE") {
+      const refusal = "auth-required: authenticate first";
+      ws.send(
+        JSON.stringify(
+          type === "EVENT"
+            ? ["OK", args[0].id, false, refusal]
+            : ["CLOSED", args[0], refusal]
+        )
+      );
+      ws.challenge = ws.challenge || randomBytes(16).toString("hex");
+      ws.send(JSON.stringify(["AUTH", ws.challenge]));
+      return;
+    }
+
+    if (type === "EVENT") {
+      const [event] = args;
+      if (this.rejectMessage) {
+        ws.send(JSON.stringify(["OK", event.id, false, this.rejectMessage]));
+        return;
+      }
+      this.events.push(event);
+      const ok = () => ws.send(JSON.stringify(["OK", event.id, true, ""]));
+      if (this.okDelayMs) {
+        setTimeout(ok, this.okDelayMs);
+      } else {
+        ok();
+      }
+      for (const sub of this.subscriptions.values()) {
+        if (sub.filters.some((filter) => matches(filter, event))) {
+          sub.ws.send(JSON.stringify(["EVENT", sub.id, event]));
+        }
+      }
+    } else if (type === "REQ") {
+      const [id, ...filters] = args;
+      if (this.closeMessage && this.closedReqs < this.closeCount) {
+        this.closedReqs++;
+        ws.send(JSON.stringify(["CLOSED", id, this.closeMessage]));
+        return;
+      }
+      this.subscriptions.set(`${id}`, { id, ws, filters });
+      for (const event of this.events) {
+        if (filters.some((filter) => matches(filter, event))) {
+          ws.send(JSON.stringify(["EVENT", id, event]));
+        }
+      }
+      ws.send(JSON.stringify(["EOSE", id]));
+    } else if (type === "CLOSE") {
+      this.subscriptions.delete(args[0]);
+    }
+  }
+
+  handleAuth(ws, event) {
+    const tag = (name) => event.tags.find((t) => t[0] === name)?.[1];
+    let message = "";
+    if (
+      event.kind !== 22242 ||
+      !verifyEvent(event) ||
+      tag("challenge") !== ws.challenge ||
+      tag("relay") !== this.url
+    ) {
+      message = "invalid: bad auth event";
+    } else if (this.authAllow && !this.authAllow.includes(event.pubkey)) {
+      message = "restricted: not a member";
+    } else {
+      ws.authPubkey = event.pubkey;
+    }
+    ws.send(JSON.stringify(["OK", event.id, !message, message]));
+  }
+
+  /**
+   * Number of currently open client connections
+   */
+  openConnections() {
+    return this.server ? this.server.clients.size : 0;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    for (const ws of this.server.clients) {
+      ws.terminate();
+    }
+    await new Promise((resolve) => this.server.close(resolve));
+    this.http.closeAllConnections();
+    await new Promise((resolve) => this.http.close(resolve));
+    this.server = null;
+    this.http = null;
+  }
+}
+
+function matches(filter, event) {
+  if (filter.kinds && !filter.kinds.includes(event.kind)) return false;
+  if (filter.authors && !filter.authors.includes(event.pubkey)) return false;
+  if (filter.since && event.created_at < filter.since) return false;
+  if (filter["#p"]) {
+    const tagged = event.tags
+      .filter((tag) => tag[0] === "p")
+      .map((tag) => tag[1]);
+    if (!filter["#p"].some((pubkey) => tagged.includes(pubkey))) return false;
+  }
+  return true;
+}
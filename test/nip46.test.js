@@ -0,0 +1,155 @@
+import assert from "assert";
+import { generateSecretKey, getPublicKey, verifyEvent } from "nostr-tools";
+import { createClient } from "../dist/client.js";
+import { Nip46Signer, parseBunkerUrl } from "../dist/nip46.js";
+import { createRelayPool } from "../dist/relayPool.js";
+import { getSigner } from "../dist/signer.js";
+import { loadConfig } from "../dist/utils.js";
+import { MockRelay } from "./mock-relay.js";
+import { MockBunker } from "./mock-bunker.js";
+
+// Test utilities
+function createConfig(relayUrl) {
+  const secretKey = generateSecretKey();
+  return {
+    privkey: Buffer.from(secretKey).toString("hex"),
+    pubkey: getPublicKey(secretKey),
+    relays: [relayUrl],
+    powDifficulty: 0,
+    powThreads: 1,
+    encryption: "nip44",
+  };
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe("NIP-46 remote signer", () => {
+  let relay;
+  let bunker;
+  const originalEnv = { ...process.env };
+
+  beforeEach(async () => {
+    process.env.NOSTRMQ_DISABLE_PERSISTENCE = "true";
+    relay = new MockRelay();
+    await relay.start();
+    bunker = new MockBunker(relay.url, { secret: "s3cret" });
+    await bunker.start();
+  });
+
+  afterEach(async () => {
+    bunker.stop();
+    await relay.stop();
+    process.env = { ...originalEnv };
+  });
+
+  it("should parse bunker URLs", () => {
+    const pubkey = "a".repeat(64);
+    assert.deepStrictEqual(
+      parseBunkerUrl(
+        `bunker://${pubkey}?relay=wss://one.example&relay=wss://two.example&secret=abc`
+      ),
+      {
+        pubkey,
+        relays: ["wss://one.example", "wss://two.example"],
+        secret: "abc",
+      }
+    );
+    assert.throws(() => parseBunkerUrl(`nostr://${pubkey}`), /bunker:\/\//);
+    assert.throws(() => parseBunkerUrl(`bunker://${pubkey}`), /relay/);
+  });
+
+  it("should resolve the user pubkey and sign events remotely", async () => {
+    const signer = new Nip46Signer(bunker.url, { timeoutMs: 5000 });
+
+    assert.strictEqual(await signer.getPublicKey(), bunker.userPubkey);
+
+    const event = await signer.signEvent({
+      kind: 1,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [],
+      content: "hello",
+    });
+    assert.strictEqual(event.pubkey, bunker.userPubkey);
+    assert.ok(verifyEvent(event));
+    assert.deepStrictEqual(bunker.requests, [
+      "connect",
+      "get_public_key",
+      "sign_event",
+    ]);
+
+    await signer.close();
+  });
+
+  it("should reject a wrong connect secret", async () => {
+    const url = bunker.url.replace("secret=s3cret", "secret=wrong");
+    const signer = new Nip46Signer(url, { timeoutMs: 5000 });
+
+    await assert.rejects(signer.getPublicKey(), /refused connect/);
+
+    await signer.close();
+  });
+
+  it("should send and receive through a bunker-backed client", async () => {
+    const signer = new Nip46Signer(bunker.url, { timeoutMs: 5000 });
+    const remote = createClient({
+      ...createConfig(relay.url),
+      privkey: undefined,
+      pubkey: bunker.pubkey,
+      signer,
+    });
+    const peerConfig = createConfig(relay.url);
+    const peer = createClient(peerConfig);
+    const toRemote = [];
+    const toPeer = [];
+
+    remote.receive({ onMessage: (payload) => toRemote.push(payload) });
+    peer.receive({
+      onMessage: (payload, sender) => toPeer.push({ payload, sender }),
+    });
+    await delay(300);
+
+    await remote.send({ target: peerConfig.pubkey, payload: { n: 1 } });
+    await peer.send({ target: bunker.userPubkey, payload: { n: 2 } });
+    await delay(300);
+
+    assert.deepStrictEqual(toPeer, [
+      { payload: { n: 1 }, sender: bunker.userPubkey },
+    ]);
+    assert.deepStrictEqual(toRemote, [{ n: 2 }]);
+    assert.ok(bunker.requests.includes("nip44_decrypt"));
+
+    await remote.close();
+    await peer.close();
+  });
+
+  it("should share one bunker session between clients from the environment", async () => {
+    process.env.NOSTR_BUNKER_URL = bunker.url;
+    process.env.NOSTR_RELAYS = relay.url;
+    delete process.env.NOSTR_PRIVKEY;
+
+    const config = loadConfig();
+    assert.strictEqual(config.signer, undefined);
+    assert.strictEqual(config.pubkey, bunker.pubkey);
+
+    // A bare pool signs nothing until a relay asks for AUTH
+    createRelayPool();
+    const client = createClient();
+    assert.strictEqual(client.signer, getSigner(loadConfig()));
+
+    assert.strictEqual(await client.getPublicKey(), bunker.userPubkey);
+    assert.strictEqual(
+      bunker.requests.filter((method) => method === "connect").length,
+      1
+    );
+
+    // Another client key is another session
+    process.env.NOSTR_BUNKER_CLIENT_KEY = Buffer.from(
+      generateSecretKey()
+    ).toString("hex");
+    assert.notStrictEqual(getSigner(loadConfig()), client.signer);
+
+    await client.close();
+  });
+});
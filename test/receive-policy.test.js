@@ -0,0 +1,822 @@
+import assert from "assert";
+import { promises as fs } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  finalizeEvent,
+  generateSecretKey,
+  getPublicKey,
+  nip19,
+  nip44,
+} from "nostr-tools";
+import { digestPayload } from "../dist/chunking.js";
+import { createClient } from "../dist/client.js";
+import { createDeadLetterStore } from "../dist/deadLetter.js";
+import { MemoryTrackerStore } from "../dist/trackerStore.js";
+import { MockRelay } from "./mock-relay.js";
+
+// Test utilities
+function createConfig(relayUrl) {
+  const secretKey = generateSecretKey();
+  return {
+    privkey: Buffer.from(secretKey).toString("hex"),
+    pubkey: getPublicKey(secretKey),
+    relays: [relayUrl],
+    powDifficulty: 0,
+    powThreads: 1,
+    encryption: "nip44",
+  };
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe("Receive policies", () => {
+  let relay;
+  let clients;
+  const originalEnv = { ...process.env };
+
+  beforeEach(async () => {
+    process.env.NOSTRMQ_DISABLE_PERSISTENCE = "true";
+    relay = new MockRelay();
+    await relay.start();
+    clients = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map((client) => client.close()));
+    await relay.stop();
+    process.env = { ...originalEnv };
+  });
+
+  function startClient(config = createConfig(relay.url)) {
+    const client = createClient(config);
+    clients.push(client);
+    return client;
+  }
+
+  describe("minPow", () => {
+    it("should drop events below the required PoW and emit rejected", async () => {
+      const receiver = startClient();
+      const sender = startClient();
+      const received = [];
+      const rejected = [];
+
+      const subscription = receiver.receive({
+        onMessage: (payload) => received.push(payload),
+        minPow: 8,
+      });
+      subscription.on("rejected", (rejection) => rejected.push(rejection));
+      await delay(200);
+
+      const target = receiver.config.pubkey;
+      const spamId = await sender.send({ target, payload: { n: 1 } });
+      await sender.send({ target, payload: { n: 2 }, pow: 8 });
+      await delay(200);
+
+      assert.deepStrictEqual(received, [{ n: 2 }]);
+      assert.strictEqual(rejected.length, 1);
+      assert.strictEqual(rejected[0].reason, "pow");
+      assert.strictEqual(rejected[0].event.id, spamId);
+      assert.strictEqual(rejected[0].sender, sender.config.pubkey);
+      assert.strictEqual(rejected[0].minPow, 8);
+    });
+
+    it("should default to the configured PoW difficulty", async () => {
+      const receiver = startClient({
+        ...createConfig(relay.url),
+        powDifficulty: 8,
+      });
+      const sender = startClient();
+      const rejected = [];
+
+      receiver
+        .receive({ onMessage: () => {} })
+        .on("rejected", (rejection) => rejected.push(rejection));
+      await delay(200);
+
+      await sender.send({ target: receiver.config.pubkey, payload: {} });
+      await delay(200);
+
+      assert.strictEqual(rejected.length, 1);
+    });
+
+    it("should accept exempt senders without PoW", async () => {
+      const receiver = startClient();
+      const trusted = startClient();
+      const received = [];
+
+      receiver.receive({
+        onMessage: (payload, sender) => received.push(sender),
+        minPow: 8,
+        powExempt: [trusted.config.pubkey],
+      });
+      await delay(200);
+
+      const target = receiver.config.pubkey;
+      await trusted.send({ target, payload: {} });
+      await trusted.send({ target, payload: {}, giftWrap: true });
+      await delay(200);
+
+      assert.deepStrictEqual(received, [
+        trusted.config.pubkey,
+        trusted.config.pubkey,
+      ]);
+    });
+
+    it("should reject invalid options", () => {
+      const client = startClient();
+
+      assert.throws(
+        () => client.receive({ onMessage: () => {}, minPow: -1 }),
+        /minPow must be a non-negative integer/
+      );
+      assert.throws(
+        () => client.receive({ onMessage: () => {}, powExempt: ["nope"] }),
+        /Invalid pubkey in powExempt/
+      );
+    });
+  });
+
+  describe("access", () => {
+    it("should only deliver messages from allowed senders", async () => {
+      const receiver = startClient();
+      const friend = startClient();
+      const stranger = startClient();
+      const received = [];
+      const rejected = [];
+
+      const subscription = receiver.receive({
+        onMessage: (payload, sender) => received.push(sender),
+        access: { allow: [nip19.npubEncode(friend.config.pubkey)] },
+      });
+      subscription.on("rejected", (rejection) => rejected.push(rejection));
+      await delay(200);
+
+      const target = receiver.config.pubkey;
+      await friend.send({ target, payload: {} });
+      await stranger.send({ target, payload: {} });
+      await stranger.send({ target, payload: {}, giftWrap: true });
+      await delay(200);
+
+      assert.deepStrictEqual(received, [friend.config.pubkey]);
+      assert.deepStrictEqual(
+        rejected.map(({ reason, sender }) => [reason, sender]),
+        [
+          ["access", stranger.config.pubkey],
+          ["access", stranger.config.pubkey],
+        ]
+      );
+      assert.deepStrictEqual(subscription.getStats(), {
+        received: 3,
+        delivered: 1,
+        failed: 0,
+        queued: 0,
+        paused: false,
+        rejected: { pow: 0, access: 2, overflow: 0, chunks: 0 },
+      });
+    });
+
+    it("should consult an async predicate", async () => {
+      const receiver = startClient();
+      const sender = startClient();
+      const checked = [];
+      const received = [];
+
+      receiver.receive({
+        onMessage: (payload) => received.push(payload),
+        access: async (pubkey, event) => {
+          checked.push(pubkey);
+          return event.created_at > 0 && received.length === 0;
+        },
+      });
+      await delay(200);
+
+      const target = receiver.config.pubkey;
+      await sender.send({ target, payload: { n: 1 } });
+      await delay(100);
+      await sender.send({ target, payload: { n: 2 } });
+      await delay(200);
+
+      assert.deepStrictEqual(received, [{ n: 1 }]);
+      assert.deepStrictEqual(checked, [
+        sender.config.pubkey,
+        sender.config.pubkey,
+      ]);
+    });
+
+    it("should reload the deny list when the policy file changes", async () => {
+      const receiver = startClient();
+      const sender = startClient();
+      const received = [];
+      const file = join(tmpdir(), `nostrmq-access-${Date.now()}.json`);
+      await fs.writeFile(file, JSON.stringify({ deny: [] }));
+
+      try {
+        receiver.receive({
+          onMessage: (payload) => received.push(payload),
+          access: { file, fileIntervalMs: 20 },
+        });
+        await delay(200);
+
+        const target = receiver.config.pubkey;
+        await sender.send({ target, payload: { n: 1 } });
+        await delay(100);
+
+        // Keep the mtime distinct on filesystems with coarse timestamps
+        await delay(1000);
+        await fs.writeFile(
+          file,
+          JSON.stringify({ deny: [nip19.npubEncode(sender.config.pubkey)] })
+        );
+        await delay(200);
+
+        await sender.send({ target, payload: { n: 2 } });
+        await delay(200);
+
+        assert.deepStrictEqual(received, [{ n: 1 }]);
+      } finally {
+        await receiver.close();
+        await fs.unlink(file);
+      }
+    });
+
+    it("should reject malformed policies", () => {
+      const client = startClient();
+
+      assert.throws(
+        () => client.receive({ onMessage: () => {}, access: { deny: "x" } }),
+        /access.deny must be an array of pubkeys/
+      );
+      assert.throws(
+        () =>
+          client.receive({
+            onMessage: () => {},
+            access: { file: "/nonexistent/policy.json" },
+          }),
+        /Failed to read access policy file/
+      );
+    });
+  });
+
+  describe("backpressure", () => {
+    it("should limit concurrent onMessage handlers", async () => {
+      const receiver = startClient();
+      const senders = [startClient(), startClient(), startClient()];
+      let running = 0;
+      let maxRunning = 0;
+      let handled = 0;
+
+      receiver.receive({
+        onMessage: async () => {
+          running++;
+          maxRunning = Math.max(maxRunning, running);
+          await delay(50);
+          running--;
+          handled++;
+        },
+        concurrency: 1,
+      });
+      await delay(200);
+
+      const target = receiver.config.pubkey;
+      await Promise.all(
+        senders.map((sender) => sender.send({ target, payload: {} }))
+      );
+      await delay(400);
+
+      assert.strictEqual(handled, 3);
+      assert.strictEqual(maxRunning, 1);
+    });
+
+    it("should bound the iterator buffer", async () => {
+      const receiver = startClient();
+      const sender = startClient();
+
+      const subscription = receiver.receive({
+        onMessage: () => {},
+        maxQueue: 2,
+        overflow: "drop-oldest",
+      });
+      const iterator = subscription[Symbol.asyncIterator]();
+      await delay(200);
+
+      for (let n = 1; n <= 4; n++) {
+        await sender.send({ target: receiver.config.pubkey, payload: { n } });
+      }
+      await delay(200);
+
+      assert.deepStrictEqual((await iterator.next()).value.payload, { n: 3 });
+      assert.deepStrictEqual((await iterator.next()).value.payload, { n: 4 });
+      assert.strictEqual(subscription.getStats().rejected.overflow, 2);
+    });
+
+    it("should bound the iterator buffer of callback-only subscriptions", async function () {
+      this.timeout(5000);
+      const receiver = startClient();
+      const sender = startClient();
+      let handled = 0;
+
+      const subscription = receiver.receive({ onMessage: () => handled++ });
+      await delay(200);
+
+      const target = receiver.config.pubkey;
+      await Promise.all(
+        Array.from({ length: 101 }, (_, n) =>
+          sender.send({ target, payload: { n } })
+        )
+      );
+      await delay(300);
+      assert.strictEqual(handled, 101);
+
+      // Only the latest messages were kept for an iterator started late
+      const iterator = subscription[Symbol.asyncIterator]();
+      let buffered = 0;
+      while (
+        await Promise.race([iterator.next().then(() => true), delay(100)])
+      ) {
+        buffered++;
+      }
+      assert.strictEqual(buffered, 100);
+    });
+
+    it("should drop partial chunked messages over the limits", async () => {
+      const receiver = startClient();
+      const sender = startClient();
+      const received = [];
+      const rejected = [];
+
+      const subscription = receiver.receive({
+        onMessage: (payload) => received.push(payload),
+        chunkLimits: { maxBytes: 100 },
+      });
+      subscription.on("rejected", (rejection) => rejected.push(rejection));
+      await delay(200);
+
+      const target = receiver.config.pubkey;
+      const eventId = await sender.send({
+        target,
+        payload: "x".repeat(300),
+        chunkSize: 60,
+      });
+      await sender.send({ target, payload: "small", chunkSize: 60 });
+      await delay(300);
+
+      assert.deepStrictEqual(received, ["small"]);
+      assert.strictEqual(rejected.length, 1);
+      assert.strictEqual(rejected[0].reason, "chunks");
+      assert.strictEqual(rejected[0].event.id, eventId);
+      assert.strictEqual(rejected[0].sender, sender.config.pubkey);
+      assert.strictEqual(subscription.getStats().rejected.chunks, 1);
+    });
+
+    it("should reject invalid options", () => {
+      const client = startClient();
+
+      assert.throws(
+        () => client.receive({ onMessage: () => {}, concurrency: 0 }),
+        /concurrency must be a positive integer/
+      );
+      assert.throws(
+        () => client.receive({ onMessage: () => {}, overflow: "block" }),
+        /overflow must be/
+      );
+    });
+  });
+
+  describe("retries", () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(join(tmpdir(), "nostrmq-dead-letter-"));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it("should retry a failing handler with backoff", async () => {
+      const receiver = startClient();
+      const sender = startClient();
+      let attempts = 0;
+
+      const subscription = receiver.receive({
+        onMessage: () => {
+          if (++attempts < 2) throw new Error("temporary failure");
+        },
+        retry: { maxAttempts: 3, backoffMs: 50 },
+      });
+      await delay(200);
+
+      await sender.send({ target: receiver.config.pubkey, payload: {} });
+      await delay(300);
+
+      assert.strictEqual(attempts, 2);
+      assert.strictEqual(subscription.getStats().failed, 0);
+    });
+
+    it("should dead-letter messages that keep failing and replay them", async () => {
+      const receiver = startClient();
+      const sender = startClient();
+      const store = createDeadLetterStore(dir);
+      let broken = true;
+      const handled = [];
+
+      const subscription = receiver.receive({
+        onMessage: (payload) => {
+          if (broken) throw new Error("database down");
+          handled.push(payload);
+        },
+        retry: { maxAttempts: 2, backoffMs: 10 },
+        deadLetter: store,
+      });
+      await delay(200);
+
+      await sender.send({ target: receiver.config.pubkey, payload: { n: 1 } });
+      await delay(300);
+
+      const letters = await store.list();
+      assert.strictEqual(letters.length, 1);
+      assert.deepStrictEqual(letters[0].payload, { n: 1 });
+      assert.strictEqual(letters[0].sender, sender.config.pubkey);
+      assert.strictEqual(letters[0].recipient, receiver.config.pubkey);
+      assert.strictEqual(letters[0].error, "database down");
+      assert.strictEqual(letters[0].attempts, 2);
+      assert.strictEqual(subscription.getStats().failed, 1);
+
+      assert.deepStrictEqual(await subscription.replayDeadLetters(), {
+        replayed: 0,
+        failed: 1,
+      });
+      assert.strictEqual((await store.list())[0].attempts, 4);
+
+      broken = false;
+      assert.deepStrictEqual(await subscription.replayDeadLetters(), {
+        replayed: 1,
+        failed: 0,
+      });
+      assert.deepStrictEqual(handled, [{ n: 1 }]);
+      assert.deepStrictEqual(await store.list(), []);
+    });
+
+    it("should reject invalid options", async () => {
+      const client = startClient();
+
+      assert.throws(
+        () =>
+          client.receive({ onMessage: () => {}, retry: { maxAttempts: 0 } }),
+        /retry.maxAttempts must be a positive integer/
+      );
+      assert.throws(
+        () => client.receive({ onMessage: () => {}, deadLetter: {} }),
+        /deadLetter must be true or a store/
+      );
+      await assert.rejects(
+        client.receive({ onMessage: () => {} }).replayDeadLetters(),
+        /requires the deadLetter option/
+      );
+      assert.throws(
+        () => client.receive({ onMessage: () => {}, delivery: "exactly-once" }),
+        /delivery must be "at-most-once" or "at-least-once"/
+      );
+    });
+
+    it("should redeliver failed messages after a restart in at-least-once mode", async () => {
+      const receiver = startClient();
+      const sender = startClient();
+      const trackerStore = new MemoryTrackerStore();
+      const attempts = [];
+
+      const first = receiver.receive({
+        onMessage: (payload) => {
+          attempts.push(payload);
+          throw new Error("database down");
+        },
+        delivery: "at-least-once",
+        trackerStore,
+      });
+      await delay(200);
+
+      const target = receiver.config.pubkey;
+      await sender.send({ target, payload: { n: 1 } });
+      await delay(200);
+      first.close();
+
+      const handled = [];
+      receiver.receive({
+        onMessage: (payload) => handled.push(payload),
+        delivery: "at-least-once",
+        trackerStore,
+      });
+      await delay(300);
+
+      assert.deepStrictEqual(attempts, [{ n: 1 }]);
+      assert.deepStrictEqual(handled, [{ n: 1 }]);
+    });
+
+    it("should redeliver dropped chunked messages after a restart in at-least-once mode", async () => {
+      const receiver = startClient();
+      const sender = startClient();
+      const trackerStore = new MemoryTrackerStore();
+      const received = [];
+
+      const first = receiver.receive({
+        onMessage: (payload) => received.push(payload),
+        delivery: "at-least-once",
+        trackerStore,
+        chunkLimits: { maxBytes: 100 },
+      });
+      await delay(200);
+
+      const target = receiver.config.pubkey;
+      await sender.send({ target, payload: "x".repeat(300), chunkSize: 60 });
+      // A newer message must not move the watermark past the dropped one
+      await delay(1100);
+      await sender.send({ target, payload: "small" });
+      await delay(200);
+      first.close();
+      assert.deepStrictEqual(received, ["small"]);
+
+      receiver.receive({
+        onMessage: (payload) => received.push(payload),
+        delivery: "at-least-once",
+        trackerStore,
+      });
+      await delay(300);
+
+      assert.deepStrictEqual(received, ["small", "x".repeat(300)]);
+    });
+
+    it("should not hold the watermark for chunks that fail verification", async () => {
+      const receiver = startClient();
+      const sender = startClient();
+      const trackerStore = new MemoryTrackerStore();
+      const received = [];
+
+      // Two stored chunks whose data does not match the digest
+      const target = receiver.config.pubkey;
+      const secretKey = Buffer.from(sender.config.privkey, "hex");
+      const conversationKey = nip44.getConversationKey(secretKey, target);
+      const chunk = {
+        messageId: "corrupted",
+        total: 2,
+        digest: digestPayload('"original"'),
+        encoding: "json",
+      };
+      for (const [index, payload] of ['"tamp', 'ered"'].entries()) {
+        const content = JSON.stringify({
+          target,
+          response: sender.config.pubkey,
+          payload,
+          chunk: { ...chunk, index },
+        });
+        relay.events.push(
+          finalizeEvent(
+            {
+              kind: 30072,
+              created_at: Math.floor(Date.now() / 1000) - 10,
+              tags: [
+                ["p", target],
+                ["d", `corrupted-${index}`],
+              ],
+              content: nip44.encrypt(content, conversationKey),
+            },
+            secretKey
+          )
+        );
+      }
+
+      receiver.receive({
+        onMessage: (payload) => received.push(payload),
+        delivery: "at-least-once",
+        trackerStore,
+      });
+      await delay(200);
+      await sender.send({ target, payload: "trigger" });
+      await delay(300);
+
+      const newest = relay.events[relay.events.length - 1];
+      const state = await trackerStore.namespace(target).load();
+      assert.deepStrictEqual(received, ["trigger"]);
+      assert.strictEqual(state.lastProcessed, newest.created_at);
+    });
+  });
+
+  describe("replay tracking", () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(join(tmpdir(), "nostrmq-tracking-"));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it("should keep each receiving identity's state apart", async () => {
+      const client = startClient();
+      const sender = startClient();
+      const other = createConfig(relay.url);
+      const trackerStore = new MemoryTrackerStore();
+
+      client.receive({ onMessage: () => {}, trackerStore });
+      client.receive({ onMessage: () => {}, privkey: other.privkey, trackerStore });
+      await delay(200);
+
+      const eventId = await sender.send({
+        target: client.config.pubkey,
+        payload: { n: 1 },
+      });
+      await delay(200);
+
+      const own = await trackerStore.namespace(client.config.pubkey).load();
+      assert.deepStrictEqual(own.eventIds, [eventId]);
+      assert.strictEqual(await trackerStore.namespace(other.pubkey).load(), null);
+    });
+
+    it("should apply the tracking override", async () => {
+      const receiver = startClient();
+      const sender = startClient();
+
+      receiver.receive({
+        onMessage: () => {},
+        tracking: { cacheDir: dir, enablePersistence: true },
+      });
+      await delay(200);
+
+      const eventId = await sender.send({
+        target: receiver.config.pubkey,
+        payload: {},
+      });
+      await delay(200);
+
+      // The directory is used as given
+      const journal = await fs.readFile(join(dir, "journal.jsonl"), "utf-8");
+      assert.strictEqual(journal, `${JSON.stringify(eventId)}\n`);
+    });
+
+    it("should warn when identities share a store without namespaces", async () => {
+      const client = startClient();
+      const other = createConfig(relay.url);
+      const store = new MemoryTrackerStore();
+      const trackerStore = {
+        load: () => store.load(),
+        saveTimestamp: (timestamp) => store.saveTimestamp(timestamp),
+        saveSnapshot: (eventIds, limit) => store.saveSnapshot(eventIds, limit),
+      };
+      const warnings = [];
+      const warn = console.warn;
+      console.warn = (...args) => warnings.push(args.join(" "));
+
+      try {
+        client.receive({ onMessage: () => {}, trackerStore });
+        await delay(200);
+        client.receive({ onMessage: () => {}, trackerStore });
+        await delay(200);
+        assert.ok(!warnings.some((w) => w.includes("Replay state is shared")));
+
+        client.receive({
+          onMessage: () => {},
+          privkey: other.privkey,
+          trackerStore,
+        });
+        await delay(200);
+      } finally {
+        console.warn = warn;
+      }
+
+      assert.ok(
+        warnings.some((w) =>
+          w.includes("Replay state is shared by 2 receiving identities")
+        )
+      );
+    });
+
+    it("should move the state earlier versions kept in the cache directory", async () => {
+      const receiver = startClient();
+      const other = createConfig(relay.url);
+      const legacy = { lastProcessed: 1700000000, updatedAt: 1700000000 };
+      await fs.writeFile(join(dir, "timestamp.json"), JSON.stringify(legacy));
+      await fs.writeFile(join(dir, "journal.jsonl"), '"legacy"\n');
+      process.env.NOSTRMQ_CACHE_DIR = dir;
+      delete process.env.NOSTRMQ_DISABLE_PERSISTENCE;
+
+      // Other identities start afresh
+      receiver.receive({ onMessage: () => {}, privkey: other.privkey });
+      await delay(200);
+      await fs.access(join(dir, "timestamp.json"));
+
+      receiver.receive({ onMessage: () => {} });
+      await delay(200);
+
+      const stateDir = join(dir, receiver.config.pubkey);
+      const timestamp = await fs.readFile(
+        join(stateDir, "timestamp.json"),
+        "utf-8"
+      );
+      assert.deepStrictEqual(JSON.parse(timestamp), legacy);
+      assert.strictEqual(
+        await fs.readFile(join(stateDir, "journal.jsonl"), "utf-8"),
+        '"legacy"\n'
+      );
+      assert.deepStrictEqual(
+        (await fs.readdir(dir)).sort(),
+        [other.pubkey, receiver.config.pubkey].sort()
+      );
+    });
+
+    it("should report corrupted replay state", async () => {
+      const receiver = startClient();
+      await fs.writeFile(join(dir, "timestamp.json"), '{"lastPro');
+
+      const subscription = receiver.receive({
+        onMessage: () => {},
+        tracking: { cacheDir: dir, enablePersistence: true },
+      });
+      const [corrupted] = await new Promise((resolve) =>
+        subscription.on("trackerCorrupted", (...args) => resolve(args))
+      );
+
+      assert.strictEqual(corrupted.length, 1);
+      assert.match(corrupted[0], /timestamp\.json\.corrupt-\d+$/);
+      await fs.access(corrupted[0]);
+    });
+  });
+
+  describe("subscription lifecycle", () => {
+    let closingRelay;
+
+    afterEach(async () => {
+      await closingRelay?.stop();
+      closingRelay = null;
+    });
+
+    async function startClosingRelay(options) {
+      closingRelay = new MockRelay(options);
+      await closingRelay.start();
+      return closingRelay;
+    }
+
+    it("should resubscribe with backoff after a rate-limited CLOSED", async () => {
+      await startClosingRelay({
+        closeMessage: "rate-limited: slow down",
+        closeCount: 1,
+      });
+      const receiver = startClient(createConfig(closingRelay.url));
+      const sender = startClient(createConfig(closingRelay.url));
+      const received = [];
+      const closed = [];
+
+      const subscription = receiver.receive({
+        onMessage: (payload) => received.push(payload),
+      });
+      subscription.on("relayClosed", (info) => closed.push(info));
+      await subscription.whenCaughtUp();
+
+      await sender.send({ target: receiver.config.pubkey, payload: { n: 1 } });
+      await delay(200);
+
+      assert.deepStrictEqual(closed, [
+        {
+          relay: closingRelay.url,
+          message: "rate-limited: slow down",
+          retryInMs: 1000,
+        },
+      ]);
+      assert.deepStrictEqual(received, [{ n: 1 }]);
+    });
+
+    it("should give up on relays that block the subscription", async () => {
+      await startClosingRelay({ closeMessage: "blocked: not welcome" });
+      const receiver = startClient({
+        ...createConfig(relay.url),
+        relays: [relay.url, closingRelay.url],
+      });
+      const closed = [];
+      let caughtUp = 0;
+
+      const subscription = receiver.receive({ onMessage: () => {} });
+      subscription.on("relayClosed", (info) => closed.push(info));
+      subscription.on("caughtUp", () => caughtUp++);
+      await subscription.whenCaughtUp();
+      await delay(1200);
+
+      assert.deepStrictEqual(closed, [
+        { relay: closingRelay.url, message: "blocked: not welcome" },
+      ]);
+      assert.strictEqual(closingRelay.closedReqs, 1);
+      assert.strictEqual(caughtUp, 1);
+    });
+
+    it("should reject whenCaughtUp() once the subscription is closed", async () => {
+      const receiver = startClient();
+      const subscription = receiver.receive({ onMessage: () => {} });
+
+      const caughtUp = subscription.whenCaughtUp();
+      subscription.close();
+
+      await assert.rejects(caughtUp, /closed before catching up/);
+    });
+  });
+});
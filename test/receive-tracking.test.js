@@ -167,7 +167,7 @@ describe("Receive with MessageTracker Integration", () => {
         const filter = subscription.filters[0];
 
         // Should have kinds and #p filters
-        assert.deepStrictEqual(filter.kinds, [30072]);
+        assert.deepStrictEqual(filter.kinds, [30072, 1059]);
         assert.deepStrictEqual(filter["#p"], [TEST_PUBKEY]);
 
         handle.close();
@@ -211,7 +211,7 @@ describe("Receive with MessageTracker Integration", () => {
         const filter = subscriptions[0].filters[0];
 
         // Should still have basic filters even without tracking
-        assert.deepStrictEqual(filter.kinds, [30072]);
+        assert.deepStrictEqual(filter.kinds, [30072, 1059]);
         assert.deepStrictEqual(filter["#p"], [TEST_PUBKEY]);
 
         handle.close();
@@ -472,7 +472,7 @@ describe("Receive with MessageTracker Integration", () => {
         const filter = subscription.filters[0];
 
         // Verify filter structure
-        assert.deepStrictEqual(filter.kinds, [30072]);
+        assert.deepStrictEqual(filter.kinds, [30072, 1059]);
         assert.deepStrictEqual(filter["#p"], [TEST_PUBKEY]);
         assert(typeof filter.since === "number");
         assert(filter.since > 0);
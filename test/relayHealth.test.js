@@ -0,0 +1,98 @@
+import assert from "assert";
+import { RelayHealth } from "../dist/relayHealth.js";
+
+// Test utilities
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+const GOOD = "wss://good.example.com";
+const SLOW = "wss://slow.example.com";
+const BAD = "wss://bad.example.com";
+
+describe("RelayHealth", () => {
+  it("should give unknown relays a perfect score", () => {
+    const health = new RelayHealth();
+
+    assert.deepStrictEqual(health.score(GOOD), {
+      url: GOOD,
+      score: 1,
+      demoted: false,
+      acceptanceRate: 1,
+      latencyMs: undefined,
+      published: 0,
+      disconnects: 0,
+      errors: 0,
+    });
+  });
+
+  it("should rank relays by acceptance, latency and stability", () => {
+    const health = new RelayHealth();
+    health.recordPublish(GOOD, true, 100);
+    health.recordPublish(SLOW, true, 4000);
+    health.recordPublish(BAD, true, 100);
+    health.recordDisconnect(BAD);
+    health.recordDisconnect(BAD);
+    health.recordError(BAD);
+
+    const scores = [GOOD, SLOW, BAD].map((url) => health.score(url));
+    assert.ok(scores[0].score > scores[1].score);
+    assert.ok(scores[1].score > scores[2].score);
+    assert.strictEqual(scores[1].demoted, false);
+    assert.strictEqual(scores[2].demoted, true);
+    assert.strictEqual(scores[2].disconnects, 2);
+    assert.strictEqual(scores[2].errors, 1);
+  });
+
+  it("should demote a relay only after repeated rejections", () => {
+    const health = new RelayHealth();
+    health.recordPublish(BAD, false, 100);
+    assert.strictEqual(health.score(BAD).demoted, false);
+
+    health.recordPublish(BAD, false, 100);
+    health.recordPublish(BAD, false, 100);
+    health.recordPublish(BAD, false, 100);
+
+    const { acceptanceRate, published, demoted } = health.score(BAD);
+    assert.ok(Math.abs(acceptanceRate - 0.4096) < 1e-9);
+    assert.strictEqual(published, 4);
+    assert.strictEqual(demoted, true);
+  });
+
+  it("should forget disconnects and errors outside the window", async () => {
+    const health = new RelayHealth({ windowMs: 50 });
+    health.recordDisconnect(BAD);
+    health.recordError(BAD);
+
+    await delay(80);
+
+    const { disconnects, errors, score } = health.score(BAD);
+    assert.strictEqual(disconnects, 0);
+    assert.strictEqual(errors, 0);
+    assert.strictEqual(score, 1);
+  });
+
+  it("should select the healthiest relays and fall back to demoted ones", () => {
+    const health = new RelayHealth();
+    for (let i = 0; i < 4; i++) health.recordPublish(BAD, false, 5000);
+    health.recordPublish(SLOW, true, 4000);
+
+    assert.deepStrictEqual(health.select([BAD, SLOW, GOOD], 1), [GOOD]);
+    assert.deepStrictEqual(health.select([BAD, SLOW, GOOD], 2), [GOOD, SLOW]);
+    assert.deepStrictEqual(health.select([BAD, SLOW, GOOD], 3), [
+      GOOD,
+      SLOW,
+      BAD,
+    ]);
+  });
+
+  it("should probe demoted relays once per interval", async () => {
+    const health = new RelayHealth({ probeIntervalMs: 50 });
+    for (let i = 0; i < 4; i++) health.recordPublish(BAD, false, 5000);
+
+    assert.deepStrictEqual(health.select([BAD, GOOD], 1), [GOOD]);
+    await delay(80);
+    assert.deepStrictEqual(health.select([BAD, GOOD], 1), [GOOD, BAD]);
+    assert.deepStrictEqual(health.select([BAD, GOOD], 1), [GOOD]);
+  });
+});
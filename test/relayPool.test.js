@@ -0,0 +1,710 @@
+import assert from "assert";
+import { promises as fs } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { finalizeEvent, generateSecretKey, getPublicKey } from "nostr-tools";
+import { createClient } from "../dist/client.js";
+import { OutboundQueue } from "../dist/outboundQueue.js";
+import { createRelayPool } from "../dist/relayPool.js";
+import { MockRelay } from "./mock-relay.js";
+
+// Nothing listens on port 1, so connections are refused immediately
+const DEAD_RELAY = "ws://127.0.0.1:1";
+
+// Test utilities
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createEvent(secretKey = generateSecretKey()) {
+  return finalizeEvent(
+    {
+      kind: 1,
+      created_at: Math.floor(Date.now() / 1000),
+      tags: [],
+      content: "queued",
+    },
+    secretKey
+  );
+}
+
+function createConfig(relays) {
+  const secretKey = generateSecretKey();
+  return {
+    privkey: Buffer.from(secretKey).toString("hex"),
+    pubkey: getPublicKey(secretKey),
+    relays,
+    powDifficulty: 0,
+    powThreads: 1,
+    encryption: "nip44",
+  };
+}
+
+describe("Relay pool quorum", () => {
+  let relay;
+  let rejectingRelay;
+  let clients;
+  const originalEnv = { ...process.env };
+
+  beforeEach(async () => {
+    process.env.NOSTRMQ_DISABLE_PERSISTENCE = "true";
+    relay = new MockRelay();
+    rejectingRelay = new MockRelay({ rejectMessage: "blocked: test" });
+    await relay.start();
+    await rejectingRelay.start();
+    clients = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map((client) => client.close()));
+    await relay.stop();
+    await rejectingRelay.stop();
+    process.env = { ...originalEnv };
+  });
+
+  function startClient(relays) {
+    const client = createClient(createConfig(relays), {
+      maxReconnectAttempts: 0,
+    });
+    clients.push(client);
+    return client;
+  }
+
+  it("should connect when the first relay to settle fails", async () => {
+    const client = startClient([DEAD_RELAY, relay.url]);
+
+    await client.connect();
+
+    assert.deepStrictEqual(client.getRelayPool().getConnectedRelays(), [
+      relay.url,
+    ]);
+  });
+
+  it("should fail when fewer than minConnected relays connect", async () => {
+    const client = startClient([DEAD_RELAY, relay.url]);
+
+    await assert.rejects(
+      client.connect(undefined, { minConnected: 2 }),
+      /Failed to connect to 2 of 2 relays: ws:\/\/127\.0\.0\.1:1/
+    );
+    await assert.rejects(
+      client.connect(undefined, { minConnected: 3 }),
+      /minConnected is 3 but only 2 relay\(s\) are configured/
+    );
+  });
+
+  it("should report each relay's OK response", async () => {
+    const client = startClient([relay.url, rejectingRelay.url, DEAD_RELAY]);
+    const target = getPublicKey(generateSecretKey());
+
+    const receipt = await client.sendWithReceipt({ target, payload: {} });
+
+    assert.strictEqual(receipt.accepted, 1);
+    assert.deepStrictEqual(receipt.relays, [
+      { url: relay.url, accepted: true, message: "" },
+      { url: rejectingRelay.url, accepted: false, message: "blocked: test" },
+      { url: DEAD_RELAY, accepted: false, message: "not connected" },
+    ]);
+    assert.strictEqual(relay.events[0].id, receipt.eventId);
+  });
+
+  it("should fail when fewer than quorum relays accept", async () => {
+    const client = startClient([relay.url, rejectingRelay.url]);
+    const target = getPublicKey(generateSecretKey());
+
+    await assert.rejects(
+      client.send({ target, payload: {}, quorum: 2 }),
+      /accepted by 1 of 2 required relays: .* \(blocked: test\)/
+    );
+    await assert.rejects(
+      client.send({ target, payload: {}, quorum: 3 }),
+      /quorum is 3 but only 2 relay\(s\) are configured/
+    );
+  });
+
+  it("should demote relays that keep rejecting events", async () => {
+    const client = startClient([rejectingRelay.url, relay.url]);
+    const target = getPublicKey(generateSecretKey());
+
+    for (let i = 0; i < 4; i++) {
+      await client.send({ target, payload: { i } });
+    }
+
+    const scores = client.getRelayPool().getRelayScores();
+    assert.deepStrictEqual(
+      scores.map(({ url, demoted }) => [url, demoted]),
+      [
+        [relay.url, false],
+        [rejectingRelay.url, true],
+      ]
+    );
+    assert.strictEqual(scores[0].published, 4);
+    assert.ok(scores[0].latencyMs < 1000);
+
+    const receipt = await client.sendWithReceipt({
+      target,
+      payload: {},
+      maxRelays: 1,
+    });
+    assert.deepStrictEqual(
+      receipt.relays.map(({ url }) => url),
+      [relay.url]
+    );
+  });
+
+  describe("outbox model", () => {
+    let inboxRelay;
+
+    beforeEach(async () => {
+      inboxRelay = new MockRelay();
+      await inboxRelay.start();
+    });
+
+    afterEach(async () => {
+      await inboxRelay.stop();
+    });
+
+    function publishRelayList(secretKey, tags, kind = 10002, url = relay.url) {
+      const pool = createRelayPool(createConfig([url]));
+      return pool
+        .connect()
+        .then(() =>
+          pool.publish(
+            finalizeEvent(
+              {
+                kind,
+                created_at: Math.floor(Date.now() / 1000),
+                tags,
+                content: "",
+              },
+              secretKey
+            )
+          )
+        )
+        .finally(() => pool.disconnect());
+    }
+
+    it("should announce the inbox relays of a subscription", async () => {
+      const receiver = startClient([inboxRelay.url]);
+
+      receiver.receive({ onMessage: () => {}, publishInbox: true });
+      await delay(300);
+
+      const [list] = inboxRelay.events.filter((event) => event.kind === 10050);
+      assert.strictEqual(list.pubkey, receiver.config.pubkey);
+      assert.deepStrictEqual(list.tags, [["relay", inboxRelay.url]]);
+    });
+
+    it("should add subscription relays to the existing inbox list", async () => {
+      const receiver = startClient([inboxRelay.url]);
+      const receiverKey = Buffer.from(receiver.config.privkey, "hex");
+
+      await publishRelayList(
+        receiverKey,
+        [["relay", "wss://other.example.com"]],
+        10050,
+        inboxRelay.url
+      );
+      receiver.receive({ onMessage: () => {}, publishInbox: true });
+      receiver.receive({
+        onMessage: () => {},
+        relays: [inboxRelay.url, relay.url],
+        publishInbox: true,
+      });
+      await delay(500);
+
+      const lists = inboxRelay.events.filter((event) => event.kind === 10050);
+      const newest = lists.reduce((a, b) =>
+        b.created_at > a.created_at ? b : a
+      );
+      assert.deepStrictEqual(newest.tags, [
+        ["relay", "wss://other.example.com"],
+        ["relay", inboxRelay.url],
+        ["relay", relay.url],
+      ]);
+
+      // Nothing to add, so nothing is published
+      const count = lists.length;
+      receiver.receive({ onMessage: () => {}, publishInbox: true });
+      await delay(300);
+      assert.strictEqual(
+        inboxRelay.events.filter((event) => event.kind === 10050).length,
+        count
+      );
+    });
+
+    it("should add the secure relays the target reads from", async () => {
+      const receiver = startClient([inboxRelay.url]);
+      const receiverKey = Buffer.from(receiver.config.privkey, "hex");
+      const sender = startClient([relay.url]);
+      // Nothing listens on these ports, so they fail without a DNS lookup
+      const secure = [1, 2, 3, 4, 5].map((port) => `wss://127.0.0.1:${port}`);
+
+      await publishRelayList(receiverKey, [
+        ["r", inboxRelay.url, "read"],
+        ["r", "wss://write.example.com", "write"],
+        ...secure.map((url) => ["r", url]),
+      ]);
+
+      const receipt = await sender.sendWithReceipt({
+        target: receiver.config.pubkey,
+        payload: { hello: "outbox" },
+        outbox: true,
+      });
+
+      // Insecure relays are skipped and at most 3 are added by default
+      assert.deepStrictEqual(
+        receipt.relays.map(({ url }) => url),
+        [relay.url, ...secure.slice(0, 3)]
+      );
+
+      const limited = await sender.sendWithReceipt({
+        target: receiver.config.pubkey,
+        payload: { hello: "outbox" },
+        outbox: true,
+        maxOutboxRelays: 1,
+      });
+      assert.deepStrictEqual(
+        limited.relays.map(({ url }) => url),
+        [relay.url, secure[0]]
+      );
+
+      await assert.rejects(
+        sender.send({
+          target: receiver.config.pubkey,
+          payload: {},
+          outbox: true,
+          maxOutboxRelays: -1,
+        }),
+        /maxOutboxRelays must be a non-negative integer/
+      );
+
+      // Lookups are cached
+      await publishRelayList(receiverKey, [["r", relay.url]]);
+      assert.deepStrictEqual(
+        await sender.getInboxRelays(receiver.config.pubkey),
+        [inboxRelay.url, ...secure]
+      );
+    });
+  });
+
+  describe("relay information (NIP-11)", () => {
+    let infoRelay;
+
+    afterEach(async () => {
+      await infoRelay.stop();
+    });
+
+    async function startInfoRelay(limitation) {
+      infoRelay = new MockRelay({ info: { name: "limited", limitation } });
+      await infoRelay.start();
+      return infoRelay;
+    }
+
+    it("should fetch and cache the document on connect", async () => {
+      await startInfoRelay({ max_subscriptions: 5 });
+      const client = startClient([infoRelay.url]);
+
+      await client.connect();
+      const pool = client.getRelayPool();
+      const info = await pool.getRelayInfo(infoRelay.url);
+
+      assert.deepStrictEqual(info, {
+        name: "limited",
+        limitation: { max_subscriptions: 5 },
+      });
+      assert.strictEqual(
+        pool.getRelayInfo(infoRelay.url),
+        pool.getRelayInfo(infoRelay.url)
+      );
+      assert.deepStrictEqual(pool.getRelayStatus(infoRelay.url).info, info);
+      assert.strictEqual(await pool.getRelayInfo(relay.url), null);
+    });
+
+    it("should raise PoW to the relay's minimum", async () => {
+      await startInfoRelay({ min_pow_difficulty: 4 });
+      const client = startClient([infoRelay.url]);
+      const target = getPublicKey(generateSecretKey());
+
+      await client.send({ target, payload: {} });
+
+      const nonce = infoRelay.events[0].tags.find((tag) => tag[0] === "nonce");
+      assert.strictEqual(nonce[2], "4");
+    });
+
+    it("should skip relays that require more PoW than maxAutoPow", async () => {
+      await startInfoRelay({ min_pow_difficulty: 4 });
+      const client = startClient([infoRelay.url, relay.url]);
+      const target = getPublicKey(generateSecretKey());
+
+      const receipt = await client.sendWithReceipt({
+        target,
+        payload: {},
+        maxAutoPow: 2,
+      });
+
+      assert.deepStrictEqual(
+        receipt.relays.map(({ url }) => url),
+        [relay.url]
+      );
+      assert.strictEqual(infoRelay.events.length, 0);
+      assert.ok(!relay.events[0].tags.some((tag) => tag[0] === "nonce"));
+
+      await assert.rejects(
+        client.send({
+          target,
+          payload: {},
+          relays: [infoRelay.url],
+          maxAutoPow: 2,
+        }),
+        /No relay can take this message: .*min_pow_difficulty 4, limit 2/
+      );
+
+      // An explicit difficulty counts as the limit too
+      await client.send({
+        target,
+        payload: {},
+        relays: [infoRelay.url],
+        pow: 4,
+        maxAutoPow: 0,
+      });
+      assert.strictEqual(infoRelay.events.length, 1);
+    });
+
+    it("should refuse payloads over the relay's size limit", async () => {
+      await startInfoRelay({ max_message_length: 2000 });
+      const client = startClient([infoRelay.url]);
+      const target = getPublicKey(generateSecretKey());
+
+      await assert.rejects(
+        client.send({ target, payload: "x".repeat(5000) }),
+        /No relay can take this message: .*max_message_length 2000/
+      );
+      await client.send({ target, payload: "small" });
+      assert.strictEqual(infoRelay.events.length, 1);
+    });
+
+    it("should skip relays that require payment", async () => {
+      await startInfoRelay({ payment_required: true });
+      const client = startClient([infoRelay.url, relay.url]);
+      const target = getPublicKey(generateSecretKey());
+
+      const receipt = await client.sendWithReceipt({ target, payload: {} });
+
+      assert.deepStrictEqual(
+        receipt.relays.map(({ url }) => url),
+        [relay.url]
+      );
+      assert.strictEqual(infoRelay.events.length, 0);
+    });
+  });
+
+  describe("NIP-42 authentication", () => {
+    let authRelay;
+
+    afterEach(async () => {
+      await authRelay.stop();
+    });
+
+    it("should authenticate and retry subscriptions and events", async () => {
+      authRelay = new MockRelay({ requireAuth: true });
+      await authRelay.start();
+      const receiver = startClient([authRelay.url]);
+      const sender = startClient([authRelay.url]);
+      const received = [];
+
+      receiver.receive({ onMessage: (payload) => received.push(payload) });
+      await delay(300);
+
+      const receipt = await sender.sendWithReceipt({
+        target: receiver.config.pubkey,
+        payload: { hello: "private relay" },
+      });
+      await delay(200);
+
+      assert.strictEqual(receipt.accepted, 1);
+      assert.deepStrictEqual(received, [{ hello: "private relay" }]);
+      const status = receiver.getRelayPool().getRelayStatus(authRelay.url);
+      assert.strictEqual(status.auth, "authenticated");
+      assert.strictEqual(status.authPubkey, receiver.config.pubkey);
+    });
+
+    it("should report a refused authentication", async () => {
+      authRelay = new MockRelay({ requireAuth: true, authAllow: [] });
+      await authRelay.start();
+      const client = startClient([authRelay.url]);
+      const target = getPublicKey(generateSecretKey());
+
+      await assert.rejects(
+        client.send({ target, payload: {} }),
+        /rejected by all relays: .*Authentication failed: restricted: not a member/
+      );
+      const status = client.getRelayPool().getRelayStatus(authRelay.url);
+      assert.strictEqual(status.auth, "failed");
+      assert.strictEqual(status.authError, "restricted: not a member");
+    });
+  });
+
+  describe("outbound queue", () => {
+    let dir;
+    let pools;
+    let queueClients;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(join(tmpdir(), "nostrmq-outbound-"));
+      pools = [];
+      queueClients = [];
+    });
+
+    afterEach(async () => {
+      await Promise.all(queueClients.map((client) => client.close()));
+      await Promise.all(pools.map((pool) => pool.disconnect()));
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    function startQueueClient(relays, options) {
+      const client = createClient(createConfig(relays), {
+        baseReconnectDelay: 100,
+        outboundQueue: true,
+        ...options,
+      });
+      queueClients.push(client);
+      return client;
+    }
+
+    /**
+     * Stop the relay so the client starts reconnecting to it
+     */
+    async function dropRelay(client) {
+      await client.connect();
+      const port = Number(new URL(relay.url).port);
+      await relay.stop();
+      await delay(50);
+      return port;
+    }
+
+    it("should count events queued for a reconnecting relay as pending in send()", async () => {
+      const client = startQueueClient([relay.url, rejectingRelay.url]);
+      const port = await dropRelay(client);
+      const target = getPublicKey(generateSecretKey());
+
+      const receipt = await client.sendWithReceipt({ target, payload: {} });
+      assert.strictEqual(receipt.accepted, 0);
+      assert.strictEqual(receipt.queued, 1);
+      assert.strictEqual(receipt.relays[0].queued, true);
+
+      const flushed = new Promise((resolve) =>
+        client.getRelayPool().once("relay:flushed", resolve)
+      );
+      await relay.start(port);
+      await flushed;
+
+      assert.deepStrictEqual(
+        relay.events.map(({ id }) => id),
+        [receipt.eventId]
+      );
+    });
+
+    it("should take queued events back when send() fails", async () => {
+      const client = startQueueClient([relay.url, rejectingRelay.url]);
+      const port = await dropRelay(client);
+      const target = getPublicKey(generateSecretKey());
+
+      await assert.rejects(
+        client.send({ target, payload: {}, quorum: 2, minConnected: 1 }),
+        /accepted by 0 and queued for 1 of 2 required relays: .* \(blocked: test\)/
+      );
+      assert.strictEqual(client.getRelayPool().getQueuedCount(), 0);
+
+      // Once back, the relay only sees the retry
+      const reconnected = new Promise((resolve) =>
+        client.getRelayPool().once("relay:connected", resolve)
+      );
+      await relay.start(port);
+      await reconnected;
+      const retried = await client.sendWithReceipt({ target, payload: {} });
+      await delay(100);
+
+      assert.deepStrictEqual(
+        relay.events.map(({ id }) => id),
+        [retried.eventId]
+      );
+    });
+
+    it("should fail send() to a reconnecting relay unless enabled", async () => {
+      const client = startQueueClient([relay.url, rejectingRelay.url], {
+        outboundQueue: false,
+      });
+      await dropRelay(client);
+
+      await assert.rejects(
+        client.send({ target: getPublicKey(generateSecretKey()), payload: {} }),
+        /rejected by all relays: .*not connected/
+      );
+      assert.strictEqual(client.getRelayPool().getQueuedCount(), 0);
+    });
+
+    function startPool(options) {
+      const pool = createRelayPool(createConfig([relay.url]), {
+        baseReconnectDelay: 100,
+        ...options,
+      });
+      pools.push(pool);
+      return pool;
+    }
+
+    it("should publish events queued while a relay reconnects", async () => {
+      const pool = startPool({ outboundQueue: true });
+      await pool.connect();
+
+      const port = new URL(relay.url).port;
+      await relay.stop();
+      await delay(50);
+
+      const event = createEvent();
+      const { relays } = await pool.publishDetailed(event);
+      assert.strictEqual(relays[0].queued, true);
+      assert.strictEqual(pool.getQueuedCount(relay.url), 1);
+
+      const flushed = new Promise((resolve) =>
+        pool.once("relay:flushed", (url, results) => resolve(results))
+      );
+      await relay.start(Number(port));
+
+      assert.deepStrictEqual(await flushed, [
+        { url: relay.url, accepted: true, message: "" },
+      ]);
+      assert.strictEqual(relay.events[0].id, event.id);
+      assert.strictEqual(pool.getQueuedCount(), 0);
+    });
+
+    it("should publish persisted events after a restart", async () => {
+      const file = join(dir, "outbound.json");
+      const crashed = startPool({ outboundQueue: { persist: file } });
+      await crashed.connect();
+
+      const port = new URL(relay.url).port;
+      await relay.stop();
+      await delay(50);
+
+      const event = createEvent();
+      await crashed.publishDetailed(event);
+      await crashed.disconnect();
+      await delay(50);
+
+      const saved = JSON.parse(await fs.readFile(file, "utf8"));
+      assert.deepStrictEqual(
+        saved.events.map((queued) => queued.event.id),
+        [event.id]
+      );
+
+      await relay.start(Number(port));
+      const restarted = startPool({ outboundQueue: { persist: file } });
+      const flushed = new Promise((resolve) =>
+        restarted.once("relay:flushed", resolve)
+      );
+      await restarted.connect();
+      await flushed;
+
+      assert.deepStrictEqual(
+        relay.events.map((stored) => stored.id),
+        [event.id]
+      );
+    });
+
+    it("should write a shared queue file one process at a time", async () => {
+      const file = join(dir, "outbound.json");
+      const queues = [
+        new OutboundQueue({ persist: file }),
+        new OutboundQueue({ persist: file }),
+      ];
+
+      for (let i = 0; i < 20; i++) {
+        queues[i % 2].enqueue(relay.url, createEvent());
+      }
+      await Promise.all(queues.map((queue) => queue.flush()));
+
+      const saved = JSON.parse(await fs.readFile(file, "utf8"));
+      assert.strictEqual(saved.events.length, 10);
+      assert.deepStrictEqual(await fs.readdir(dir), ["outbound.json"]);
+    });
+
+    it("should not queue unless enabled", async () => {
+      const pool = startPool();
+      await pool.connect();
+      await relay.stop();
+      await delay(50);
+
+      const { relays } = await pool.publishDetailed(createEvent());
+
+      assert.deepStrictEqual(relays, [
+        { url: relay.url, accepted: false, message: "not connected" },
+      ]);
+    });
+  });
+
+  describe("heartbeat", () => {
+    let silentRelay;
+    let pools;
+
+    beforeEach(() => {
+      pools = [];
+    });
+
+    afterEach(async () => {
+      await Promise.all(pools.map((pool) => pool.disconnect()));
+      await silentRelay?.stop();
+    });
+
+    function startPool(relays) {
+      const pool = createRelayPool(createConfig(relays), {
+        baseReconnectDelay: 50,
+        heartbeat: { pingIntervalMs: 100, idleTimeoutMs: 250 },
+      });
+      pools.push(pool);
+      return pool;
+    }
+
+    it("should reconnect a relay that stops answering pings", async () => {
+      silentRelay = new MockRelay({ autoPong: false });
+      await silentRelay.start();
+      const pool = startPool([silentRelay.url]);
+      await pool.connect();
+
+      const stale = new Promise((resolve) =>
+        pool.once("relay:stale", (url, idleMs) => resolve({ url, idleMs }))
+      );
+      const { url, idleMs } = await stale;
+      assert.strictEqual(url, silentRelay.url);
+      assert.ok(idleMs >= 250);
+
+      await new Promise((resolve) => pool.once("relay:connected", resolve));
+      assert.strictEqual(silentRelay.connectionCount, 2);
+    });
+
+    it("should keep a relay that answers pings", async () => {
+      const pool = startPool([relay.url]);
+      let stale = false;
+      pool.on("relay:stale", () => {
+        stale = true;
+      });
+      await pool.connect();
+
+      await delay(500);
+
+      assert.strictEqual(stale, false);
+      assert.strictEqual(relay.connectionCount, 1);
+      assert.ok(Date.now() - pool.getRelayStatus(relay.url).lastActivity < 250);
+    });
+
+    it("should reject an idle timeout shorter than the ping interval", () => {
+      assert.throws(
+        () =>
+          createRelayPool(createConfig([relay.url]), {
+            heartbeat: { pingIntervalMs: 1000, idleTimeoutMs: 500 },
+          }),
+        /idleTimeoutMs must exceed pingIntervalMs/
+      );
+    });
+  });
+});
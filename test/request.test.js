@@ -0,0 +1,165 @@
+import assert from "assert";
+import { generateSecretKey, getPublicKey } from "nostr-tools";
+import { createClient } from "../dist/client.js";
+import { MockRelay } from "./mock-relay.js";
+
+// Test utilities
+function createConfig(relayUrl) {
+  const secretKey = generateSecretKey();
+  return {
+    privkey: Buffer.from(secretKey).toString("hex"),
+    pubkey: getPublicKey(secretKey),
+    relays: [relayUrl],
+    powDifficulty: 0,
+    powThreads: 1,
+    encryption: "nip44",
+  };
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe("request()", () => {
+  let relay;
+  let clients;
+  const originalEnv = { ...process.env };
+
+  beforeEach(async () => {
+    process.env.NOSTRMQ_DISABLE_PERSISTENCE = "true";
+    relay = new MockRelay();
+    await relay.start();
+    clients = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map((client) => client.close()));
+    await relay.stop();
+    process.env = { ...originalEnv };
+  });
+
+  function client(config) {
+    const created = createClient(config);
+    clients.push(created);
+    return created;
+  }
+
+  it("should resolve with the reply carrying its correlation id", async () => {
+    const requester = client(createConfig(relay.url));
+    const serverConfig = createConfig(relay.url);
+    const server = client(serverConfig);
+    const impostor = client(createConfig(relay.url));
+
+    server.receive({
+      onMessage: async (payload, sender, rawEvent, context) => {
+        // A reply to another request, then one from the wrong sender
+        await server.send({
+          target: context.response,
+          payload: { reply: "other request" },
+          correlationId: "unrelated",
+        });
+        await impostor.send({
+          target: context.response,
+          payload: { reply: "impostor" },
+          correlationId: context.correlationId,
+        });
+        await server.send({
+          target: context.response,
+          payload: { reply: payload.question },
+          correlationId: context.correlationId,
+        });
+      },
+    });
+    await delay(200);
+
+    const reply = await requester.request({
+      target: serverConfig.pubkey,
+      payload: { question: "ping" },
+      replyTimeoutMs: 5000,
+    });
+
+    assert.deepStrictEqual(reply, { reply: "ping" });
+  });
+
+  it("should keep concurrent requests apart", async () => {
+    const requester = client(createConfig(relay.url));
+    const serverConfig = createConfig(relay.url);
+    const server = client(serverConfig);
+
+    server.receive({
+      onMessage: async (payload, sender, rawEvent, context) => {
+        // Answer the first request last
+        await delay(payload.n === 1 ? 300 : 0);
+        await server.send({
+          target: context.response,
+          payload: { n: payload.n },
+          correlationId: context.correlationId,
+        });
+      },
+    });
+    await delay(200);
+
+    const replies = await Promise.all(
+      [1, 2].map((n) =>
+        requester.request({
+          target: serverConfig.pubkey,
+          payload: { n },
+          replyTimeoutMs: 5000,
+        })
+      )
+    );
+
+    assert.deepStrictEqual(replies, [{ n: 1 }, { n: 2 }]);
+  });
+
+  it("should reject with the abort reason and stop waiting", async () => {
+    const requester = client(createConfig(relay.url));
+    const serverConfig = createConfig(relay.url);
+    const server = client(serverConfig);
+    server.receive({ onMessage: () => {} });
+    await delay(200);
+
+    const controller = new AbortController();
+    const pending = requester.request({
+      target: serverConfig.pubkey,
+      payload: { question: "ignored" },
+      replyTimeoutMs: 5000,
+      signal: controller.signal,
+    });
+    await delay(200);
+    const started = Date.now();
+    controller.abort(new Error("caller gave up"));
+
+    await assert.rejects(pending, /caller gave up/);
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it("should not publish when the signal is already aborted", async () => {
+    const requester = client(createConfig(relay.url));
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(
+      requester.request({
+        target: createConfig(relay.url).pubkey,
+        payload: { question: "never sent" },
+        signal: controller.signal,
+      }),
+      /aborted/
+    );
+    assert.strictEqual(relay.events.length, 0);
+  });
+
+  it("should time out when no reply arrives", async () => {
+    const requester = client(createConfig(relay.url));
+
+    await assert.rejects(
+      requester.request({
+        target: createConfig(relay.url).pubkey,
+        payload: { question: "anyone?" },
+        replyTimeoutMs: 300,
+      }),
+      /No reply received within 300ms/
+    );
+  });
+});
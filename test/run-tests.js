@@ -57,6 +57,61 @@ const TEST_FILES = [
     file: "receive-tracking.test.js",
     description: "Integration tests for receive.ts with tracking",
   },
+  {
+    name: "Receive Policy Tests",
+    file: "receive-policy.test.js",
+    description: "Tests for filtering incoming messages against a local relay",
+  },
+  {
+    name: "Chunking Unit Tests",
+    file: "chunking.test.js",
+    description: "Tests for chunked payload splitting and reassembly",
+  },
+  {
+    name: "Delivery Queue Unit Tests",
+    file: "deliveryQueue.test.js",
+    description: "Tests for bounded, per-sender ordered message delivery",
+  },
+  {
+    name: "Client Integration Tests",
+    file: "client.test.js",
+    description: "Tests for shared relay connections against a local relay",
+  },
+  {
+    name: "NIP-46 Remote Signer Tests",
+    file: "nip46.test.js",
+    description: "Tests for NIP-46 remote signing against a local bunker",
+  },
+  {
+    name: "Relay Pool Tests",
+    file: "relayPool.test.js",
+    description: "Tests for connection quorums and per-relay publish results",
+  },
+  {
+    name: "Relay Health Unit Tests",
+    file: "relayHealth.test.js",
+    description: "Tests for relay scoring and healthiest-relay selection",
+  },
+  {
+    name: "Bloom Filter Unit Tests",
+    file: "bloomFilter.test.js",
+    description: "Tests for the rolling Bloom filter used for deduplication",
+  },
+  {
+    name: "Request Tests",
+    file: "request.test.js",
+    description: "Tests for correlated request/reply against a local relay",
+  },
+  {
+    name: "Acknowledgement Tests",
+    file: "ack.test.js",
+    description: "Tests for autoAck and awaitAck against a local relay",
+  },
+  {
+    name: "Encryption Tests",
+    file: "encryption.test.js",
+    description: "Tests for NIP-04 and NIP-44 detection and selection",
+  },
 ];
 
 // Test result tracking
@@ -1,5 +1,6 @@
 import assert from "assert";
 import { promises as fs } from "fs";
+import { hostname } from "os";
 import { join } from "path";
 import {
   ensureCacheDir,
@@ -8,6 +9,9 @@ import {
   saveSnapshot,
   loadSnapshot,
   getTrackingConfig,
+  withCacheLock,
+  appendJournal,
+  loadJournal,
 } from "../dist/utils.js";
 
 // Test utilities
@@ -553,6 +557,149 @@ describe("Tracking Utilities", () => {
     });
   });
 
+  describe("appendJournal and loadJournal", () => {
+    it("should load appended event IDs in order", async () => {
+      await fs.mkdir(TEST_CACHE_DIR, { recursive: true });
+
+      assert.strictEqual(await appendJournal(TEST_CACHE_DIR, "event1"), true);
+      assert.strictEqual(await appendJournal(TEST_CACHE_DIR, "line\nbreak"), true);
+
+      assert.deepStrictEqual(await loadJournal(TEST_CACHE_DIR), [
+        "event1",
+        "line\nbreak",
+      ]);
+    });
+
+    it("should skip a line cut off mid-write", async () => {
+      await fs.mkdir(TEST_CACHE_DIR, { recursive: true });
+      await fs.writeFile(
+        join(TEST_CACHE_DIR, "journal.jsonl"),
+        '"event1"\n"event2"\n"eve'
+      );
+
+      assert.deepStrictEqual(await loadJournal(TEST_CACHE_DIR), [
+        "event1",
+        "event2",
+      ]);
+    });
+
+    it("should be emptied by saveSnapshot", async () => {
+      await fs.mkdir(TEST_CACHE_DIR, { recursive: true });
+      await appendJournal(TEST_CACHE_DIR, "event1");
+
+      await saveSnapshot(TEST_CACHE_DIR, ["event1"]);
+
+      assert.deepStrictEqual(await loadJournal(TEST_CACHE_DIR), []);
+      assert.deepStrictEqual(await loadSnapshot(TEST_CACHE_DIR), ["event1"]);
+    });
+  });
+
+  describe("atomic writes and locking", () => {
+    it("should leave no temporary or lock files behind", async () => {
+      await fs.mkdir(TEST_CACHE_DIR, { recursive: true });
+
+      await Promise.all([
+        saveTimestamp(TEST_CACHE_DIR, 1000),
+        saveSnapshot(TEST_CACHE_DIR, ["event1"]),
+        saveTimestamp(TEST_CACHE_DIR, 2000),
+      ]);
+
+      const files = (await fs.readdir(TEST_CACHE_DIR)).sort();
+      assert.deepStrictEqual(files, ["snapshot.json", "timestamp.json"]);
+    });
+
+    it("should run lock holders one at a time", async () => {
+      await fs.mkdir(TEST_CACHE_DIR, { recursive: true });
+      let holders = 0;
+      let maxHolders = 0;
+
+      await Promise.all(
+        [1, 2, 3].map(() =>
+          withCacheLock(TEST_CACHE_DIR, async () => {
+            maxHolders = Math.max(maxHolders, ++holders);
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            holders--;
+          })
+        )
+      );
+
+      assert.strictEqual(maxHolders, 1);
+    });
+
+    it("should recover a lock left by a dead process", async () => {
+      await fs.mkdir(TEST_CACHE_DIR, { recursive: true });
+      await fs.writeFile(
+        join(TEST_CACHE_DIR, ".lock"),
+        JSON.stringify({
+          pid: 2 ** 22 + 1,
+          hostname: hostname(),
+          token: "abandoned",
+          createdAt: Date.now(),
+        })
+      );
+
+      assert.strictEqual(await saveTimestamp(TEST_CACHE_DIR, 1234), true);
+      assert.strictEqual(await loadTimestamp(TEST_CACHE_DIR), 1234);
+      assert.deepStrictEqual(await fs.readdir(TEST_CACHE_DIR), [
+        "timestamp.json",
+      ]);
+    });
+
+    it("should recover a lock older than the stale timeout", async () => {
+      await fs.mkdir(TEST_CACHE_DIR, { recursive: true });
+      await fs.writeFile(
+        join(TEST_CACHE_DIR, ".lock"),
+        JSON.stringify({
+          pid: process.pid,
+          hostname: hostname(),
+          token: "old",
+          createdAt: Date.now() - 60000,
+        })
+      );
+
+      assert.strictEqual(await saveSnapshot(TEST_CACHE_DIR, ["a"]), true);
+    });
+
+    it("should let one waiter at a time take over a stale lock", async () => {
+      await fs.mkdir(TEST_CACHE_DIR, { recursive: true });
+      await fs.writeFile(
+        join(TEST_CACHE_DIR, ".lock"),
+        JSON.stringify({
+          pid: process.pid,
+          hostname: hostname(),
+          token: "old",
+          createdAt: Date.now() - 60000,
+        })
+      );
+      let holders = 0;
+      let maxHolders = 0;
+
+      await Promise.all(
+        [1, 2, 3, 4, 5].map(() =>
+          withCacheLock(TEST_CACHE_DIR, async () => {
+            maxHolders = Math.max(maxHolders, ++holders);
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            holders--;
+          })
+        )
+      );
+
+      assert.strictEqual(maxHolders, 1);
+      assert.deepStrictEqual(await fs.readdir(TEST_CACHE_DIR), []);
+    });
+
+    it("should quarantine corrupted cache files", async () => {
+      await fs.mkdir(TEST_CACHE_DIR, { recursive: true });
+      await fs.writeFile(join(TEST_CACHE_DIR, "timestamp.json"), '{"lastPro');
+
+      assert.strictEqual(await loadTimestamp(TEST_CACHE_DIR), null);
+
+      const files = await fs.readdir(TEST_CACHE_DIR);
+      assert(!files.includes("timestamp.json"));
+      assert(files.some((file) => file.startsWith("timestamp.json.corrupt-")));
+    });
+  });
+
   describe("data integrity", () => {
     it("should maintain data consistency across save/load cycles", async () => {
       await fs.mkdir(TEST_CACHE_DIR, { recursive: true });